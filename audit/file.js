@@ -0,0 +1,112 @@
+/**
+* Append-only JSON-lines file audit log for EMU
+* Each audit entry is appended to the file as a single line of JSON. Once the file would grow beyond `options.maxSize` it is rotated, renaming `audit.log` to `audit.log.1`, `audit.log.1` to `audit.log.2` etc. with the oldest being removed
+* Entries are written one at a time in the order they were received
+*
+* @param {Object} options Options to use when creating the log
+* @param {string} options.path The path of the log file on the local disk, its directory is created if it does not exist
+* @param {number} [options.maxSize=10485760] The size in bytes at which the log is rotated (default is 10MB), set to 0 to never rotate
+* @param {number} [options.maxFiles=5] The number of rotated log files to keep, set to 0 to keep no old entries
+* @param {number} [options.mode=0o640] The permissions used when creating log files
+* @returns {Object} An EMU audit sink
+*/
+
+var _ = require('lodash');
+var async = require('async-chainable');
+var fs = require('fs');
+var fspath = require('path');
+
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		maxSize: 1024 * 1024 * 10, // 10MB
+		maxFiles: 5,
+		mode: 0o640,
+	});
+	if (!settings.path) throw new Error('The EMU file audit log requires a path');
+
+	var size; // The size of the current log file, determined on the first write
+	var queue = []; // Entries waiting to be written as objects of the form {line, cb}
+	var writing = false;
+
+
+	/**
+	* Rotate the log files, shifting each rotated file up by one and removing the oldest
+	* @param {function} cb The callback to call as (err)
+	*/
+	var rotate = function(cb) {
+		var ignoreMissing = next => err => next(err && err.code != 'ENOENT' ? err : null);
+		if (!settings.maxFiles) return fs.unlink(settings.path, ignoreMissing(cb));
+
+		async()
+			.then(function(next) {
+				fs.unlink(`${settings.path}.${settings.maxFiles}`, ignoreMissing(next));
+			})
+			.limit(1)
+			.forEach(_.rangeRight(settings.maxFiles), function(next, index) { // Work backwards so nothing is overwritten
+				fs.rename(index ? `${settings.path}.${index}` : settings.path, `${settings.path}.${index + 1}`, ignoreMissing(next));
+			})
+			.end(cb);
+	};
+
+
+	/**
+	* Write the next queued entry, continuing until the queue is empty
+	*/
+	var flush = function() {
+		if (writing || !queue.length) return;
+		writing = true;
+		var item = queue.shift();
+		var length = Buffer.byteLength(item.line);
+
+		async()
+			// Find the size of the current log file {{{
+			.then(function(next) {
+				if (!_.isUndefined(size)) return next();
+				fs.stat(settings.path, function(err, stat) {
+					if (err && err.code != 'ENOENT') return next(err);
+					size = stat ? stat.size : 0;
+					next();
+				});
+			})
+			// }}}
+			// Rotate if this entry would take the file over its maximum size {{{
+			.then(function(next) {
+				if (!settings.maxSize || !size || size + length <= settings.maxSize) return next();
+				rotate(function(err) {
+					if (err) return next(err);
+					size = 0;
+					next();
+				});
+			})
+			// }}}
+			// Append the entry {{{
+			.then(function(next) {
+				fs.mkdir(fspath.dirname(settings.path), {recursive: true}, next);
+			})
+			.then(function(next) {
+				fs.appendFile(settings.path, item.line, {mode: settings.mode}, next);
+			})
+			// }}}
+			// End {{{
+			.end(function(err) {
+				if (!err) size += length;
+				writing = false;
+				item.cb(err);
+				flush();
+			});
+			// }}}
+	};
+
+
+	return {
+		/**
+		* Append an entry to the log
+		* @param {Object} entry The audit entry to write
+		* @param {function} cb The callback to call as (err) once the entry has been written
+		*/
+		write: function(entry, cb) {
+			queue.push({line: JSON.stringify(entry) + '\n', cb});
+			flush();
+		},
+	};
+};
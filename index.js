@@ -1,21 +1,79 @@
 /**
 * Middleware factory to deal with file CRUD (listings, uploads, reads and deletes)
 * @param {Object} options Options to use when generating the middleware
-* @param {string|function} options.path The path (relative to emu.defaults.basePath) to store files in. Prefix slash is optional but recommended for readability
+* @param {string|function} options.path The path (relative to emu.defaults.basePath) to store files in. Prefix slash is optional but recommended for readability. If this is a function it is called as `(req, res, next)` and should either call `next(err, path)` or return a promise resolving to the (absolute) path
 * @param {string} [options.basePath] Prefix automatically prepended onto options.path (this is seperate so it can be set globally to your application root via `emu.defaults.basePath`)
-* @param {function} [options.errorHandler] How to output errors. This should be a function called as (req, res, statusCode, message)
+* @param {Object} [options.storage] The storage driver to use when reading / writing files, defaults to the local filesystem (see `emu.storage` for the bundled drivers)
+* @param {function} [options.errorHandler] How to output errors. This should be a function called as (req, res, statusCode, message, err) where err is the error object with a `code` property (see `emu.errors`). The default responds with a JSON object of the form `{error, code, files, quota}`
 * @param {boolean} [options.escape=true] Automatically escape all filenames so they are URL safe
 * @param {string} [options.postPath='upload'] How to name the uploaded file. 'upload' = Use the uploaded filename appended to options.path, 'param' = Use the path specified in `req.params.path` (implies `options.limit=1`), 'dir' = Use the path as the directory to store the file in and the filename from the uploaded filename
 * @param {string} [options.field='file'] What the multi-part field name is (if omitted all fields will be accepted)
 * @param {number} [options.expect=0] The minimum number of files to expect, set to 0 to throw no errors
 * @param {number} [options.limit=0] The maximum number of files to accept, set to 0 to accept all
+* @param {number} [options.maxFileSize=0] The maximum size in bytes of any one uploaded file, set to 0 for no maximum
+* @param {number} [options.maxRequestSize=0] The maximum combined size in bytes of all files in one upload request, set to 0 for no maximum
+* @param {number|Object|function|boolean} [options.quota=false] Limit the total storage used by the storage area. This can be a number of bytes, an object of the form `{bytes, files}` or a function called as `(req, [callback])` which returns (or resolves a promise / calls back with) either, e.g. to apply a quota per tenant. Usage is tracked in `options.internalDir` and can be requested with `GET /?usage`
+* @param {boolean} [options.etag=true] Send an ETag header when reading files and respond to `If-None-Match` / `If-Match` conditional requests
+* @param {boolean} [options.lastModified=true] Send a Last-Modified header when reading files and respond to `If-Modified-Since` / `If-Unmodified-Since` conditional requests
+* @param {string|function|boolean} [options.cacheControl='public, max-age=0'] The Cache-Control header to send when reading files. If this is a function it is called as `(req, file)` and should return the header value, set to false to omit
+* @param {string|function|boolean} [options.disposition='inline'] Whether files should be displayed ('inline') or downloaded ('attachment') when read. If this is a function it is called as `(req, file)` and should return either value. Adding `?download` to the URL always forces 'attachment'
+* @param {number} [options.maxListDepth=10] The maximum number of subdirectory levels a listing can descend into using the `depth` query parameter
+* @param {boolean} [options.resumable=false] Enable resumable (tus-style) uploads, see `emu.resumable`
+* @param {number} [options.resumableExpiry=86400000] How long in milliseconds an incomplete resumable upload is kept since it was last written to (default is 24 hours)
+* @param {string|array} [options.accept] Restrict uploads to the given MIME types (e.g. 'image/png', 'image/*') and/or file extensions (e.g. '.png')
+* @param {boolean} [options.sniff=true] When using `options.accept` also check the file contents against known file signatures so renamed files are caught
+* @param {Object|function} [options.scan] Scan uploaded files for malware before they are stored, this is a scanner such as `emu.scanners.clamd()` or a function called as `(file, cb)` (see `emu.scanners`). Infected files are refused and quarantined, files without a clean scan are never served. Requires `options.metadata`
+* @param {function} [options.validate] Function called as `(file, req, [callback])` to validate each uploaded file before it is stored. Return (or resolve a promise / call back with) undefined or true to accept the file, false or a string reason to reject it. `file.createReadStream()` can be used to examine the file contents
+* @param {string|function} [options.onConflict='overwrite'] What to do when an uploaded file already exists: 'overwrite', 'reject' (409 error), 'rename' (append -1, -2 etc.), 'uuid' (store under a random name) or a function called as `(file, req, [callback])` which returns (or resolves a promise / calls back with) one of these or a new filename
+* @param {Object|boolean} [options.metadata] The metadata store used to record details about each uploaded file (see `emu.metadata`), defaults to JSON sidecar files. Set to false to disable
+* @param {function} [options.uploadedBy] Function called as `(req)` to determine who uploaded a file, this is stored as the `uploadedBy` metadata field. Defaults to `req.user.id` / `req.user.username` if present
+* @param {string} [options.hash='sha256'] The hash algorithm used to compute file checksums, this can be any algorithm supported by Node's `crypto.createHash()`
+* @param {boolean} [options.dedupe=false] Store identical file contents only once. Contents are held in a content-addressed blob store within `options.internalDir` with an empty placeholder left at the file path, blobs are removed when the last file referring to them is deleted. Requires `options.metadata`
+* @param {Object} [options.variants] Named image variants to generate (e.g. thumbnails), each key is the variant name and the value an object of the form `{width, height, fit, format, quality}`. Requires the optional `sharp` dependency
+* @param {string} [options.variantMode='upload'] When to generate image variants, 'upload' = as soon as an image is uploaded, 'lazy' = when the variant is first requested
+* @param {boolean} [options.extract=false] Extract uploaded ZIP, tar and tar.gz archives, storing their contents instead of the archive itself. Not available when `options.postPath='param'`
+* @param {number} [options.extractMaxEntries=1000] The maximum number of files an extracted archive can contain, set to 0 for no maximum
+* @param {number} [options.extractMaxSize=1073741824] The maximum combined uncompressed size in bytes of all files extracted from archives in one upload (default is 1GB), set to 0 for no maximum
+* @param {boolean} [options.webdav=false] Enable WebDAV support so the storage can be mounted as a network drive, see `emu.webdav`. Paths can then be nested to any depth and `DELETE` also removes directories
+* @param {boolean} [options.dotfiles=false] Allow hidden files and directories (those starting with a dot) to be uploaded, read and listed
+* @param {number} [options.maxPathLength=1024] The maximum length in bytes of any path (relative to options.path), set to 0 for no maximum. Each path segment is also limited to 255 bytes
+* @param {boolean} [options.trash=false] Move deleted files and directories into a trash area within `options.internalDir` so they can be restored, see `emu.trash`. Trashed items still count towards `options.quota` until they are purged
+* @param {number} [options.trashRetention=2592000000] How long in milliseconds trashed items are kept before being purged (default is 30 days), set to 0 to keep them until removed from the trash
+* @param {boolean} [options.versions=false] Keep the previous contents of files which are overwritten so they can be read and restored, see `emu.versions`. Previous versions count towards `options.quota` until they are pruned
+* @param {number} [options.versionsMaxCount=10] The maximum number of previous versions kept for each file, set to 0 for no maximum
+* @param {number} [options.versionsMaxAge=0] How long in milliseconds previous versions are kept after being replaced, set to 0 to keep them until `options.versionsMaxCount` is reached
+* @param {Object|function} [options.audit] Record every request in an audit log, this is a sink such as `emu.audit.file({path})` or a function called as `(entry, cb)` (see `emu.audit`)
+* @param {function} [options.auditUser] Function called as `(req)` to determine the user to record in the audit log. Defaults to `req.user.id` / `req.user.username` if present
+* @param {string|Object|array} [options.webhooks] URL(s) to POST file lifecycle events to, each can be a URL or an object of the form `{url, secret, events, retries, retryDelay, timeout}` where `events` limits which events are sent (see sendWebhook())
+* @param {string|array} [options.signingKeys] Secret key(s) used to sign and verify signed URLs (see `emu.sign()`), the first key is used to sign URLs and all are accepted when verifying. A request with a valid signature skips the `get`, `list` or `post` middleware
+* @param {string} [options.internalDir='.emu'] The directory (relative to options.path) EMU uses to store its own internal data such as in-progress uploads. This directory is never shown in listings
 * @param {function|array|string|boolean} [options.list] Middleware(s) to run before listing files at a given path
 * @param {function|array|string|boolean} [options.get] Middleware(s) to run before reading a specific file
 * @param {function|array|string|boolean} [options.post] Middleware(s) to run before accepting an file upload
-* @param {function|array|string|boolean} [options.move] Middleware(s) to run before accept a file move command
+* @param {function|array|string|boolean} [options.move] Middleware(s) to run before accepting a file move command
+* @param {function|array|string|boolean} [options.copy] Middleware(s) to run before accepting a file copy command
+* @param {function|array|string|boolean} [options.patch] Middleware(s) to run before updating the custom metadata of a file
 * @param {function|array|string|boolean} [options.delete] Middleware(s) to run before deleteing a file
+* @param {function|array|string|boolean} [options.mkdir='post'] Middleware(s) to run before creating a directory
+* @param {function|array|string|boolean} [options.rmdir='delete'] Middleware(s) to run before deleting a directory
+* @param {function|array|string|boolean} [options.movedir='move'] Middleware(s) to run before moving / renaming a directory
+* @param {function|array|string|boolean} [options.restore='delete'] Middleware(s) to run before restoring a file or directory from the trash
 * @param {function|array} [options.postProcessing] Middleware(s) to run after a file has been accepted (req.files is decorated with additional properites `storagePath` for where the file is stored if a path was computed)
 *
+* All middleware functions are called as `(req, res, next)` and can either call `next()` / `next(err)` or return a promise (e.g. be async functions), rejections refuse the request with an error
+*
+* The returned middleware is also an EventEmitter which emits the following events, each with an object containing the `path` of the file (relative to options.path) and the `req`:
+* 	- `uploaded` - A file was stored, `file` is its listing entry along with `originalname`, `mimetype`, `checksum` and `meta`
+* 	- `deleted` - A file or directory was deleted, `type` is either 'file' or 'directory' and `trash` the trash record if it was moved into the trash
+* 	- `restored` - A file or directory was restored from the trash to `destination` or a previous `version` of a file was restored, `file` is its listing entry and `trash` its trash record (if restored from the trash)
+* 	- `purged` - A file or directory was permanently removed from the trash, `trash` is its trash record. Items purged because they expired have no `req`
+* 	- `moved` / `copied` - A file or directory was moved or copied to `destination`
+* 	- `read` - A file was read, `file` is its listing entry, `variant` the name of any image variant read and `version` the number of any previous version read
+* 	- `listed` - A directory was listed, `files` are the listed entries
+* 	- `rejected` - An upload was refused, `error` is the EMU error and `files` an array of `{name, reason}` objects
+* 	- `webhookFailed` - All attempts to deliver an event to `options.webhooks` failed, this event is of the form `{url, event, id, error}`
+* 	- `auditFailed` - Writing an entry to `options.audit` failed, this event is of the form `{entry, error}`
+*
 * @example
 * // In an Express controller:
 * app.use('/files/:path?', emu({
@@ -25,384 +83,5242 @@
 * POST /files => Upload a file
 * GET /files /=> Retrieve a list of files
 * GET /files/foo.txt /=> Read the foo.txt file
+* PATCH /files/foo.txt /=> Update the custom metadata of the foo.txt file
 * DELTE /files/foo.txt /=> Delete the foo.txt file
+* MKCOL /files/photos /=> Create the photos directory
 */
 
 var _ = require('lodash');
+var archiver = require('archiver');
 var async = require('async-chainable');
-var fs = require('fs');
+var contentDisposition = require('content-disposition');
+var crypto = require('crypto');
+var EventEmitter = require('events');
+var fresh = require('fresh');
 var fspath = require('path');
-var mkdirp = require('mkdirp');
+var http = require('http');
+var https = require('https');
+var mimeTypes = require('mime-types');
+var minimatch = require('minimatch');
 var multer = require('multer');
+var rangeParser = require('range-parser');
+var sharp; // Loaded on demand as it is an optional dependency only needed for image variants
+var stream = require('stream');
+var tar = require('tar-stream');
+var yauzl = require('yauzl');
+var zlib = require('zlib');
 
 // Utility functions {{{
+/**
+* Error codes used by EMU along with the HTTP status code and default message of each
+* Every error EMU responds with has one of these codes (see emuError()), the code is passed to `options.errorHandler` along with the error so messages can be localised
+* @var {Object}
+*/
+var errorCodes = {
+	EMU_BAD_REQUEST: {status: 400, message: 'Bad request'},
+	EMU_INVALID_QUERY: {status: 400, message: 'Invalid query parameter'},
+	EMU_INVALID_HEADER: {status: 400, message: 'Invalid header'},
+	EMU_INVALID_PATH: {status: 400, message: 'Invalid path'},
+	EMU_NO_FILES: {status: 400, message: 'No files uploaded'},
+	EMU_FILE_COUNT: {status: 400, message: 'Wrong number of files uploaded'},
+	EMU_FORBIDDEN: {status: 403, message: 'Forbidden'},
+	EMU_FORBIDDEN_PATH: {status: 403, message: 'Path not allowed'},
+	EMU_NOT_SCANNED: {status: 403, message: 'File has not been scanned'},
+	EMU_NOT_FOUND: {status: 404, message: 'File not found'},
+	EMU_METHOD_NOT_ALLOWED: {status: 405, message: 'Method not allowed'},
+	EMU_CONFLICT: {status: 409, message: 'File already exists'},
+	EMU_EXISTS: {status: 409, message: 'Path already exists'},
+	EMU_NOT_A_FILE: {status: 409, message: 'Not a file'},
+	EMU_NOT_A_DIRECTORY: {status: 409, message: 'Not a directory'},
+	EMU_NOT_EMPTY: {status: 409, message: 'Directory not empty'},
+	EMU_NO_PARENT: {status: 409, message: 'Parent directory does not exist'},
+	EMU_OFFSET_MISMATCH: {status: 409, message: 'Upload-Offset mismatch'},
+	EMU_EXPIRED: {status: 410, message: 'Upload expired'},
+	EMU_PRECONDITION_FAILED: {status: 412, message: 'Precondition failed'},
+	EMU_FILE_TOO_LARGE: {status: 413, message: 'File too large'},
+	EMU_REQUEST_TOO_LARGE: {status: 413, message: 'Request too large'},
+	EMU_PATH_TOO_LONG: {status: 414, message: 'Path too long'},
+	EMU_UNSUPPORTED_MEDIA_TYPE: {status: 415, message: 'Unsupported media type'},
+	EMU_REJECTED: {status: 422, message: 'File rejected'},
+	EMU_INFECTED: {status: 422, message: 'File is infected'},
+	EMU_LOCKED: {status: 423, message: 'Resource is locked'},
+	EMU_INTERNAL: {status: 500, message: 'Internal error'},
+	EMU_SCAN_FAILED: {status: 503, message: 'Virus scan failed'},
+	EMU_QUOTA_EXCEEDED: {status: 507, message: 'Storage quota exceeded'},
+};
+
+
+/**
+* Create an EMU error
+* @param {string} code The error code, this must be a key of errorCodes
+* @param {string} [message] The error message, defaults to the message for the code
+* @param {Object} [properties] Additional properties to set on the error (e.g. `files`, `cause` or a `status` overriding the default for the code)
+* @returns {Error} An error object with `code` and `status` properties
+*/
+var emuError = (code, message, properties) => _.assign(new Error(message || errorCodes[code].message), {code, status: errorCodes[code].status}, properties);
+
+
+/**
+* Convert any error into an EMU error
+* Strings are treated as bad requests, Multer limit errors and storage driver error codes are mapped to their EMU equivalents and anything else becomes an internal error
+* @param {Error|string} err The error to convert
+* @returns {Error} An error created by emuError()
+*/
+var normaliseError = function(err) {
+	if (_.isString(err)) return emuError('EMU_BAD_REQUEST', err);
+	if (errorCodes[err.code]) return err; // Already an EMU error
+
+	switch (err.code) {
+		case 'LIMIT_FILE_SIZE': return emuError('EMU_FILE_TOO_LARGE', undefined, {cause: err});
+		case 'LIMIT_FILE_COUNT':
+		case 'LIMIT_UNEXPECTED_FILE': return emuError('EMU_FILE_COUNT', err.message, {cause: err});
+		case 'ENOENT': return emuError('EMU_NOT_FOUND', undefined, {cause: err});
+		case 'ENOTEMPTY': return emuError('EMU_NOT_EMPTY', undefined, {cause: err});
+		default:
+			if (/^LIMIT_/.test(err.code)) return emuError('EMU_BAD_REQUEST', err.message, {cause: err}); // Other Multer limits
+			return emuError('EMU_INTERNAL', undefined, {cause: err});
+	}
+};
+
+
+/**
+* Respond to a request with an error via `settings.errorHandler`
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} res The original response object
+* @param {Error|string} err The error to respond with, this is converted via normaliseError() first
+*/
+var sendError = function(settings, req, res, err) {
+	err = normaliseError(err);
+	if (auditRecords.has(req)) auditRecords.get(req).error = err;
+	settings.errorHandler(req, res, err.status, err.message, err);
+};
+
+
+/**
+* Call a hook function which can either accept a callback as its last argument or return a promise
+* If a promise is returned its resolved value (or rejection) is passed to the callback. The callback is only ever called once, even if the function does both
+* Errors thrown synchronously by the function are also passed to the callback
+* Functions which do not declare a callback parameter (i.e. take no more arguments than `args`) can also return a plain value synchronously, which is passed to the callback as-is
+* @param {function} func The hook function to call
+* @param {array} args The arguments to call the function with, the callback is appended to these
+* @param {function} callback The callback to invoke as (err, value)
+*/
+var callHook = function(func, args, callback) {
+	var done = _.once(callback);
+	var result;
+
+	try {
+		result = func.apply(this, args.concat([done]));
+	} catch (e) {
+		return done(e);
+	}
+
+	if (result && _.isFunction(result.then)) {
+		result.then(value => done(null, value), err => done(err || emuError('EMU_INTERNAL')));
+	} else if (func.length <= args.length) { // Function has no callback parameter - use its return value
+		done(null, result);
+	}
+};
+
+
+/**
+* Pending tasks for each storage path, keyed by storage driver then storage path
+* Tasks are run one at a time so concurrent requests do not overwrite each others changes
+* @var {WeakMap}
+*/
+var storageQueues = new WeakMap();
+
+
+/**
+* Run a function which reads and updates a storage path, waiting for any other tasks queued against the same path to complete first
+* Tasks must not queue further tasks against the same path as they would never run
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path to serialise tasks against
+* @param {function} task The function to run, called as (done) where done should be called as (err, result) once finished
+* @param {function} callback The callback to invoke as (err, result) once the task has completed
+*/
+var queueTask = function(settings, path, task, callback) {
+	if (!storageQueues.has(settings.storage)) storageQueues.set(settings.storage, {});
+	var queues = storageQueues.get(settings.storage);
+	var queue = queues[path] = queues[path] || [];
+
+	var runNext = ()=> queue[0].task(function(err, result) {
+		var finished = queue.shift();
+		if (queue.length) {
+			runNext();
+		} else {
+			delete queues[path];
+		}
+		finished.callback(err, result);
+	});
+
+	queue.push({task, callback});
+	if (queue.length == 1) runNext();
+};
+
+
+/**
+* Wait for exclusive use of a storage path, for when the work to serialise spans several steps of a larger chain
+* This is queued with queueTask() so the same caveats apply
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path to lock
+* @param {function} callback The callback to invoke as (release) once the lock is held, `release()` must be called once finished so any waiting tasks can run
+*/
+var lockPath = (settings, path, callback) => queueTask(settings, path, release => callback(()=> release()), _.noop);
+
+
+/**
+* Emit a file lifecycle event from the emu() instance handling the request and send it to any matching `settings.webhooks`
+* Every event has the `path` of the file (relative to `settings.path`) and the `req` object, see emu() for the properties of each event
+* @param {Object} settings The EMU settings object for the request
+* @param {string} name The event name e.g. 'uploaded'
+* @param {Object} event The event details
+*/
+var emitEvent = function(settings, name, event) {
+	if (settings.emitter) settings.emitter.emit(name, event);
+	if (auditRecords.has(event.req)) auditRecords.get(event.req).events.push({name, event});
+
+	_.castArray(settings.webhooks || [])
+		.map(hook => _.isString(hook) ? {url: hook} : hook)
+		.filter(hook => !hook.events || _.includes(hook.events, name))
+		.forEach(hook => sendWebhook(settings, hook, name, event));
+};
+
+
+/**
+* Deliver an event to a webhook as a JSON POST request, retrying with an exponential backoff if it fails
+* The body is of the form `{id, event, timestamp, data}` where data is the event without its `req` object. Errors are sent as `{code, status, message}`
+* If `hook.secret` is set the body is signed with HMAC-SHA256 and the hex digest sent in the `X-Emu-Signature` header as `sha256=DIGEST`
+* If all attempts fail a 'webhookFailed' event is emitted as `{url, event, id, error}`
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} hook The webhook to deliver to
+* @param {string} hook.url The URL to POST the event to
+* @param {string} [hook.secret] The secret used to sign the body
+* @param {number} [hook.retries=3] How many times to retry a failed delivery
+* @param {number} [hook.retryDelay=1000] The delay in milliseconds before the first retry, this is doubled for each subsequent retry
+* @param {number} [hook.timeout=10000] How long in milliseconds to wait for a response
+* @param {string} name The event name
+* @param {Object} event The event details
+*/
+var sendWebhook = function(settings, hook, name, event) {
+	hook = _.defaults({}, hook, {retries: 3, retryDelay: 1000, timeout: 10000});
+	var id = crypto.randomUUID();
+	var body = JSON.stringify({
+		id,
+		event: name,
+		timestamp: new Date(),
+		data: _.omit(event, 'req'),
+	}, (key, value) => _.isError(value) ? {code: value.code, status: value.status, message: value.message} : value);
+	var headers = {
+		'Content-Type': 'application/json',
+		'Content-Length': Buffer.byteLength(body),
+		'X-Emu-Event': name,
+		'X-Emu-Delivery': id,
+	};
+	if (hook.secret) headers['X-Emu-Signature'] = 'sha256=' + crypto.createHmac('sha256', hook.secret).update(body).digest('hex');
+
+	var attempt = function(attempts) {
+		var done = _.once(function(err) {
+			if (!err) return;
+			if (attempts < hook.retries) return setTimeout(()=> attempt(attempts + 1), hook.retryDelay * Math.pow(2, attempts));
+			if (settings.emitter) settings.emitter.emit('webhookFailed', {url: hook.url, event: name, id, error: err});
+		});
+
+		var url = new URL(hook.url);
+		var request = (url.protocol == 'https:' ? https : http).request(url, {method: 'POST', headers, timeout: hook.timeout}, function(res) {
+			res.resume();
+			res.on('end', ()=> done(res.statusCode >= 200 && res.statusCode < 300 ? null : new Error(`Webhook responded with ${res.statusCode}`)));
+		});
+		request
+			.on('timeout', ()=> request.destroy(new Error('Webhook timed out')))
+			.on('error', done)
+			.end(body);
+	};
+	attempt(0);
+};
+
+
+/**
+* Audit records of requests currently being handled, keyed by request object
+* Each is an object of the form `{events, error}` where events is an array of `{name, event}` emitted while handling the request (see emitEvent()) and error is any error sent (see sendError())
+* @var {WeakMap}
+*/
+var auditRecords = new WeakMap();
+
+
+/**
+* Record a request in `settings.audit` once its response has been sent
+* The operation is determined by the request method and refined by the events emitted while handling it. Successful uploads write one entry per stored file, all other requests write one entry
+* Each entry is an object of the form `{timestamp, operation, user, ip, method, path, destination, type, size, status, outcome, error, signed}` with undefined properties omitted
+* If writing fails an 'auditFailed' event is emitted as `{entry, error}`
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} res The original response object
+*/
+var auditRequest = function(settings, req, res) {
+	var record = {events: []};
+	var timestamp = new Date();
+	auditRecords.set(req, record);
+
+	var finish = _.once(function() {
+		var lastEvent = _.last(record.events.filter(item => item.name != 'uploaded')) || {};
+		var base = {
+			timestamp,
+			operation: {listed: 'list', read: 'get', moved: 'move', copied: 'copy', restored: 'restore', purged: 'purge'}[lastEvent.name]
+				|| (req.query.upload ? 'post' : null)
+				|| (settings.trash && req.method == 'GET' && _.has(req.query, 'trash') ? 'list' : null)
+				|| {GET: relativePath(req) ? 'get' : 'list', HEAD: 'get', PUT: 'post', MKCOL: 'mkdir', PROPFIND: 'list'}[req.method]
+				|| req.method.toLowerCase(),
+			user: settings.auditUser ? settings.auditUser(req) : undefined,
+			ip: req.ip || (req.socket && req.socket.remoteAddress),
+			method: req.method,
+			path: relativePath(req),
+			destination: req.headers.destination,
+			status: res.statusCode,
+			outcome: !res.writableFinished ? 'aborted' : res.statusCode < 400 ? 'success' : 'failure',
+			error: record.error ? {code: record.error.code, message: record.error.message} : undefined,
+			signed: req.signature ? true : undefined,
+		};
+
+		var uploads = record.events.filter(item => item.name == 'uploaded');
+		var entries = uploads.length && !record.error
+			? uploads.map(item => _.assign({}, base, {path: item.event.path, size: item.event.file.size}))
+			: [_.assign(base, lastEvent.event ? _.pick(lastEvent.event, ['path', 'destination', 'type']) : {}, {
+				size: lastEvent.event && lastEvent.event.file ? lastEvent.event.file.size : undefined,
+			})];
+
+		entries.forEach(entry => {
+			entry = _.omitBy(entry, _.isUndefined);
+			callHook.call(settings.audit, _.isFunction(settings.audit) ? settings.audit : settings.audit.write, [entry], function(err) {
+				if (err && settings.emitter) settings.emitter.emit('auditFailed', {entry, error: err});
+			});
+		});
+		auditRecords.delete(req);
+	});
+
+	res.once('finish', finish);
+	res.once('close', finish);
+};
+
+
 /**
 * Run optional middleware
 * Middleware can be:
 * 	- A function(req, res, next)
-*	- An array of functions(req, res, next) - Functions will be called in sequence, all functions must call the next method
+*	- An array of functions(req, res, next) - Functions will be called in sequence, all functions must call the next method or return a promise (e.g. be an async function)
 *	- A string - If specified (and `obj` is also specified) the middleware to use will be looked up as a key of the object. This is useful if you need to invoke similar methods on different entry points
 *
+* Functions returning a promise continue to the next middleware once it resolves (unless a response has already been sent), see callHook()
+* If the middleware is false, or any middleware function calls `next(err)` or rejects, the request is refused via sendError(). String errors are treated as 403 Forbidden
+*
 * @param {Object} req The original request object
 * @param {Object} res The original response object
 * @param {null|function|array} middleware The optional middleware to run
 * @param {function} callback The callback to invoke when completed. This may not be called
-* @param {object} obj The parent object to look up inherited functions from (if middleware is a string)
+* @param {object} obj The EMU settings object, used to look up inherited functions (if middleware is a string) and to respond with errors
 */
 var runMiddleware = function(req, res, middleware, callback, obj) {
 	var thisContext = this;
 	var runnable; // The middleware ARRAY to run
 
 	if (_.isBoolean(middleware) && !middleware) { // Boolean=false - deny!
-		return res.status(403).end();
+		return sendError(obj, req, res, emuError('EMU_FORBIDDEN'));
 	} else if (_.isUndefined(middleware) || _.isNull(middleware) || middleware === true) { // Nothing to do anyway
 		return callback();
 	} else if (_.isFunction(middleware)) {
 		runnable = [middleware];
 	} else if (_.isArray(middleware)) {
 		runnable = middleware;
-	} else if (_.isString(middleware) && _.has(obj, middleware)) {
-		return runMiddleware(req, res, _.get(obj, middleware), callback, obj); // Defer to the pointer
+	} else if (_.isString(middleware)) {
+		return runMiddleware(req, res, _.get(obj, middleware), callback, obj); // Defer to the pointer (which may itself be unset)
 	}
 
 	async()
 		// Call each middleware in sequence until all have been exhausted {{{
 		.limit(1)
 		.forEach(runnable, function(nextMiddleware, middlewareFunc, index) {
-			middlewareFunc.apply(thisContext, [req, res, nextMiddleware]);
+			callHook.call(thisContext, middlewareFunc, [req, res], function(err) {
+				if (err) return nextMiddleware(err);
+				if (!res.headersSent) nextMiddleware();
+			});
 		})
 		// }}}
 		// Either return an error OR satisfy the original callback {{{
 		.end(function(err) {
 			if (err) {
-				res.sendError(403, err);
+				sendError(obj, req, res, _.isString(err) ? emuError('EMU_FORBIDDEN', err) : err);
 			} else {
 				callback();
 			}
 		});
 		// }}}
 };
-// }}}
 
-var emu = function(options) {
-	if (!_.isObject(options)) throw new Error('An options object must be passed to emu');
-	var settings = _.defaults(options, emu.defaults);
-	settings.expect = Math.min(settings.expect, settings.limit);
 
-	if (!settings.path) throw new Error('Cannot use emu without specifying a storage path');
-	if (_.isString(settings.path)) settings.path = fspath.normalize(fspath.join(emu.defaults.basePath, settings.path)); // Neaten up the settings path so its absolute
+/**
+* Compute a new unique temporary file path within `settings.internalDir`
+* @param {Object} settings The EMU settings object for the request
+* @returns {string} The temporary storage path
+*/
+var tempFile = settings => fspath.join(settings.path, settings.internalDir, 'tmp', `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`);
 
-	return function(req, res, next) {
-		async()
-			// Compute the path if its a function and return a shallow clone of settings with the mutated path
-			.then('settings', function(next) {
-				if (_.isString(settings.path)) { // Don't need to do anything for static paths
-					return next(null, settings);
-				} else if (_.isFunction(settings.path)) { // Run async function and wait for response
-					settings.path(req, res, function(err, computedPath) {
-						next(null, _.chain(settings) // Clone settings (so we don't damage the original) and mutate path to the returned value
-							.clone()
-							.set('path', computedPath)
-							.value()
-						);
-					});
-				} else {
-					throw new Error ('express-middleware-upload setting `path` must be a string or a function');
-				}
-			})
-			// }}}
-			// Call the correct handler based on the incomming method / parameters {{{
-			.then(function(next) {
-				if (req.method == 'GET' && req.params.path) {
-					runMiddleware(req, res, this.settings.get, ()=> emu.get(this.settings, req, res));
-				} else if (req.method == 'GET') {
-					runMiddleware(req, res, this.settings.list, ()=> emu.list(this.settings, req, res));
-				} else if (req.method == 'POST') {
-					runMiddleware(req, res, this.settings.post, ()=> emu.post(this.settings, req, res));
-				} else if (req.method == 'MOVE') {
-					runMiddleware(req, res, this.settings.post, ()=> emu.move(this.settings, req, res));
-				} else if (req.method == 'DELETE') {
-					if (!req.params.path) this.settings.errorHandler(req, res, 400, 'No file path specified');
-					runMiddleware(req, res, this.settings.delete, ()=> emu.delete(this.settings, req, res));
-				}
-				next(); // Drop immediately though to the end so we can release the async object from memory
-			})
-			.end();
-			// }}}
+
+/**
+* Write a stream into a new temporary file within `settings.internalDir`, computing its size and checksum along the way
+* If the write fails (or is refused by `options.check`) the partial temporary file is removed
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} source The readable stream to spool
+* @param {Object} [options] Additional options
+* @param {array} [options.algorithms] Additional hash algorithms to compute (the `settings.hash` algorithm is always computed)
+* @param {function} [options.check] Function called as `(chunk, size)` with each chunk and the total size so far, return an error to abort the write
+* @param {boolean} [options.drain=false] On failure read (and discard) the rest of the source rather than destroying it. Use this for HTTP requests so a response can still be sent
+* @param {function} callback The callback to invoke as (err, {tempPath, size, checksum, hashes})
+*/
+var spoolFile = function(settings, source, options, callback) {
+	var tempPath = tempFile(settings);
+	var algorithms = _.uniq([settings.hash].concat(_.get(options, 'algorithms', [])));
+	var hashes = algorithms.map(algorithm => crypto.createHash(algorithm));
+	var size = 0;
+
+	var abandon = function(err) { // Stop reading the source and give up
+		source.on('error', _.noop);
+		if (_.get(options, 'drain')) {
+			source.resume();
+		} else {
+			source.destroy();
+		}
+		callback(err);
 	};
+
+	var counter = new stream.Transform({
+		transform: function(chunk, enc, next) {
+			size += chunk.length;
+			var err = options && options.check && options.check(chunk, size);
+			if (err) return next(err);
+			hashes.forEach(hash => hash.update(chunk));
+			next(null, chunk);
+		},
+	});
+
+	settings.storage.mkdir(fspath.dirname(tempPath), function(err) {
+		if (err) return abandon(err);
+
+		var writeStream = settings.storage.createWriteStream(tempPath);
+		var fail = _.once(function(err) {
+			source.unpipe(counter);
+			writeStream.destroy();
+			settings.storage.delete(tempPath, ()=> abandon(err));
+		});
+
+		source.on('error', fail);
+		counter.on('error', fail);
+		writeStream.on('error', fail);
+		writeStream.on('finish', ()=> {
+			var digests = _.zipObject(algorithms, hashes.map(hash => hash.digest()));
+			callback(null, {tempPath, size, hashes: digests, checksum: digests[settings.hash].toString('hex')});
+		});
+		source.pipe(counter).pipe(writeStream);
+	});
 };
 
 
 /**
-* Default settings for EMU
-* The contents of this object get merged with every EMU factory call
-* @var {Object}
+* Multer storage engine which streams each uploaded file directly into the storage driver rather than buffering it in memory
+* Files are written to a temporary path inside `settings.internalDir` and moved into their final location by emu.post
+* Each uploaded file is decorated with `tempPath` (where it was written), `size`, `checksum` (the hex digest of its contents using `settings.hash`) and `hashes` (a lookup of algorithm => digest buffer for each requested algorithm)
+* A new engine should be created for each request as it tracks the total upload size
+*
+* @param {Object} settings The EMU settings object for the request
+* @param {array} [algorithms] Additional hash algorithms to compute for each file (e.g. to verify client supplied digests)
+* @param {Object} [quota] The quota status of the storage area (see checkQuota()), the upload is aborted with an 'EMU_QUOTA_EXCEEDED' error as soon as it exceeds the remaining bytes
+* @returns {Object} A Multer compatible storage engine
 */
-emu.defaults = {
-	basePath: '',
-	expect: 0,
-	limit: 0,
-	field: 'file',
-	postPath: 'upload',
-	escape: true,
-	errorHandler: function(req, res, code, message) {
-		res.status(code).send(message).end();
-	},
+var streamingStorage = function(settings, algorithms, quota) {
+	algorithms = _.uniq([settings.hash].concat(algorithms || []));
+	var totalSize = 0; // Combined size of all files seen so far in this request
+
+	return {
+		_handleFile: function(req, file, cb) {
+			var tempPath = tempFile(settings);
+
+			settings.storage.mkdir(fspath.dirname(tempPath), function(err) {
+				if (err) return cb(err);
+
+				var size = 0;
+				var hashes = algorithms.map(algorithm => crypto.createHash(algorithm));
+				var failed = false;
+				var writeStream = settings.storage.createWriteStream(tempPath);
+				var counter = new stream.Transform({
+					transform: function(chunk, enc, next) {
+						size += chunk.length;
+						totalSize += chunk.length;
+						if (settings.maxRequestSize && totalSize > settings.maxRequestSize) return next(emuError('EMU_REQUEST_TOO_LARGE'));
+						if (quota && quota.remaining.bytes !== null && totalSize > quota.remaining.bytes) return next(emuError('EMU_QUOTA_EXCEEDED', undefined, {status: totalSize > quota.limit.bytes ? 413 : 507, quota}));
+						hashes.forEach(hash => hash.update(chunk));
+						next(null, chunk);
+					},
+				});
+
+				var fail = function(err) { // Abandon the write and remove any partial file
+					if (failed) return;
+					failed = true;
+					file.stream.unpipe(counter);
+					file.stream.resume();
+					writeStream.destroy();
+					settings.storage.delete(tempPath, ()=> cb(err));
+				};
+
+				counter.on('error', fail);
+				writeStream.on('error', fail);
+				writeStream.on('finish', ()=> {
+					if (failed) return;
+					var digests = _.zipObject(algorithms, hashes.map(hash => hash.digest()));
+					cb(null, {tempPath, size, hashes: digests, checksum: digests[settings.hash].toString('hex')});
+				});
+				file.stream.pipe(counter).pipe(writeStream);
+			});
+		},
+
+		_removeFile: function(req, file, cb) {
+			settings.storage.delete(file.tempPath, ()=> cb()); // Ignore errors - the file may never have been fully written
+		},
+	};
 };
 
 
 /**
-* List all files at a given path
-* This is the child middleware call of emu
-* @see emu
-* @param {Object} options An options object using the same standard as the parent middleware
-* @param {string} options.path The storage path to use
-* @param {boolean} [options.escape=true] Whether to escape the filename so its URL safe
+* Extract any client supplied digests of the uploaded content from the `Content-Digest` (RFC 9530) and `Content-MD5` headers
+* Digests using algorithms that are not supported are ignored
+* @param {Object} req The original request object
+* @returns {array} An array of objects of the form `{algorithm, digest}` where algorithm is the Node crypto algorithm name and digest is a buffer
+* @throws {Error} An 'EMU_INVALID_HEADER' error if either header is malformed
 */
-emu.list = function(settings, req, res) {
-	async()
-		// Check directory exists {{{
-		.then(function(next) {
-			fs.stat(settings.path, function(err, stat) {
-				if (err && err.code == 'ENOENT') return next('DIRNOTEXIST');
-				if (err) return next('Directory access error - ' + err.toString());
-				if (!stat.isDirectory()) return next('Not a directory');
-				next();
-			});
-		})
-		// }}}
-		// Fetch file listing {{{
-		.then('files', function(next) {
-			fs.readdir(settings.path, next);
-		})
-		// }}}
-		// Decorate listings {{{
-		.map('files', 'files', function(nextFile, path) {
-			fs.stat(fspath.join(settings.path, path), function(err, stat) {
-				nextFile(null, {
-					name: _.isUndefined(settings.escape) || settings.escape ? escape(fspath.basename(path)) : fspath.basename(path),
-					ext: fspath.extname(path).toLowerCase().replace(/^\./, ''),
-					size: stat.size,
-					created: stat.ctime, // Technically this should be stat.birthtime but in our case files are immutable so the change time is more valid
+var requestDigests = function(req) {
+	var algorithms = {'sha-256': 'sha256', 'sha-512': 'sha512', 'sha': 'sha1', 'md5': 'md5'}; // Lookup of HTTP digest algorithm => Node crypto algorithm
+	var digests = [];
+
+	if (req.headers['content-digest']) {
+		req.headers['content-digest'].split(/\s*,\s*/).forEach(item => {
+			var match = /^([a-z0-9-]+)=:([a-z0-9+/=]*):$/i.exec(item);
+			if (!match) throw emuError('EMU_INVALID_HEADER', 'Invalid Content-Digest header');
+			if (algorithms[match[1].toLowerCase()]) digests.push({algorithm: algorithms[match[1].toLowerCase()], digest: Buffer.from(match[2], 'base64')});
+		});
+	}
+
+	if (req.headers['content-md5']) {
+		if (!/^[a-z0-9+/]{22}==$/i.test(req.headers['content-md5'])) throw emuError('EMU_INVALID_HEADER', 'Invalid Content-MD5 header');
+		digests.push({algorithm: 'md5', digest: Buffer.from(req.headers['content-md5'], 'base64')});
+	}
+
+	return digests;
+};
+
+
+/**
+* List the contents of a directory, optionally descending into subdirectories
+* Entries within subdirectories are named by their path relative to the initial directory
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The directory to list
+* @param {number} depth The number of directory levels to list, 1 = only the given directory
+* @param {function} callback The callback to invoke as (err, files)
+*/
+var listRecursive = function(settings, path, depth, callback) {
+	settings.storage.list(path, function(err, files) {
+		if (err) return callback(err);
+		if (depth <= 1) return callback(null, files);
+
+		async()
+			.set('files', files)
+			.forEach(files.filter(file => file.type == 'directory' && file.name != settings.internalDir), function(next, dir) {
+				listRecursive(settings, fspath.join(path, dir.name), depth - 1, (err, children) => {
+					if (err) return next(err);
+					this.files = this.files.concat(children.map(child => _.assign({}, child, {name: dir.name + '/' + child.name})));
+					next();
 				});
+			})
+			.end(function(err) {
+				if (err) return callback(err);
+				callback(null, this.files);
 			});
-		})
-		// }}}
-		// End {{{
-		.end(function(err) {
-			if (err && err == 'DIRNOTEXIST') {
-				res.send([]);
-			} else if (err) {
-				return settings.errorHandler(req, res, 400, err);
-			} else {
-				res.send(this.files);
-			}
+	});
+};
+
+
+/**
+* Describe a file or directory in the form returned by emu.list
+* @param {Object} settings The EMU settings object for the request
+* @param {string} name The path of the file relative to the directory being described
+* @param {Object} stat The storage stat object of the file
+* @returns {Object} The listing entry
+*/
+var fileEntry = function(settings, name, stat) {
+	return {
+		name: _.isUndefined(settings.escape) || settings.escape ? name.split('/').map(escape).join('/') : name,
+		type: stat.type,
+		ext: stat.type == 'file' ? fspath.extname(name).toLowerCase().replace(/^\./, '') : '',
+		size: stat.size,
+		created: stat.created,
+		modified: stat.modified,
+	};
+};
+
+
+/**
+* List the visible contents of a directory (see listRecursive())
+* EMU's internal directory is always omitted, as are hidden files unless `settings.dotfiles` is enabled
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The directory to list
+* @param {number} depth The number of directory levels to list, 1 = only the given directory
+* @param {function} callback The callback to invoke as (err, files). err.code will be 'ENOENT' if the directory does not exist
+*/
+var listVisible = function(settings, path, depth, callback) {
+	settings.storage.stat(path, function(err, stat) {
+		if (err) return callback(err);
+		if (stat.type != 'directory') return callback(emuError('EMU_NOT_A_DIRECTORY'));
+
+		listRecursive(settings, path, depth, function(err, files) {
+			if (err) return callback(err);
+			callback(null, files.filter(file =>
+				file.name != settings.internalDir && !file.name.startsWith(settings.internalDir + '/')
+				&& (settings.dotfiles || !file.name.split('/').some(segment => segment.startsWith('.')))
+			));
 		});
-		// }}}
+	});
 };
 
 
 /**
-* Read a file at the specified path
-* This is the child middleware call of emu
-* @see emu
-* @param {Object} options An options object using the same standard as the parent middleware
-* @param {string} options.path The storage path to use
+* Describe a file or directory in the form returned by emu.list (see fileEntry()) along with its stored metadata
+* Deduplicated files are given their true size and files with a known checksum have it included
+* @param {Object} settings The EMU settings object for the request
+* @param {string} dir The storage path of the directory being listed
+* @param {Object} file The listing entry as returned by listRecursive()
+* @param {function} callback The callback to invoke as (err, entry)
 */
-emu.get = function(settings, req, res) {
+var listingEntry = function(settings, dir, file, callback) {
+	var entry = fileEntry(settings, file.name, file);
+	if (!settings.metadata || file.type != 'file') return callback(null, entry);
+
+	settings.metadata.get(settings, fspath.join(dir, file.name), function(err, metadata) {
+		if (err) return callback(err);
+		if (metadata) {
+			if (metadata.blob) entry.size = metadata.size;
+			if (metadata.checksum) entry.checksum = metadata.checksum;
+			entry.meta = metadata;
+		}
+		callback(null, entry);
+	});
+};
+
+
+/**
+* Compute the URL EMU is mounted on for a request, i.e. `req.baseUrl` without any trailing `:path` parameter segment
+* @param {Object} req The original request object
+* @returns {string} The mount URL (without a trailing slash)
+*/
+var mountUrl = function(req) {
+	var url = req.baseUrl || '';
+	if (req.params.path) url = url.replace(/\/[^\/]*$/, '');
+	return url;
+};
+
+
+/**
+* Stream a ZIP archive of files to the client
+* Directories are included along with all their contents (up to `settings.maxListDepth` levels deep)
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} res The original response object
+* @param {string} path The storage path of the directory the files are relative to
+* @param {array} files The files to include, in the form returned by `settings.storage.list()` (i.e. `{name, type}` where name is relative to `path`)
+*/
+var sendArchive = function(settings, req, res, path, files) {
+	var archive = archiver('zip');
+	var seen = {}; // Names already added - subdirectory contents can appear both as entries and within their directory
+
+	var addFile = function(name, callback) {
+		if (seen[name]) return callback();
+		seen[name] = true;
+
+		resolveFile(settings, fspath.join(path, name), function(err, file) {
+			if (err) return callback(err);
+			if (!isScanned(settings, file)) return callback(); // Leave out files which have not been scanned
+			archive.once('entry', ()=> callback()); // Wait for each file to be written before opening the next
+			archive.append(settings.storage.createReadStream(file.path), {name, date: file.stat.modified});
+		});
+	};
+
+	res.set('Content-Type', 'application/zip');
+	res.set('Content-Disposition', contentDisposition((path == settings.path ? 'files' : fspath.basename(path)) + '.zip'));
+	archive.on('error', err => res.destroy(err));
+	archive.pipe(res);
+
 	async()
-		// Calculate path {{{
-		.then('path', function(next) {
-			next(null, fspath.normalize(`${settings.path}/${req.params.path}`));
-		})
-		// }}}
-		// Check file exists {{{
-		.then(function(next) {
-			fs.access(this.path, function(err) {
-				if (err && err.code == 'ENOENT') return next('File does not exist');
-				if (err) return next('File access error - ' + err.toString());
-				next();
+		.limit(1)
+		.forEach(files, function(next, file) {
+			if (file.type == 'file') return addFile(file.name, next);
+
+			listRecursive(settings, fspath.join(path, file.name), settings.maxListDepth, function(err, children) {
+				if (err) return next(err);
+				async()
+					.limit(1)
+					.forEach(children.filter(child => child.type == 'file'), (nextChild, child) => addFile(`${file.name}/${child.name}`, nextChild))
+					.end(next);
 			});
 		})
-		// }}}
-		// Check file is within upload directory - prevent directory attacks {{{
-		.then(function(next) {
-			if (this.path.substr(0, settings.path.length) != settings.path) return next('File outside of storage directory!');
-			next();
-		})
-		// }}}
-		// End {{{
 		.end(function(err) {
-			if (err && err == 'File does not exist') return settings.errorHandler(req, res, 404, 'File not found');
-			if (err) return settings.errorHandler(req, res, 400, err);
-			res.sendFile(this.path);
-		})
-		// }}}
+			if (err) return res.destroy(err); // Headers already sent - all we can do is abort
+			archive.finalize();
+		});
 };
 
 
 /**
-* Upload a file
-* This is the child middleware call of emu
-* @see emu
-* @param {Object} options An options object using the same standard as the parent middleware
-* @param {string} options.path The storage path to use
+* Send a file from storage to the client
+* This handles conditional requests (ETag / Last-Modified + 304 / 412 responses), caching headers, Content-Disposition and single or multiple byte ranges
+* HEAD requests are responded to with headers only
+*
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} res The original response object
+* @param {Object} file Details about the file to send
+* @param {string} file.path The storage path of the file
+* @param {string} file.filename The filename to report to the client (also used to determine the MIME type)
+* @param {Object} file.stat The storage stat object for the file
+* @param {string} [file.etag] The ETag to use, if omitted a weak ETag is computed from the file size and modified date
 */
-emu.post = function(settings, req, res) {
-	async()
-		// Sanity checks {{{
-		.then(function(next) {
-			if (settings.postPath == 'param') {
-				settings.expect = settings.limit = 1;
-				if (!req.param.path) return next('No filename given in req.params.path');
-			}
-			next();
-		})
+var serveFile = function(settings, req, res, file) {
+	var size = file.stat.size;
+	var modified = new Date(file.stat.modified);
+	var etag = file.etag || `W/"${size.toString(16)}-${modified.getTime().toString(16)}"`;
+	var mimeType = res.type(fspath.extname(file.filename) || 'application/octet-stream').get('Content-Type');
+
+	// Set headers {{{
+	res.set('Accept-Ranges', 'bytes');
+	if (settings.etag) res.set('ETag', etag);
+	if (settings.lastModified) res.set('Last-Modified', modified.toUTCString());
+
+	var cacheControl = _.isFunction(settings.cacheControl) ? settings.cacheControl(req, file) : settings.cacheControl;
+	if (cacheControl) res.set('Cache-Control', cacheControl);
+
+	var disposition = _.has(req.query, 'download') ? 'attachment' : _.isFunction(settings.disposition) ? settings.disposition(req, file) : settings.disposition;
+	if (disposition) res.set('Content-Disposition', contentDisposition(file.filename, {type: disposition}));
+	// }}}
+
+	// Check preconditions {{{
+	var etagMatches = header => header.split(/\s*,\s*/).some(tag => tag == '*' || tag.replace(/^W\//, '') == etag.replace(/^W\//, ''));
+	var modifiedSince = header => Math.floor(modified.getTime() / 1000) > Math.floor(Date.parse(header) / 1000);
+
+	if (
+		(req.headers['if-match'] && !etagMatches(req.headers['if-match']))
+		|| (req.headers['if-unmodified-since'] && modifiedSince(req.headers['if-unmodified-since']))
+	) {
+		return res.status(412).end();
+	}
+
+	if (fresh(req.headers, {etag: res.get('ETag'), 'last-modified': res.get('Last-Modified')})) {
+		return res.status(304).end();
+	}
+	// }}}
+
+	// Compute ranges {{{
+	var ranges;
+	if (
+		req.headers.range
+		&& (
+			!req.headers['if-range'] // No If-Range - always honour the range
+			|| (/"/.test(req.headers['if-range']) ? etagMatches(req.headers['if-range']) : !modifiedSince(req.headers['if-range']))
+		)
+	) {
+		ranges = rangeParser(size, req.headers.range, {combine: true});
+		if (ranges === -1) return res.status(416).set('Content-Range', `bytes */${size}`).end();
+		if (ranges === -2 || ranges.type != 'bytes') ranges = undefined; // Malformed - ignore the header entirely
+	}
+	// }}}
+
+	var pipeRange = function(range, options, cb) {
+		settings.storage.createReadStream(file.path, range)
+			.on('error', err => res.headersSent ? res.destroy(err) : sendError(settings, req, res, err))
+			.on('end', cb || _.noop)
+			.pipe(res, options);
+	};
+
+	if (!ranges) { // Send the whole file {{{
+		res.set('Content-Length', size);
+		if (req.method == 'HEAD') return res.end();
+		pipeRange(undefined);
 		// }}}
-		// Boot multer {{{
-		.then(function(next) {
-			var multerHandle;
+	} else if (ranges.length == 1) { // Send a single range {{{
+		res
+			.status(206)
+			.set('Content-Range', `bytes ${ranges[0].start}-${ranges[0].end}/${size}`)
+			.set('Content-Length', ranges[0].end - ranges[0].start + 1);
+		if (req.method == 'HEAD') return res.end();
+		pipeRange(ranges[0]);
+		// }}}
+	} else { // Send multiple ranges as multipart/byteranges {{{
+		var boundary = crypto.randomBytes(12).toString('hex');
+		var partHeaders = ranges.map(range => `--${boundary}\r\nContent-Type: ${mimeType}\r\nContent-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`);
+		var footer = `--${boundary}--\r\n`;
 
-			if (settings.limit && settings.limit == 1 && settings.field) {
-				multerHandle = multer().single(settings.field);
-			} else if (settings.limit && settings.field) {
-				// FIXME: Not getting expected error back from multer when limit is exceeded.
-				multerHandle = multer().array(settings.field, {maxCount: settings.limit});
-			} else if (settings.field) {
-				multerHandle = multer().array(settings.field);
-			} else {
-				multerHandle = multer().any();
+		res
+			.status(206)
+			.set('Content-Type', `multipart/byteranges; boundary=${boundary}`)
+			.set('Content-Length', _.sum(ranges.map((range, index) => Buffer.byteLength(partHeaders[index]) + range.end - range.start + 1 + 2)) + Buffer.byteLength(footer));
+		if (req.method == 'HEAD') return res.end();
+
+		async()
+			.limit(1)
+			.forEach(ranges, function(next, range, index) {
+				res.write(partHeaders[index]);
+				pipeRange(range, {end: false}, ()=> {
+					res.write('\r\n');
+					next();
+				});
+			})
+			.end(()=> res.end(footer));
+		// }}}
+	}
+};
+
+
+/**
+* Read a JSON file from storage
+* @param {Object} settings The EMU settings object (used to determine the storage driver)
+* @param {string} path The path of the file to read
+* @param {function} callback The callback to invoke as (err, data)
+*/
+var readJSON = function(settings, path, callback) {
+	var chunks = [];
+	settings.storage.createReadStream(path)
+		.on('data', chunk => chunks.push(chunk))
+		.on('error', callback)
+		.on('end', ()=> {
+			try {
+				callback(null, JSON.parse(Buffer.concat(chunks).toString()));
+			} catch (e) {
+				callback(e);
 			}
+		});
+};
 
-			// FIXME: Should this use `req[settings.field]` instead of `req.file`?
-			multerHandle(req, res, function(err) {
+
+/**
+* Write a JSON file into storage, overwriting any existing file
+* @param {Object} settings The EMU settings object (used to determine the storage driver)
+* @param {string} path The path of the file to write
+* @param {*} data The data to write
+* @param {function} callback The callback to invoke as (err)
+*/
+var writeJSON = function(settings, path, data, callback) {
+	settings.storage.mkdir(fspath.dirname(path), function(err) {
+		if (err) return callback(err);
+		settings.storage.createWriteStream(path)
+			.on('error', callback)
+			.on('finish', ()=> callback())
+			.end(JSON.stringify(data));
+	});
+};
+
+
+/**
+* Compute a path within the resumable upload area
+* @param {Object} settings The EMU settings object for the request
+* @param {string} id The upload session ID
+* @param {string} suffix The suffix to append to the session ID (e.g. '.json')
+* @returns {string} The full storage path
+*/
+var resumablePath = (settings, id, suffix) => fspath.join(settings.path, settings.internalDir, 'uploads', id + suffix);
+
+
+/**
+* Fetch a resumable upload session
+* Expired sessions are removed and an error returned
+* @param {Object} settings The EMU settings object for the request
+* @param {string} id The upload session ID
+* @param {function} callback The callback to invoke as (err, session)
+*/
+var loadResumable = function(settings, id, callback) {
+	if (!/^[0-9a-f]{32}$/.test(id)) return callback(emuError('EMU_NOT_FOUND', 'Upload not found'));
+
+	readJSON(settings, resumablePath(settings, id, '.json'), function(err, session) {
+		if (err && err.code == 'ENOENT') return callback(emuError('EMU_NOT_FOUND', 'Upload not found'));
+		if (err) return callback(err);
+		if (new Date(session.expires) < new Date()) return removeResumable(settings, id, ()=> callback(emuError('EMU_EXPIRED')));
+		callback(null, session);
+	});
+};
+
+
+/**
+* Remove a resumable upload session and all of its received chunks
+* @param {Object} settings The EMU settings object for the request
+* @param {string} id The upload session ID
+* @param {function} callback The callback to invoke as (err)
+*/
+var removeResumable = function(settings, id, callback) {
+	var dir = resumablePath(settings, '', '');
+
+	settings.storage.list(dir, function(err, files) {
+		if (err) return callback(err);
+		async()
+			.forEach(files.filter(file => file.name.startsWith(id + '.')), function(next, file) {
+				settings.storage.delete(fspath.join(dir, file.name), next);
+			})
+			.end(callback);
+	});
+};
+
+
+/**
+* Remove all expired resumable upload sessions
+* @param {Object} settings The EMU settings object for the request
+* @param {function} callback The callback to invoke as (err)
+*/
+var gcResumable = function(settings, callback) {
+	var dir = resumablePath(settings, '', '');
+
+	settings.storage.list(dir, function(err, files) {
+		if (err && err.code == 'ENOENT') return callback(); // No sessions yet
+		if (err) return callback(err);
+		async()
+			.forEach(files.filter(file => file.name.endsWith('.json')), function(next, file) {
+				loadResumable(settings, file.name.replace(/\.json$/, ''), ()=> next()); // Loading an expired session removes it
+			})
+			.end(callback);
+	});
+};
+
+
+/**
+* Assemble all chunks of a completed resumable upload session into one file then store it as if it were a regular upload
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} res The original response object
+* @param {Object} session The completed upload session
+* @param {function} callback The callback to invoke as (err). This may not be called if post-processing handles the response itself
+*/
+var finishResumable = function(settings, req, res, session, callback) {
+	var dir = resumablePath(settings, '', '');
+	var file = {
+		fieldname: settings.field,
+		originalname: session.filename,
+		mimetype: session.filetype,
+		tempPath: fspath.join(settings.path, settings.internalDir, 'tmp', session.id),
+		size: session.length,
+		requestPath: session.path,
+	};
+
+	async()
+		// Find all chunks {{{
+		.then('chunks', function(next) {
+			settings.storage.list(dir, function(err, files) {
 				if (err) return next(err);
-				if (!req.files && !req.file) return next('No files uploaded');
-				if (req.file) req.files = req.file;
-				if (settings.expect && req.files.length && req.files.length < settings.expect) return next('Less than expected files uploaded');
-				if (settings.limit && req.files.length && req.files.length > settings.limit) return next('More than file limit uploaded');
-				next();
+				next(null, files
+					.map(file => file.name)
+					.filter(name => name.startsWith(session.id + '.') && name.endsWith('.part'))
+					.sort()
+				);
 			});
 		})
 		// }}}
-		// Check base directory exists {{{
+		// Concatenate the chunks into a temporary file {{{
 		.then(function(next) {
-			mkdirp(settings.path, next)
+			settings.storage.mkdir(fspath.dirname(file.tempPath), next);
 		})
-		// }}}
-		// For each file... {{{
-		.set('req', req)
-		.forEach('req.files', function(nextFile, file) {
+		.then(function(next) {
+			var hash = crypto.createHash(settings.hash);
+			var writeStream = settings.storage.createWriteStream(file.tempPath)
+				.on('error', next)
+				.on('finish', ()=> {
+					file.checksum = hash.digest('hex');
+					next();
+				});
+
 			async()
-				// Determine the storage path {{{
-				.then('filePath', function(next) {
-					var filePath;
-					switch (settings.postPath) {
-						case 'upload':
-							filePath = fspath.join(settings.path, file.originalname);
-							break;
-						case 'param':
-							filePath = fspath.join(settings.path, req.params.path);
-							break;
-						case 'dir':
-							filePath = fspath.join(settings.path, req.params.path, file.originalname);
-							break;
-					}
-					filePath = fspath.normalize(filePath);
-					next(null, filePath);
-				})
-				// }}}
-				// Create its sub-dir if needed {{{
-				.then(function(next) {
-					if (settings.postPath != 'dir') return next(); // Using flat file storage if not 'dir'
-					mkdirp(fspath.dirname(this.filePath), next);
-				})
-				// }}}
-				// Write the file {{{
-				.then(function(next) {
-					file.storagePath = this.filePath;
-					fs.writeFile(this.filePath, file.buffer, next);
+				.limit(1)
+				.forEach(this.chunks, function(nextChunk, chunk) {
+					settings.storage.createReadStream(fspath.join(dir, chunk))
+						.on('error', nextChunk)
+						.on('data', data => hash.update(data))
+						.on('end', ()=> nextChunk())
+						.pipe(writeStream, {end: false});
 				})
-				// }}}
-				// End {{{
-				.end(nextFile)
-				// }}}
+				.end(function(err) {
+					if (err) return next(err);
+					writeStream.end();
+				});
 		})
 		// }}}
-		// Call post processing behaviour {{{
+		// Remove the session {{{
 		.then(function(next) {
-			if (!settings.postProcessing || (_.isArray(settings.postProcessing) && !settings.postProcessing.length)) return next(); // Skip if no middleware
-			runMiddleware(req, res, settings.postProcessing, next);
+			removeResumable(settings, session.id, next);
+		})
+		// }}}
+		// Store the file {{{
+		.then(function(next) {
+			req.files = [file];
+			storeUploads(settings, req, res, next);
 		})
 		// }}}
 		// End {{{
 		.end(function(err) {
-			if (err) return settings.errorHandler(req, res, 400, err);
-			res.send({});
-		})
+			if (err && !file.storagePath) settings.storage.delete(file.tempPath, _.noop);
+			callback(err);
+		});
 		// }}}
 };
 
 
 /**
-* Delete a file
-* This is the child middleware call of emu
-* @see emu
-* @param {Object} options An options object using the same standard as the parent middleware
-* @param {string} options.path The storage path to use
+* Known file signatures used to sniff the real type of uploaded files
+* Each entry has the MIME type, the file extensions which are legitimately stored in that format and the bytes to match (at an optional offset)
+* @var {array}
 */
-emu.delete = function(settings, req, res) {
+var magicNumbers = [
+	{mime: 'image/png', exts: ['png'], bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]},
+	{mime: 'image/jpeg', exts: ['jpg', 'jpeg', 'jpe'], bytes: [0xFF, 0xD8, 0xFF]},
+	{mime: 'image/gif', exts: ['gif'], bytes: 'GIF8'},
+	{mime: 'image/webp', exts: ['webp'], bytes: 'WEBP', offset: 8},
+	{mime: 'image/bmp', exts: ['bmp'], bytes: 'BM'},
+	{mime: 'image/tiff', exts: ['tif', 'tiff'], bytes: [0x49, 0x49, 0x2A, 0x00]},
+	{mime: 'image/tiff', exts: ['tif', 'tiff'], bytes: [0x4D, 0x4D, 0x00, 0x2A]},
+	{mime: 'image/x-icon', exts: ['ico'], bytes: [0x00, 0x00, 0x01, 0x00]},
+	{mime: 'application/pdf', exts: ['pdf'], bytes: '%PDF-'},
+	{mime: 'application/zip', exts: ['zip', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub', 'jar', 'apk'], bytes: [0x50, 0x4B, 0x03, 0x04]},
+	{mime: 'application/zip', exts: ['zip'], bytes: [0x50, 0x4B, 0x05, 0x06]},
+	{mime: 'application/gzip', exts: ['gz', 'tgz'], bytes: [0x1F, 0x8B]},
+	{mime: 'application/x-bzip2', exts: ['bz2'], bytes: 'BZh'},
+	{mime: 'application/x-7z-compressed', exts: ['7z'], bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]},
+	{mime: 'application/vnd.rar', exts: ['rar'], bytes: 'Rar!'},
+	{mime: 'application/x-tar', exts: ['tar'], bytes: 'ustar', offset: 257},
+	{mime: 'application/x-cfb', exts: ['doc', 'xls', 'ppt', 'msi', 'msg'], bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]},
+	{mime: 'application/x-msdownload', exts: ['exe', 'dll', 'com', 'scr', 'sys'], bytes: 'MZ'},
+	{mime: 'application/x-elf', exts: ['so', 'o', 'elf', 'bin'], bytes: [0x7F, 0x45, 0x4C, 0x46]},
+	{mime: 'application/wasm', exts: ['wasm'], bytes: [0x00, 0x61, 0x73, 0x6D]},
+	{mime: 'audio/mpeg', exts: ['mp3'], bytes: 'ID3'},
+	{mime: 'audio/ogg', exts: ['ogg', 'oga', 'ogv', 'opus'], bytes: 'OggS'},
+	{mime: 'audio/flac', exts: ['flac'], bytes: 'fLaC'},
+	{mime: 'audio/wav', exts: ['wav'], bytes: 'WAVE', offset: 8},
+	{mime: 'video/x-msvideo', exts: ['avi'], bytes: 'AVI ', offset: 8},
+	{mime: 'video/mp4', exts: ['mp4', 'm4v', 'm4a', 'mov', '3gp', 'heic', 'avif'], bytes: 'ftyp', offset: 4},
+	{mime: 'video/webm', exts: ['webm', 'mkv'], bytes: [0x1A, 0x45, 0xDF, 0xA3]},
+];
+
+
+/**
+* File extensions whose contents can be recognised from magicNumbers
+* Files with any other extension (e.g. plain text) can legitimately start with anything so are not checked against their sniffed type
+* @var {array}
+*/
+var sniffableExts = _.uniq(_.flatMap(magicNumbers, 'exts'));
+
+
+/**
+* Determine the type of a file from its first few bytes
+* @param {Buffer} head The first bytes of the file (at least 262 bytes if available)
+* @returns {Object|undefined} The matching entry from magicNumbers or undefined if the type could not be determined
+*/
+var sniffType = head => magicNumbers.find(magic => {
+	var bytes = Buffer.from(magic.bytes);
+	var offset = magic.offset || 0;
+	return head.length >= offset + bytes.length && head.slice(offset, offset + bytes.length).equals(bytes);
+});
+
+
+/**
+* Move an infected upload out of its temporary path into quarantine within `settings.internalDir`
+* A JSON record of the upload is written alongside the quarantined file so it can be reviewed, quarantined files are never served or removed by EMU
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} file The uploaded file, decorated with its `scan` result
+* @param {function} callback The callback to invoke as (err)
+*/
+var quarantineFile = function(settings, req, file, callback) {
+	var dest = fspath.join(settings.path, settings.internalDir, 'quarantine', fspath.basename(file.tempPath));
+
 	async()
-		// Calculate path {{{
-		.then('path', function(next) {
-			next(null, fspath.normalize(`${settings.path}/${req.params.path}`));
+		.then(function(next) {
+			settings.storage.mkdir(fspath.dirname(dest), next);
 		})
-		// }}}
-		// Delete {{{
 		.then(function(next) {
-			fs.unlink(this.path, next);
+			settings.storage.rename(file.tempPath, dest, next);
 		})
-		// }}}
-		// End {{{
-		.end(function(err) {
-			if (err) return settings.errorHandler(req, res, 400, err);
-			res.sendStatus(200).end();
+		.then(function(next) {
+			file.quarantinePath = dest;
+			writeJSON(settings, dest + '.json', {
+				originalname: file.originalname,
+				mimetype: file.mimetype,
+				size: file.size,
+				checksum: file.checksum,
+				uploadedBy: settings.uploadedBy ? settings.uploadedBy(req) : undefined,
+				scan: file.scan,
+			}, next);
 		})
-		// }}}
+		.end(callback);
 };
 
 
 /**
-* Move / rename a file
-* This is the child middleware call of emu
-* @see emu
-* @param {Object} options An options object using the same standard as the parent middleware
-* @param {string} options.path The storage path to use
+* Determine if a file can be served when `settings.scan` is enabled
+* Files are only served if their metadata records a clean scan, so files stored before scanning was enabled (or added to storage by other means) are refused
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} file The file as returned by resolveFile()
+* @returns {boolean} Whether the file can be served
+*/
+var isScanned = (settings, file) => !settings.scan || file.stat.type != 'file' || _.get(file.metadata, 'scan.status') == 'clean';
+
+
+/**
+* Check all uploaded files (`req.files`) against `settings.accept`, the `accept` restriction of a signed URL (`req.signature`), `settings.scan` and `settings.validate`
+* All files are checked before returning so the error can list every rejected file
+* Each file is decorated with `detectedType` (the MIME type as determined by its contents or extension) and `scan` (the scan result, if scanning)
+* If any files are rejected the callback is called with an error with the code 'EMU_REJECTED', a `status` (415 for type failures, 422 otherwise) and a `files` array of `{name, reason}` objects
+* If any files are infected the error code is 'EMU_INFECTED' instead, infected files are moved into quarantine (see quarantineFile())
+*
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {function} callback The callback to invoke as (err)
 */
-emu.move = function(settings, req, res) {
+var validateUploads = function(settings, req, callback) {
+	var accepts = _.compact([settings.accept, req.signature && req.signature.accept]) // Files must satisfy both `settings.accept` and the restrictions of a signed URL
+		.map(accept => _.castArray(accept).map(type => type.toLowerCase()));
+	var rejected = [];
+
 	async()
-		// Sanity checks {{{
-		.then(function(next) {
-			if (!req.headers.destination) return next('Destination header not specified');
-			next();
-		})
-		// }}}
-		// Calculate path {{{
-		.then('path', function(next) {
-			next(null, fspath.normalize(`${settings.path}/${req.params.path}`));
-		})
-		// }}}
-		// Move {{{
-		.then(function(next) {
-			fs.rename(this.path, fspath.join(fspath.dirname(this.path), fspath.basename(req.headers.destination)), next);
+		.forEach(req.files, function(nextFile, file, index) {
+			var ext = fspath.extname(file.originalname).toLowerCase().replace(/^\./, '');
+			var extType = mimeTypes.lookup(ext) || 'application/octet-stream';
+
+			Object.defineProperty(file, 'createReadStream', { // Allow validators to examine the file contents
+				configurable: true,
+				enumerable: false,
+				value: options => settings.storage.createReadStream(file.tempPath, options),
+			});
+
+			async()
+				// Sniff the file type {{{
+				.then('sniffed', function(next) {
+					if (!accepts.length || !settings.sniff) return next();
+					var chunks = [];
+					file.createReadStream({start: 0, end: 261})
+						.on('data', chunk => chunks.push(chunk))
+						.on('error', next)
+						.on('end', ()=> next(null, sniffType(Buffer.concat(chunks))));
+				})
+				// }}}
+				// Check file type {{{
+				.then(function(next) {
+					var sniffable = _.includes(sniffableExts, ext);
+					file.detectedType = this.sniffed && (sniffable || !mimeTypes.lookup(ext)) ? this.sniffed.mime : extType; // Trust the extension of files we can't sniff (e.g. a text file which happens to start with "MZ")
+					if (!accepts.length) return next();
+
+					if (this.sniffed && sniffable && !_.includes(this.sniffed.exts, ext)) return next({status: 415, reason: `File contents (${this.sniffed.mime}) do not match the file extension`});
+					if (!accepts.every(accept => accept.some(type =>
+						type.startsWith('.') ? type == '.' + ext
+						: type.endsWith('/*') ? file.detectedType.startsWith(type.replace(/\*$/, ''))
+						: type == file.detectedType
+					))) return next({status: 415, reason: `File type ${file.detectedType} is not accepted`});
+					next();
+				})
+				// }}}
+				// Scan for malware {{{
+				.then(function(next) {
+					if (!settings.scan) return next();
+					callHook.call(settings.scan, _.isFunction(settings.scan) ? settings.scan : settings.scan.scan, [file], function(err, result) {
+						if (err) return next(emuError('EMU_SCAN_FAILED', undefined, {cause: err}));
+						if (!_.isObject(result)) return next(emuError('EMU_SCAN_FAILED', 'Scanner did not return a result'));
+
+						file.scan = _.omitBy({
+							status: result.infected ? 'infected' : 'clean',
+							virus: result.infected ? result.virus || 'Unknown' : undefined,
+							scanned: new Date(),
+						}, _.isUndefined);
+						if (!result.infected) return next();
+
+						quarantineFile(settings, req, file, function(err) {
+							if (err) return next(err);
+							next({status: 422, infected: true, reason: `File is infected with ${file.scan.virus}`});
+						});
+					});
+				})
+				// }}}
+				// Run custom validation {{{
+				.then(function(next) {
+					if (!settings.validate) return next();
+					callHook(settings.validate, [file, req], function(err, result) {
+						if (err) result = err; // Thrown / rejected errors reject the file with their message
+						if (result === undefined || result === true) return next();
+						next({status: 422, reason: result === false ? 'File failed validation' : _.isError(result) ? result.message : result.toString()});
+					});
+				})
+				// }}}
+				// End {{{
+				.end(function(err) {
+					if (err && err.reason) {
+						rejected[index] = {name: file.originalname, status: err.status, reason: err.reason, infected: err.infected};
+						return nextFile();
+					}
+					nextFile(err);
+				});
+				// }}}
 		})
-		// }}}
-		// End {{{
 		.end(function(err) {
-			if (err) return settings.errorHandler(req, res, 400, err);
-			res.sendStatus(200).end();
-		})
-		// }}}
+			if (err) return callback(err);
+			rejected = _.compact(rejected);
+			if (!rejected.length) return callback();
+
+			if (rejected.some(file => file.infected)) return callback(emuError('EMU_INFECTED', rejected.length == 1 ? undefined : 'Files rejected', {
+				files: rejected.map(file => _.pick(file, ['name', 'reason'])),
+			}));
+
+			callback(emuError('EMU_REJECTED', rejected.length == 1 ? 'File rejected' : 'Files rejected', {
+				status: rejected.some(file => file.status == 415) ? 415 : 422,
+				files: rejected.map(file => _.pick(file, ['name', 'reason'])),
+			}));
+		});
+};
+
+
+/**
+* Determine where an uploaded file should be stored if a file already exists at its intended path
+* The behaviour is determined by `settings.onConflict`:
+*
+* 	- 'overwrite' - Replace the existing file
+* 	- 'reject' - Refuse the upload with a 409 error
+* 	- 'rename' - Append a number to the filename (e.g. `report-1.pdf`, `report-2.pdf`) until it is unique
+* 	- 'uuid' - Store the file under a randomly generated name (keeping the file extension)
+* 	- A function - Called as `(file, req, [callback])` and should return (or resolve a promise / call back with) one of the above or a new filename to use within the same directory, see callHook()
+*
+* Custom filenames must be a single valid path segment (see sanitizePath()), anything else rejects the upload
+*
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} file The uploaded file
+* @param {string} filePath The intended storage path of the file
+* @param {function} callback The callback to invoke as (err, filePath) with the final storage path
+*/
+var resolveConflict = function(settings, req, file, filePath, callback) {
+	var exists = function(path, cb) {
+		settings.storage.stat(path, function(err) {
+			if (err && err.code == 'ENOENT') return cb(null, false);
+			if (err) return cb(err);
+			cb(null, true);
+		});
+	};
+
+	var applyPolicy = function(policy) {
+		var dir = fspath.dirname(filePath);
+		var ext = fspath.extname(filePath);
+		var base = fspath.basename(filePath, ext);
+
+		if (policy == 'overwrite') {
+			callback(null, filePath);
+		} else if (policy == 'reject') {
+			callback(emuError('EMU_CONFLICT', undefined, {
+				files: [{name: file.originalname, reason: 'File already exists'}],
+			}));
+		} else if (policy == 'rename') {
+			var tryIndex = function(index) {
+				var candidate = fspath.join(dir, `${base}-${index}${ext}`);
+				exists(candidate, function(err, exists) {
+					if (err) return callback(err);
+					if (exists) return tryIndex(index + 1);
+					callback(null, candidate);
+				});
+			};
+			tryIndex(1);
+		} else if (policy == 'uuid') {
+			var id = crypto.randomBytes(16).toString('hex').replace(/^(.{8})(.{4}).(.{3}).(.{3})(.{12})$/, '$1-$2-4$3-a$4-$5'); // Format as a v4 UUID
+			callback(null, fspath.join(dir, id + ext));
+		} else if (_.isString(policy) && policy) { // Custom filename
+			if (policy == '.' || policy == '..' || /[\/\\]/.test(policy)) return callback(emuError('EMU_INVALID_PATH', 'Conflict filename must not contain a path'));
+			var customPath;
+			try {
+				customPath = sanitizePath(settings, fspath.join(fspath.relative(settings.path, dir), policy));
+			} catch (e) {
+				return callback(e);
+			}
+			callback(null, customPath);
+		} else {
+			callback(emuError('EMU_INTERNAL', `Invalid onConflict behaviour: ${policy}`));
+		}
+	};
+
+	exists(filePath, function(err, exists) {
+		if (err) return callback(err);
+		if (!exists) return callback(null, filePath);
+		if (!_.isFunction(settings.onConflict)) return applyPolicy(settings.onConflict);
+
+		callHook(settings.onConflict, [file, req], function(err, policy) {
+			if (err) return callback(err);
+			applyPolicy(policy);
+		});
+	});
+};
+
+
+/**
+* Compute the storage path of a content-addressed blob
+* @param {Object} settings The EMU settings object for the request
+* @param {string} checksum The hex digest of the blob contents
+* @returns {string} The storage path of the blob, its reference count is stored alongside as `<path>.json`
+*/
+var blobPath = (settings, checksum) => fspath.join(settings.path, settings.internalDir, 'blobs', settings.hash, checksum.substr(0, 2), checksum);
+
+
+/**
+* Adjust the reference count of a content-addressed blob without queueing, see refBlob()
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the blob
+* @param {number} change The amount to adjust the reference count by
+* @param {function} callback The callback to invoke as (err)
+*/
+var updateBlobRefs = function(settings, path, change, callback) {
+	readJSON(settings, path + '.json', function(err, refs) {
+		if (err && err.code != 'ENOENT') return callback(err);
+		var count = (refs ? refs.count : 0) + change;
+
+		if (count > 0) return writeJSON(settings, path + '.json', {count}, callback);
+
+		settings.storage.delete(path, function(err) {
+			if (err && err.code != 'ENOENT') return callback(err);
+			settings.storage.delete(path + '.json', function(err) {
+				if (err && err.code != 'ENOENT') return callback(err);
+				callback();
+			});
+		});
+	});
+};
+
+
+/**
+* Adjust the reference count of a content-addressed blob, removing the blob if nothing refers to it anymore
+* Changes to the same blob are applied one at a time, see queueTask()
+* @param {Object} settings The EMU settings object for the request
+* @param {string} checksum The hex digest of the blob contents
+* @param {number} change The amount to adjust the reference count by
+* @param {function} callback The callback to invoke as (err)
+*/
+var refBlob = function(settings, checksum, change, callback) {
+	var path = blobPath(settings, checksum);
+	queueTask(settings, path, done => updateBlobRefs(settings, path, change, done), callback);
+};
+
+
+/**
+* Move an uploaded file into the content-addressed blob store
+* If a blob with identical contents already exists the uploaded copy is discarded, either way the blob reference count is incremented
+* This is queued against the blob path along with refBlob() so concurrent uploads of the same contents are counted correctly
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} file The uploaded file, must have `tempPath` + `checksum`
+* @param {function} callback The callback to invoke as (err)
+*/
+var storeBlob = function(settings, file, callback) {
+	var path = blobPath(settings, file.checksum);
+
+	queueTask(settings, path, function(done) {
+		settings.storage.stat(path, function(err) {
+			if (err && err.code != 'ENOENT') return done(err);
+			if (!err) { // Already have this content - discard the upload
+				return settings.storage.delete(file.tempPath, function(err) {
+					if (err) return done(err);
+					updateBlobRefs(settings, path, 1, done);
+				});
+			}
+
+			settings.storage.mkdir(fspath.dirname(path), function(err) {
+				if (err) return done(err);
+				settings.storage.rename(file.tempPath, path, function(err) {
+					if (err) return done(err);
+					updateBlobRefs(settings, path, 1, done);
+				});
+			});
+		});
+	}, callback);
+};
+
+
+/**
+* Resolve a storage path into the details needed to read it
+* This takes into account deduplicated files, whose contents are held in the blob store rather than at their own path
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the file
+* @param {function} callback The callback to invoke as (err, {path, stat, metadata}) where `path` is the storage path to read the contents from and `stat.size` is the true size of the contents
+*/
+var resolveFile = function(settings, path, callback) {
+	settings.storage.stat(path, function(err, stat) {
+		if (err) return callback(err);
+		if (!settings.metadata || stat.type != 'file') return callback(null, {path, stat, metadata: null});
+
+		settings.metadata.get(settings, path, function(err, metadata) {
+			if (err) return callback(err);
+			if (!metadata || !metadata.blob) return callback(null, {path, stat, metadata});
+			callback(null, {
+				path: blobPath(settings, metadata.checksum),
+				stat: _.assign({}, stat, {size: metadata.size}),
+				metadata,
+			});
+		});
+	});
+};
+
+
+/**
+* MIME types that image variants can be generated from
+* @var {array}
+*/
+var imageTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+
+
+/**
+* Determine whether variants can be generated for a file
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The path (or filename) of the file
+* @returns {boolean} Whether the file is an image and variants are configured
+*/
+var hasVariants = (settings, path) => !_.isEmpty(settings.variants) && _.includes(imageTypes, mimeTypes.lookup(path));
+
+
+/**
+* Compute the URLs of each variant of a file
+* @param {Object} settings The EMU settings object for the request
+* @param {string} url The URL of the original file
+* @param {string} path The path (or filename) of the original file
+* @returns {Object|undefined} A lookup of variant name => URL or undefined if the file has no variants
+*/
+var variantUrls = (settings, url, path) => hasVariants(settings, path) ? _.mapValues(settings.variants, (variant, name) => `${url}?variant=${encodeURIComponent(name)}`) : undefined;
+
+
+/**
+* Compute the storage path of a variant of a file
+* Variants are stored within `settings.internalDir` mirroring the path of the original file e.g. `/data/.emu/variants/photos/cat.jpg@thumb.webp`
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the original file
+* @param {string} name The name of the variant
+* @returns {string} The storage path of the variant
+*/
+var variantPath = function(settings, path, name) {
+	var format = settings.variants[name].format;
+	var ext = !format ? fspath.extname(path) : format == 'jpeg' ? '.jpg' : '.' + format;
+	return fspath.join(settings.path, settings.internalDir, 'variants', `${fspath.relative(settings.path, path)}@${name}${ext}`);
+};
+
+
+/**
+* Generate a single variant of an image, replacing any existing copy
+* The variant is written to a temporary path first so readers never see a partially written variant
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the original file
+* @param {string} name The name of the variant to generate
+* @param {function} callback The callback to invoke as (err, variantPath)
+*/
+var generateVariant = function(settings, path, name, callback) {
+	var variant = settings.variants[name];
+	var dest = variantPath(settings, path, name);
+	var tempPath = tempFile(settings);
+
+	async()
+		// Find the original contents {{{
+		.then('file', function(next) {
+			resolveFile(settings, path, next);
+		})
+		// }}}
+		// Resize into a temporary file {{{
+		.then(function(next) {
+			settings.storage.mkdir(fspath.dirname(tempPath), next);
+		})
+		.then(function(next) {
+			var transform = sharp()
+				.rotate() // Respect EXIF orientation
+				.resize({
+					width: variant.width,
+					height: variant.height,
+					fit: variant.fit || 'inside',
+					withoutEnlargement: true,
+				});
+			if (variant.format) transform.toFormat(variant.format, variant.quality ? {quality: variant.quality} : {});
+
+			var done = _.once(next);
+			settings.storage.createReadStream(this.file.path)
+				.on('error', done)
+				.pipe(transform)
+				.on('error', done)
+				.pipe(settings.storage.createWriteStream(tempPath))
+				.on('error', done)
+				.on('finish', ()=> done());
+		})
+		// }}}
+		// Move into place {{{
+		.then(function(next) {
+			settings.storage.mkdir(fspath.dirname(dest), next);
+		})
+		.then(function(next) {
+			settings.storage.rename(tempPath, dest, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) {
+				settings.storage.delete(tempPath, _.noop);
+				return callback(err);
+			}
+			callback(null, dest);
+		});
+		// }}}
+};
+
+
+/**
+* Remove all variants of a file
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the original file
+* @param {function} callback The callback to invoke as (err)
+*/
+var removeVariants = function(settings, path, callback) {
+	if (!hasVariants(settings, path)) return callback();
+
+	async()
+		.forEach(_.keys(settings.variants), function(next, name) {
+			settings.storage.delete(variantPath(settings, path, name), function(err) {
+				if (err && err.code != 'ENOENT') return next(err);
+				next();
+			});
+		})
+		.end(callback);
+};
+
+
+/**
+* Move all variants of a file to follow the original
+* @param {Object} settings The EMU settings object for the request
+* @param {string} from The original storage path of the file
+* @param {string} to The new storage path of the file
+* @param {function} callback The callback to invoke as (err)
+*/
+var moveVariants = function(settings, from, to, callback) {
+	if (!hasVariants(settings, from)) return callback();
+	if (!hasVariants(settings, to)) return removeVariants(settings, from, callback); // No longer an image - variants are now useless
+
+	async()
+		.forEach(_.keys(settings.variants), function(next, name) {
+			var src = variantPath(settings, from, name);
+			var dest = variantPath(settings, to, name);
+
+			settings.storage.stat(src, function(err) {
+				if (err && err.code == 'ENOENT') return next();
+				if (err) return next(err);
+				settings.storage.mkdir(fspath.dirname(dest), function(err) {
+					if (err) return next(err);
+					settings.storage.rename(src, dest, next);
+				});
+			});
+		})
+		.end(callback);
+};
+
+
+/**
+* Compute the storage path of a previous version of a file
+* Versions are stored within `settings.internalDir` mirroring the path of the file e.g. `/data/.emu/versions/reports/sales.pdf@v2.pdf`
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the file
+* @param {number} version The version number
+* @returns {string} The storage path of the version
+*/
+var versionPath = (settings, path, version) => fspath.join(settings.path, settings.internalDir, 'versions', `${fspath.relative(settings.path, path)}@v${version}${fspath.extname(path)}`);
+
+
+/**
+* Compute the storage path of the version index of a file
+* The index is an object of the form `{current, versions}` where current is the version number of the file as it stands and versions is an array of the previous versions (oldest first) each of the form `{version, size, checksum, uploaded, uploadedBy, archived}`
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the file
+* @returns {string} The storage path of the version index
+*/
+var versionsIndexPath = (settings, path) => fspath.join(settings.path, settings.internalDir, 'versions', `${fspath.relative(settings.path, path)}@versions.json`);
+
+
+/**
+* Fetch the version index of a file
+* Files which have never been overwritten have no index, these are treated as being on version 1
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the file
+* @param {function} callback The callback to invoke as (err, index)
+*/
+var loadVersions = function(settings, path, callback) {
+	readJSON(settings, versionsIndexPath(settings, path), function(err, index) {
+		if (err && err.code == 'ENOENT') return callback(null, {current: 1, versions: []});
+		callback(err, index);
+	});
+};
+
+
+/**
+* Remove the previous versions of a file which exceed `settings.versionsMaxCount` or are older than `settings.versionsMaxAge`
+* The index is updated but not saved
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the file
+* @param {Object} index The version index of the file (see versionsIndexPath())
+* @param {function} callback The callback to invoke as (err, index)
+*/
+var pruneVersions = function(settings, path, index, callback) {
+	var expired = index.versions.filter((version, offset) =>
+		(settings.versionsMaxCount && offset < index.versions.length - settings.versionsMaxCount)
+		|| (settings.versionsMaxAge && new Date(version.archived) < Date.now() - settings.versionsMaxAge)
+	);
+
+	async()
+		.limit(1)
+		.forEach(expired, function(next, version) {
+			removeFile(settings, versionPath(settings, path, version.version), function(err) {
+				if (err && err.code == 'ENOENT') return next();
+				next(err);
+			});
+		})
+		.end(function(err) {
+			if (err) return callback(err);
+			index.versions = _.difference(index.versions, expired);
+			callback(null, index);
+		});
+};
+
+
+/**
+* Keep the current contents of a file as a previous version so it can be replaced
+* The file is moved (along with its metadata) to its version path, leaving nothing at the original path. Image variants of the file are removed
+* Versions which are no longer needed are pruned (see pruneVersions()), versions continue to count towards `settings.quota` until they are pruned
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the file
+* @param {function} callback The callback to invoke as (err, index) where index is the updated version index, its `current` being the version number of the replacement
+*/
+var archiveVersion = function(settings, path, callback) {
+	async()
+		// Fetch the index + file details {{{
+		.then('index', function(next) {
+			loadVersions(settings, path, next);
+		})
+		.then('file', function(next) {
+			resolveFile(settings, path, next);
+		})
+		.then('dest', function(next) {
+			next(null, versionPath(settings, path, this.index.current));
+		})
+		// }}}
+		// Move the contents + metadata {{{
+		.then(function(next) {
+			removeVariants(settings, path, next);
+		})
+		.then(function(next) {
+			settings.storage.mkdir(fspath.dirname(this.dest), next);
+		})
+		.then(function(next) {
+			settings.storage.rename(path, this.dest, next);
+		})
+		.then(function(next) {
+			if (!settings.metadata) return next();
+			settings.metadata.move(settings, path, this.dest, next);
+		})
+		// }}}
+		// Update the index {{{
+		.then(function(next) {
+			this.index.versions.push(_.omitBy({
+				version: this.index.current,
+				size: this.file.stat.size,
+				checksum: _.get(this.file.metadata, 'checksum'),
+				uploaded: _.get(this.file.metadata, 'uploaded') || this.file.stat.modified,
+				uploadedBy: _.get(this.file.metadata, 'uploadedBy'),
+				archived: new Date(),
+			}, _.isUndefined));
+			this.index.current++;
+			pruneVersions(settings, path, this.index, next);
+		})
+		.then(function(next) {
+			writeJSON(settings, versionsIndexPath(settings, path), this.index, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return callback(err);
+			callback(null, this.index);
+		});
+		// }}}
+};
+
+
+/**
+* Remove all previous versions of a file along with its version index
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the file
+* @param {function} callback The callback to invoke as (err)
+*/
+var removeVersions = function(settings, path, callback) {
+	if (!settings.versions) return callback();
+
+	readJSON(settings, versionsIndexPath(settings, path), function(err, index) {
+		if (err && err.code == 'ENOENT') return callback(); // Never overwritten
+		if (err) return callback(err);
+
+		async()
+			.limit(1)
+			.forEach(index.versions, function(next, version) {
+				removeFile(settings, versionPath(settings, path, version.version), function(err) {
+					if (err && err.code == 'ENOENT') return next();
+					next(err);
+				});
+			})
+			.then(function(next) {
+				settings.storage.delete(versionsIndexPath(settings, path), next);
+			})
+			.end(callback);
+	});
+};
+
+
+/**
+* Move all previous versions of a file along with its version index to follow the file
+* @param {Object} settings The EMU settings object for the request
+* @param {string} from The original storage path of the file
+* @param {string} to The new storage path of the file
+* @param {function} callback The callback to invoke as (err)
+*/
+var moveVersions = function(settings, from, to, callback) {
+	if (!settings.versions) return callback();
+
+	readJSON(settings, versionsIndexPath(settings, from), function(err, index) {
+		if (err && err.code == 'ENOENT') return callback(); // Never overwritten
+		if (err) return callback(err);
+
+		async()
+			.then(function(next) {
+				settings.storage.mkdir(fspath.dirname(versionPath(settings, to, index.current)), next);
+			})
+			.limit(1)
+			.forEach(index.versions, function(next, version) {
+				movePath(settings, versionPath(settings, from, version.version), versionPath(settings, to, version.version), function(err) {
+					if (err && err.code == 'ENOENT') return next();
+					next(err);
+				});
+			})
+			.then(function(next) {
+				writeJSON(settings, versionsIndexPath(settings, to), index, next);
+			})
+			.then(function(next) {
+				settings.storage.delete(versionsIndexPath(settings, from), next);
+			})
+			.end(callback);
+	});
+};
+
+
+/**
+* Determine the type of an archive from its filename
+* @param {string} filename The filename to examine
+* @returns {string|undefined} Either 'zip', 'tar', 'tgz' or undefined if the file is not a supported archive
+*/
+var archiveType = function(filename) {
+	if (/\.zip$/i.test(filename)) return 'zip';
+	if (/\.(tar\.gz|tgz)$/i.test(filename)) return 'tgz';
+	if (/\.tar$/i.test(filename)) return 'tar';
+};
+
+
+/**
+* Replace any uploaded archives in `req.files` with the files they contain
+* Each contained file is written to its own temporary path and can then be stored as if it had been uploaded directly, its `originalname` is its path within the archive
+* Entries which would be extracted outside of the upload directory (zip-slip) or into `settings.internalDir` are refused, entries which are not regular files (e.g. symlinks) are skipped
+* Hidden entries (e.g. `.DS_Store`) are skipped unless `settings.dotfiles` is set
+*
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {function} callback The callback to invoke as (err)
+*/
+var extractArchives = function(settings, req, callback) {
+	var files = []; // Replacement for req.files
+	var entries = 0; // Number of entries extracted so far
+	var totalSize = 0; // Combined uncompressed size of all entries so far
+	var reject = (file, status, reason) => emuError('EMU_REJECTED', reason, {status, files: [{name: file.originalname, reason}]});
+
+	/**
+	* Spool a single archive entry into a temporary file
+	* @param {Object} file The uploaded archive the entry belongs to
+	* @param {string} name The path of the entry within the archive
+	* @param {Object} source The readable stream of the entry contents
+	* @param {function} cb The callback to invoke as (err)
+	*/
+	var addEntry = function(file, name, source, cb) {
+		var abandon = function(err) { // Stop reading the entry and give up
+			source.on('error', _.noop);
+			source.destroy();
+			cb(err);
+		};
+
+		var base = fspath.dirname(file.originalname);
+		var entryName = fspath.normalize(fspath.join(base == '.' ? '' : base, name.replace(/\\/g, '/')));
+		if (fspath.isAbsolute(name) || entryName.split('/')[0] == '..' || entryName.split('/')[0] == settings.internalDir) return abandon(reject(file, 422, `Unsafe path in archive: ${name}`));
+		if (!settings.dotfiles && entryName.split('/').some(segment => segment.startsWith('.'))) return abandon(); // Skip hidden files (e.g. `.DS_Store`)
+		if (settings.extractMaxEntries && ++entries > settings.extractMaxEntries) return abandon(reject(file, 413, 'Archive contains too many files'));
+
+		spoolFile(settings, source, {
+			check: function(chunk, size) {
+				totalSize += chunk.length;
+				if (settings.maxFileSize && size > settings.maxFileSize) return emuError('EMU_FILE_TOO_LARGE');
+				if (settings.extractMaxSize && totalSize > settings.extractMaxSize) return reject(file, 413, 'Archive is too large once extracted');
+			},
+		}, function(err, spooled) {
+			if (err) return cb(err);
+			files.push(_.assign({
+				fieldname: file.fieldname,
+				originalname: entryName,
+				mimetype: mimeTypes.lookup(entryName) || 'application/octet-stream',
+			}, spooled));
+			cb();
+		});
+	};
+
+	async()
+		// Extract each archive in turn {{{
+		.limit(1)
+		.forEach(req.files, function(nextFile, file) {
+			var type = archiveType(file.originalname);
+			if (!type) { // Not an archive - keep as is
+				files.push(file);
+				return nextFile();
+			}
+
+			var done = _.once(nextFile);
+
+			if (type == 'zip') {
+				var reader = new yauzl.RandomAccessReader(); // Read the central directory + entries directly from storage rather than buffering the archive
+				reader._readStreamForRange = (start, end) => end > start ? settings.storage.createReadStream(file.tempPath, {start, end: end - 1}) : stream.Readable.from([]);
+
+				yauzl.fromRandomAccessReader(reader, file.size, {lazyEntries: true}, function(err, zipFile) {
+					if (err) return done(reject(file, 422, 'Invalid ZIP archive'));
+
+					zipFile.on('error', err => done(reject(file, 422, `Invalid ZIP archive - ${err.message}`)));
+					zipFile.on('end', ()=> done());
+					zipFile.on('entry', entry => {
+						if (entry.fileName.endsWith('/')) return zipFile.readEntry(); // Directory - these are created as needed
+						var fileType = (entry.externalFileAttributes >>> 16) & 0o170000; // Unix file type bits, zero if the archive wasn't made on Unix
+						if (fileType && fileType != 0o100000) return zipFile.readEntry(); // Skip symlinks and other special entries
+
+						zipFile.openReadStream(entry, function(err, entryStream) {
+							if (err) return done(reject(file, 422, `Invalid ZIP archive - ${err.message}`));
+							addEntry(file, entry.fileName, entryStream, function(err) {
+								if (err) {
+									zipFile.close();
+									return done(err);
+								}
+								zipFile.readEntry();
+							});
+						});
+					});
+					zipFile.readEntry();
+				});
+			} else { // tar / tgz
+				var extract = tar.extract();
+				var source = settings.storage.createReadStream(file.tempPath).on('error', done);
+
+				extract.on('entry', function(header, entryStream, nextEntry) {
+					if (header.type != 'file') { // Skip directories, links and other special entries
+						entryStream.resume();
+						return nextEntry();
+					}
+					addEntry(file, header.name, entryStream, function(err) {
+						if (err) {
+							source.destroy();
+							extract.destroy();
+							return done(err);
+						}
+						nextEntry();
+					});
+				});
+				extract.on('error', err => done(reject(file, 422, 'Invalid tar archive')));
+				extract.on('finish', ()=> done());
+
+				(type == 'tgz' ? source.pipe(zlib.createGunzip().on('error', ()=> done(reject(file, 422, 'Invalid tar archive')))) : source).pipe(extract);
+			}
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) { // Remove everything extracted so far - the original uploads are left for the caller to clean up
+				files
+					.filter(file => !_.includes(req.files, file))
+					.forEach(file => settings.storage.delete(file.tempPath, _.noop));
+				return callback(err);
+			}
+
+			req.files // Remove the archives themselves
+				.filter(file => !_.includes(files, file))
+				.forEach(file => settings.storage.delete(file.tempPath, _.noop));
+
+			req.files = files;
+			callback();
+		});
+		// }}}
+};
+
+
+
+
+/**
+* Remove a single file along with its metadata, image variants, previous versions and any deduplicated blob reference
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the file
+* @param {function} callback The callback to invoke as (err)
+*/
+var removeFile = function(settings, path, callback) {
+	async()
+		// Fetch metadata {{{
+		.then('metadata', function(next) {
+			if (!settings.metadata) return next();
+			settings.metadata.get(settings, path, next);
+		})
+		.then('stat', function(next) {
+			settings.storage.stat(path, next);
+		})
+		// }}}
+		// Delete {{{
+		.then(function(next) {
+			settings.storage.delete(path, next);
+		})
+		// }}}
+		// Remove metadata {{{
+		.then(function(next) {
+			if (!settings.metadata) return next();
+			settings.metadata.delete(settings, path, next);
+		})
+		// }}}
+		// Release the blob if the file was deduplicated {{{
+		.then(function(next) {
+			if (!this.metadata || !this.metadata.blob) return next();
+			refBlob(settings, this.metadata.checksum, -1, next);
+		})
+		// }}}
+		// Remove image variants + previous versions {{{
+		.then(function(next) {
+			removeVariants(settings, path, next);
+		})
+		.then(function(next) {
+			removeVersions(settings, path, next);
+		})
+		// }}}
+		// Update the storage usage {{{
+		.then(function(next) {
+			changeUsage(settings, -(this.metadata && this.metadata.blob ? this.metadata.size : this.stat.size), -1, next);
+		})
+		// }}}
+		// End {{{
+		.end(callback);
+		// }}}
+};
+
+
+/**
+* Remove a file or a directory along with all its contents
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path of the file or directory
+* @param {function} callback The callback to invoke as (err)
+*/
+var removePath = function(settings, path, callback) {
+	settings.storage.stat(path, function(err, stat) {
+		if (err) return callback(err);
+		if (stat.type == 'file') return removeFile(settings, path, callback);
+
+		settings.storage.list(path, function(err, files) {
+			if (err) return callback(err);
+			async()
+				.limit(1)
+				.forEach(files, function(next, file) {
+					removePath(settings, fspath.join(path, file.name), next);
+				})
+				.end(function(err) {
+					if (err) return callback(err);
+					settings.storage.rmdir(path, callback);
+				});
+		});
+	});
+};
+
+
+/**
+* Copy a file or a directory along with all its contents
+* Metadata is copied with each file, image variants are not copied and will be regenerated on demand
+* The parent directory of the destination must already exist and the destination itself must not
+* @param {Object} settings The EMU settings object for the request
+* @param {string} from The storage path to copy from
+* @param {string} to The storage path to copy to
+* @param {function} callback The callback to invoke as (err)
+*/
+var copyPath = function(settings, from, to, callback) {
+	resolveFile(settings, from, function(err, file) {
+		if (err) return callback(err);
+
+		if (file.stat.type == 'directory') {
+			return async()
+				.then(function(next) {
+					settings.storage.mkdir(to, next);
+				})
+				.then('files', function(next) {
+					settings.storage.list(from, next);
+				})
+				.limit(1)
+				.forEach('files', function(next, child) {
+					copyPath(settings, fspath.join(from, child.name), fspath.join(to, child.name), next);
+				})
+				.end(callback);
+		}
+
+		async()
+			// Copy the contents (or just reference the same blob if deduplicated) {{{
+			.then(function(next) {
+				var done = _.once(next);
+				if (file.metadata && file.metadata.blob) {
+					return settings.storage.createWriteStream(to)
+						.on('error', done)
+						.on('finish', ()=> refBlob(settings, file.metadata.checksum, 1, done))
+						.end();
+				}
+
+				settings.storage.createReadStream(file.path)
+					.on('error', done)
+					.pipe(settings.storage.createWriteStream(to))
+					.on('error', done)
+					.on('finish', ()=> done());
+			})
+			// }}}
+			// Copy metadata {{{
+			.then(function(next) {
+				if (!file.metadata) return next();
+				settings.metadata.set(settings, to, file.metadata, next);
+			})
+			// }}}
+			// Update the storage usage {{{
+			.then(function(next) {
+				changeUsage(settings, file.stat.size, 1, next);
+			})
+			// }}}
+			.end(callback);
+	});
+};
+
+
+/**
+* Move a file or a directory along with all its contents, metadata, image variants and previous versions
+* The parent directory of the destination must already exist and the destination itself must not
+* @param {Object} settings The EMU settings object for the request
+* @param {string} from The storage path to move from
+* @param {string} to The storage path to move to
+* @param {function} callback The callback to invoke as (err)
+*/
+var movePath = function(settings, from, to, callback) {
+	async()
+		// Move {{{
+		.then('stat', function(next) {
+			settings.storage.stat(from, next);
+		})
+		.then(function(next) {
+			settings.storage.rename(from, to, next);
+		})
+		// }}}
+		// Carry over metadata {{{
+		.then(function(next) {
+			if (!settings.metadata) return next();
+			settings.metadata.move(settings, from, to, next);
+		})
+		// }}}
+		// Carry over image variants + previous versions {{{
+		.then(function(next) {
+			if (this.stat.type != 'file') return next();
+			moveVariants(settings, from, to, next);
+		})
+		.then(function(next) {
+			if (this.stat.type != 'file') return next();
+			moveVersions(settings, from, to, next);
+		})
+		.then(function(next) {
+			if (this.stat.type != 'directory') return next();
+
+			// Moving a directory - move the mirrored directories of variants + versions
+			async()
+				.forEach(_.compact([!_.isEmpty(settings.variants) && 'variants', settings.versions && 'versions']), function(nextArea, area) {
+					var mirrorDir = path => fspath.join(settings.path, settings.internalDir, area, fspath.relative(settings.path, path));
+					settings.storage.stat(mirrorDir(from), function(err) {
+						if (err && err.code == 'ENOENT') return nextArea();
+						if (err) return nextArea(err);
+						settings.storage.mkdir(fspath.dirname(mirrorDir(to)), function(err) {
+							if (err) return nextArea(err);
+							settings.storage.rename(mirrorDir(from), mirrorDir(to), nextArea);
+						});
+					});
+				})
+				.end(next);
+		})
+		// }}}
+		.end(callback);
+};
+
+
+
+
+/**
+* Copy or move a file or directory, checking the operation is allowed first
+* Errors specific to the operation are returned with the following codes:
+*
+* 	- 'EMU_FORBIDDEN' - The source or destination is the storage root or the destination is within the source
+* 	- 'EMU_NOT_FOUND' - The source does not exist
+* 	- 'EMU_NO_PARENT' - The parent directory of the destination does not exist (and `options.mkdir` is not set) or is not a directory
+* 	- 'EMU_EXISTS' - The destination already exists and `options.overwrite` is not set
+*
+* @param {Object} settings The EMU settings object for the request
+* @param {string} operation Either 'copy' or 'move'
+* @param {string} from The storage path to copy / move from
+* @param {string} to The storage path to copy / move to
+* @param {Object} [options] Additional options
+* @param {boolean} [options.overwrite=false] Replace the destination if it already exists
+* @param {boolean} [options.mkdir=false] Create the parent directory of the destination if it does not exist
+* @param {boolean} [options.shallow=false] When copying a directory only create the destination directory and do not copy its contents
+* @param {function} callback The callback to invoke as (err, existed) where existed indicates that the destination was replaced
+*/
+var transferPath = function(settings, operation, from, to, options, callback) {
+	if (_.isFunction(options)) [options, callback] = [{}, options];
+
+	async()
+		// Sanity checks {{{
+		.then(function(next) {
+			if (from == settings.path || to == settings.path || to == from || to.startsWith(from + '/')) return next(emuError('EMU_FORBIDDEN', 'Invalid destination'));
+			next();
+		})
+		.then('stat', function(next) {
+			settings.storage.stat(from, function(err, stat) {
+				if (err && err.code == 'ENOENT') return next(emuError('EMU_NOT_FOUND'));
+				next(err, stat);
+			});
+		})
+		.then(function(next) {
+			var parent = fspath.dirname(to);
+			settings.storage.stat(parent, function(err, stat) {
+				if (err && err.code == 'ENOENT' && (options.mkdir || parent == settings.path)) return settings.storage.mkdir(parent, next);
+				if (err && err.code == 'ENOENT') return next(emuError('EMU_NO_PARENT', 'Destination directory does not exist'));
+				if (err) return next(err);
+				if (stat.type != 'directory') return next(emuError('EMU_NO_PARENT', 'Destination directory is not a directory'));
+				next();
+			});
+		})
+		.then('existed', function(next) {
+			settings.storage.stat(to, function(err) {
+				if (err && err.code == 'ENOENT') return next(null, false);
+				if (err) return next(err);
+				if (!options.overwrite) return next(emuError('EMU_EXISTS', 'Destination already exists'));
+				next(null, true);
+			});
+		})
+		// }}}
+		// Remove the existing destination {{{
+		.then(function(next) {
+			if (!this.existed) return next();
+			removePath(settings, to, next);
+		})
+		// }}}
+		// Copy / move {{{
+		.then(function(next) {
+			if (operation == 'move') return movePath(settings, from, to, next);
+			if (this.stat.type == 'directory' && options.shallow) return settings.storage.mkdir(to, next);
+			copyPath(settings, from, to, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return callback(err);
+			callback(null, this.existed);
+		});
+		// }}}
+};
+
+
+/**
+* Copy or move a file or directory (see transferPath()), creating any missing parent directories of the destination
+* @param {Object} settings The EMU settings object for the request
+* @param {string} operation Either 'copy' or 'move'
+* @param {string} from The storage path to copy / move from
+* @param {string} to The storage path to copy / move to
+* @param {boolean} overwrite Replace the destination if it already exists
+* @param {function} callback The callback to invoke as (err, entry) where entry is the listing entry of the destination
+*/
+var transferEntry = function(settings, operation, from, to, overwrite, callback) {
+	transferPath(settings, operation, from, to, {overwrite, mkdir: true}, function(err) {
+		if (err) return callback(err);
+		settings.storage.stat(to, function(err, stat) {
+			if (err) return callback(err);
+			callback(null, fileEntry(settings, fspath.relative(settings.path, to), stat));
+		});
+	});
+};
+
+
+/**
+* Compute a path within the trash area
+* Each trashed item is stored as `ID/NAME` (keeping its original name so metadata and image variants follow it) along with a record of the deletion as `ID.json`
+* @param {Object} settings The EMU settings object for the request
+* @param {string} id The trash item ID
+* @param {string} suffix The suffix to append to the item ID (e.g. '.json')
+* @returns {string} The full storage path
+*/
+var trashPath = (settings, id, suffix) => fspath.join(settings.path, settings.internalDir, 'trash', id + suffix);
+
+
+/**
+* Move a file or directory into the trash instead of removing it
+* Metadata, deduplicated blobs and image variants are kept with the item so it can be restored intact, trashed items continue to count towards `settings.quota` until they are purged
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object, used to determine who deleted the item
+* @param {string} path The storage path to trash
+* @param {function} callback The callback to invoke as (err, record) where record is of the form `{id, path, type, size, files, deleted, deletedBy, expires}`
+*/
+var moveToTrash = function(settings, req, path, callback) {
+	var id = crypto.randomBytes(16).toString('hex');
+
+	async()
+		// Size up what we are trashing {{{
+		.then('stat', function(next) {
+			settings.storage.stat(path, next);
+		})
+		.then('usage', function(next) {
+			walkUsage(settings, path, next);
+		})
+		// }}}
+		// Move into the trash {{{
+		.then(function(next) {
+			settings.storage.mkdir(trashPath(settings, id, ''), next);
+		})
+		.then(function(next) {
+			movePath(settings, path, fspath.join(trashPath(settings, id, ''), fspath.basename(path)), next);
+		})
+		// }}}
+		// Record the deletion {{{
+		.then('record', function(next) {
+			var deleted = new Date();
+			var record = _.omitBy({
+				id,
+				path: fspath.relative(settings.path, path),
+				type: this.stat.type,
+				size: this.usage.bytes,
+				files: this.usage.files,
+				deleted,
+				deletedBy: settings.uploadedBy ? settings.uploadedBy(req) : undefined,
+				expires: settings.trashRetention ? new Date(deleted.getTime() + settings.trashRetention) : undefined,
+			}, _.isUndefined);
+
+			writeJSON(settings, trashPath(settings, id, '.json'), record, err => next(err, record));
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return callback(err);
+			callback(null, this.record);
+		});
+		// }}}
+};
+
+
+/**
+* Fetch the record of a trashed item
+* Expired items are purged and an error returned
+* @param {Object} settings The EMU settings object for the request
+* @param {string} id The trash item ID
+* @param {function} callback The callback to invoke as (err, record)
+*/
+var loadTrash = function(settings, id, callback) {
+	if (!/^[0-9a-f]{32}$/.test(id)) return callback(emuError('EMU_NOT_FOUND', 'Not found in trash'));
+
+	readJSON(settings, trashPath(settings, id, '.json'), function(err, record) {
+		if (err && err.code == 'ENOENT') return callback(emuError('EMU_NOT_FOUND', 'Not found in trash'));
+		if (err) return callback(err);
+		if (record.expires && new Date(record.expires) < new Date()) return purgeTrash(settings, record, undefined, ()=> callback(emuError('EMU_NOT_FOUND', 'Not found in trash')));
+		callback(null, record);
+	});
+};
+
+
+/**
+* Permanently remove a trashed item along with its metadata, blobs and variants
+* A 'purged' event is emitted once the item has been removed
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} record The trash record of the item
+* @param {Object} [req] The original request object, if the item is being purged by a request rather than because it expired
+* @param {function} callback The callback to invoke as (err)
+*/
+var purgeTrash = function(settings, record, req, callback) {
+	async()
+		.then(function(next) {
+			removePath(settings, trashPath(settings, record.id, ''), function(err) {
+				if (err && err.code == 'ENOENT') return next(); // Item already gone - just remove the record
+				next(err);
+			});
+		})
+		.then(function(next) {
+			settings.storage.delete(trashPath(settings, record.id, '.json'), next);
+		})
+		.end(function(err) {
+			if (err) return callback(err);
+			emitEvent(settings, 'purged', {path: record.path, type: record.type, trash: record, req});
+			callback();
+		});
+};
+
+
+/**
+* Purge all trashed items which have passed their retention period
+* @param {Object} settings The EMU settings object for the request
+* @param {function} callback The callback to invoke as (err, records) where records are those of the items remaining in the trash
+*/
+var gcTrash = function(settings, callback) {
+	var dir = trashPath(settings, '', '');
+	var records = [];
+
+	settings.storage.list(dir, function(err, files) {
+		if (err && err.code == 'ENOENT') return callback(null, records); // Nothing trashed yet
+		if (err) return callback(err);
+		async()
+			.limit(1)
+			.forEach(files.filter(file => file.name.endsWith('.json')), function(next, file) {
+				loadTrash(settings, file.name.replace(/\.json$/, ''), function(err, record) { // Loading an expired item purges it
+					if (record) records.push(record);
+					next();
+				});
+			})
+			.end(err => callback(err, records));
+	});
+};
+
+
+/**
+* Delete a file or directory along with its metadata, blobs and variants, or move it into the trash if `settings.trash` is enabled
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object, used to determine who deleted the path
+* @param {string} path The storage path to delete
+* @param {boolean} recursive Allow directories which are not empty to be deleted along with all their contents
+* @param {function} callback The callback to invoke as (err, {stat, trash}) where trash is the trash record (if moved into the trash)
+*/
+var deletePath = function(settings, req, path, recursive, callback) {
+	async()
+		// Sanity checks {{{
+		.then(function(next) {
+			if (path == settings.path) return next(emuError('EMU_FORBIDDEN', 'Cannot delete the root directory'));
+			next();
+		})
+		// }}}
+		// Check what we are deleting {{{
+		.then('stat', function(next) {
+			settings.storage.stat(path, next);
+		})
+		.then(function(next) {
+			if (this.stat.type != 'directory' || recursive) return next();
+			settings.storage.list(path, function(err, files) {
+				if (err) return next(err);
+				if (files.length) return next(emuError('EMU_NOT_EMPTY'));
+				next();
+			});
+		})
+		// }}}
+		// Delete or move into the trash {{{
+		.then(function(next) {
+			if (!settings.trash) return next();
+			gcTrash(settings, err => next(err));
+		})
+		.then('trash', function(next) {
+			if (settings.trash) return moveToTrash(settings, req, path, next);
+			removePath(settings, path, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return callback(err);
+			callback(null, {stat: this.stat, trash: this.trash});
+		});
+		// }}}
+};
+
+
+/**
+* Compute the path of the request relative to the EMU mount point
+* This is `req.params.path` along with any further path segments (e.g. `foo/bar/baz.txt` when mounted as `/files/:path?` and requesting `/files/foo/bar/baz.txt`)
+* @param {Object} req The original request object
+* @returns {string} The relative path (without leading or trailing slashes), an empty string is the mount point itself
+*/
+var relativePath = function(req) {
+	var rest = req.path && req.path != '/' ? req.path.replace(/^\/+|\/+$/g, '') : '';
+	try {
+		rest = rest.split('/').map(decodeURIComponent).join('/');
+	} catch (e) {
+		// Leave malformed encodings as they are
+	}
+	return _.compact([req.params.path, rest]).join('/');
+};
+
+
+/**
+* Compute the HMAC signature of a signed URL
+* The URL path is decoded and any trailing slashes removed so the same signature is produced however the client encodes it
+* @param {string} key The signing key
+* @param {string} method The HTTP method the URL is signed for
+* @param {string} path The URL path (without the query string)
+* @param {Object} claims The signed restrictions
+* @param {number} claims.expires The expiry time of the URL as a JavaScript timestamp
+* @param {number} [claims.maxSize] The maximum upload size in bytes
+* @param {array} [claims.accept] The accepted upload MIME types / file extensions
+* @returns {string} The base64url encoded signature
+*/
+var urlSignature = function(key, method, path, claims) {
+	try {
+		path = path.split('/').map(decodeURIComponent).join('/');
+	} catch (e) {
+		// Leave malformed encodings as they are
+	}
+
+	return crypto.createHmac('sha256', key)
+		.update([
+			method.toUpperCase(),
+			path.replace(/\/+$/, ''),
+			claims.expires,
+			claims.maxSize || '',
+			(claims.accept || []).join(','),
+		].join('\n'))
+		.digest('base64url');
+};
+
+
+/**
+* Check the signature of a request made to a signed URL (see emu.sign())
+* Signatures are checked against all keys in `settings.signingKeys` so old keys can be kept while URLs signed with them are still in use, removing a key revokes all URLs signed with it
+* A URL signed for GET can also be used for HEAD requests
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @returns {Object|undefined} The signed restrictions, of the form `{method, expires, maxSize, accept}`, or undefined if the request is not signed (or signing is not enabled)
+* @throws {Error} An 'EMU_EXPIRED' error if the URL has expired or an 'EMU_FORBIDDEN' error if the signature is invalid
+*/
+var verifySignature = function(settings, req) {
+	if (!settings.signingKeys || !req.query.signature) return;
+
+	var method = req.method == 'HEAD' ? 'GET' : req.method;
+	var claims = {
+		expires: parseInt(req.query.expires),
+		maxSize: req.query.maxSize ? parseInt(req.query.maxSize) : undefined,
+		accept: req.query.accept ? req.query.accept.toString().split(',') : undefined,
+	};
+	var signature = Buffer.from(req.query.signature.toString());
+
+	if (!_.castArray(settings.signingKeys).some(key => {
+		var expected = Buffer.from(urlSignature(key, method, req.originalUrl.replace(/\?.*$/, ''), claims));
+		return expected.length == signature.length && crypto.timingSafeEqual(expected, signature);
+	})) throw emuError('EMU_FORBIDDEN', 'Invalid signature');
+
+	if (claims.expires < Date.now()) throw emuError('EMU_EXPIRED', 'Signed URL has expired');
+
+	return _.assign({method}, claims);
+};
+
+
+/**
+* Filenames which cannot be used on Windows filesystems (with or without an extension)
+* @var {RegExp}
+*/
+var reservedNames = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+
+/**
+* Sanitise a user supplied path and convert it into a storage path
+* This is the only way user input (URL paths, uploaded filenames, destinations etc.) should become a storage path
+* Paths are Unicode normalised (NFC), backslashes are treated as directory seperators and empty / '.' segments are removed
+* The following are refused:
+*
+* 	- Control characters (including null bytes)
+* 	- Any '..' segments
+* 	- Paths longer than `settings.maxPathLength` bytes or with any one segment longer than 255 bytes
+* 	- Paths within `settings.internalDir`
+* 	- Reserved names (e.g. 'CON', 'NUL.txt') and names ending in a dot or space
+* 	- Hidden files / directories (starting with a dot) unless `settings.dotfiles` is truthy
+*
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The user supplied path, relative to `settings.path`
+* @returns {string} The storage path, this is `settings.path` itself if the path is empty
+* @throws {Error} An error created by emuError() with the code 'EMU_INVALID_PATH' (400), 'EMU_FORBIDDEN_PATH' (403) or 'EMU_PATH_TOO_LONG' (414) if the path is refused
+*/
+var sanitizePath = function(settings, path) {
+	if (!_.isString(path)) path = '';
+	if (/[\x00-\x1f\x7f]/.test(path)) throw emuError('EMU_INVALID_PATH', 'Path contains control characters');
+
+	var segments = path
+		.normalize('NFC')
+		.replace(/\\/g, '/')
+		.split('/')
+		.filter(segment => segment && segment != '.');
+
+	if (segments.some(segment => segment == '..')) throw emuError('EMU_FORBIDDEN_PATH', 'Path traversal is not allowed');
+	if (settings.maxPathLength && Buffer.byteLength(segments.join('/')) > settings.maxPathLength) throw emuError('EMU_PATH_TOO_LONG', 'Path too long');
+	if (segments.some(segment => Buffer.byteLength(segment) > 255)) throw emuError('EMU_PATH_TOO_LONG', 'Filename too long');
+	if (segments[0] == settings.internalDir) throw emuError('EMU_FORBIDDEN_PATH', 'Path is reserved');
+	if (segments.some(segment => reservedNames.test(segment) || /[. ]$/.test(segment))) throw emuError('EMU_INVALID_PATH', 'Reserved filename');
+	if (!settings.dotfiles && segments.some(segment => segment.startsWith('.'))) throw emuError('EMU_FORBIDDEN_PATH', 'Hidden files are not allowed');
+
+	var resolved = fspath.join(settings.path, ...segments);
+	if (resolved != settings.path && !resolved.startsWith(settings.path.replace(/\/$/, '') + '/')) throw emuError('EMU_FORBIDDEN_PATH', 'Path outside of storage directory'); // Should never happen but check anyway
+	return resolved;
+};
+
+
+/**
+* Sanitise a user supplied path (see sanitizePath()) then, if the storage driver supports `realpath()`, check it does not escape `settings.path` via a symlink
+* As the path may not exist yet (e.g. a new upload) its nearest existing parent directory is checked instead
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The user supplied path, relative to `settings.path`
+* @param {function} callback The callback to invoke as (err, storagePath)
+*/
+var resolvePath = function(settings, path, callback) {
+	try {
+		path = sanitizePath(settings, path);
+	} catch (e) {
+		return callback(e);
+	}
+
+	if (!settings.storage.realpath) return callback(null, path);
+
+	/**
+	* Find the real path of a storage path or its nearest existing parent
+	* @param {string} path The storage path to examine
+	* @param {function} cb The callback to invoke as (err, realPath), realPath is undefined if nothing exists down to `settings.path`
+	*/
+	var realpath = (path, cb) => settings.storage.realpath(path, function(err, real) {
+		if (err && err.code == 'ENOENT' && path != settings.path) return realpath(fspath.dirname(path), cb);
+		if (err && err.code == 'ENOENT') return cb();
+		cb(err, real);
+	});
+
+	async()
+		.parallel({
+			root: next => realpath(settings.path, next),
+			real: next => realpath(path, next),
+		})
+		.end(function(err) {
+			if (err) return callback(err);
+			if (this.real && this.root && this.real != this.root && !this.real.startsWith(this.root.replace(/\/$/, '') + '/')) return callback(emuError('EMU_FORBIDDEN_PATH', 'Path outside of storage directory'));
+			callback(null, path);
+		});
+};
+
+
+/**
+* Escape a string for use within XML
+* @param {string} str The string to escape
+* @returns {string} The escaped string
+*/
+var xmlEscape = str => String(str).replace(/[<>&'"]/g, c => ({'<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'})[c]);
+
+
+/**
+* Active WebDAV locks for each storage driver
+* Each value is a lookup of storage path => array of locks held on that path (several if they are shared), each of the form `{token, owner, scope, depth, timeout, expires}`
+* @var {WeakMap}
+*/
+var davLocks = new WeakMap();
+
+
+/**
+* Find the active WebDAV locks covering a path, either locks on the path itself or depth infinity locks on one of its parent directories
+* Expired locks are removed
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path to examine
+* @returns {array} The lock objects, empty if the path is not locked
+*/
+var findLocks = function(settings, path) {
+	if (!davLocks.has(settings.storage)) davLocks.set(settings.storage, {});
+	var locks = davLocks.get(settings.storage);
+
+	_.forEach(locks, (pathLocks, lockPath) => {
+		_.remove(pathLocks, lock => lock.expires < Date.now());
+		if (!pathLocks.length) delete locks[lockPath];
+	});
+
+	return _.flatMap(locks, (pathLocks, lockPath) => pathLocks.filter(lock => lockPath == path || (lock.depth == 'infinity' && path.startsWith(lockPath + '/'))));
+};
+
+
+/**
+* Remove a WebDAV lock from whichever path holds it
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} lock The lock object to remove
+*/
+var removeLock = function(settings, lock) {
+	var locks = davLocks.get(settings.storage);
+
+	_.forEach(locks, (pathLocks, lockPath) => {
+		_.pull(pathLocks, lock);
+		if (!pathLocks.length) delete locks[lockPath];
+	});
+};
+
+
+/**
+* Determine whether a request may modify a path, i.e. the path is not locked or the request supplies the token of one of its locks in its `If` header
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {string} path The storage path to be modified
+* @returns {boolean} Whether the modification is allowed
+*/
+var checkLock = function(settings, req, path) {
+	var locks = findLocks(settings, path);
+	return !locks.length || locks.some(lock => _.includes(req.headers.if || '', `<${lock.token}>`));
+};
+
+
+/**
+* Resolve the Destination header of a (non-WebDAV) COPY / MOVE / restore request into a storage path
+* The destination is a path relative to the storage root, URLs and paths which include the mount point (which is what a WebDAV client would send) are refused rather than being created as nested directories
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {function} callback The callback to invoke as (err, storagePath)
+*/
+var destinationPath = function(settings, req, callback) {
+	var dest = req.headers.destination;
+	var mount = mountUrl(req);
+	if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(dest)) return callback(emuError('EMU_INVALID_HEADER', 'Destination must be a path, not a URL'));
+	if (mount && (dest == mount || dest.startsWith(mount + '/'))) return callback(emuError('EMU_INVALID_HEADER', 'Destination must be relative to the storage root, not the mount point'));
+
+	resolvePath(settings, dest, callback);
+};
+
+
+/**
+* Resolve the Destination header of a WebDAV COPY / MOVE request into a storage path
+* The destination must be a URL (or absolute path) within the same mount point, the path within the mount point is then checked by resolvePath()
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {function} callback The callback to invoke as (err, storagePath)
+*/
+var davDestination = function(settings, req, callback) {
+	var dest;
+	try {
+		dest = decodeURIComponent(new URL(req.headers.destination, 'http://localhost').pathname);
+	} catch (e) {
+		return callback(emuError('EMU_INVALID_PATH', 'Invalid destination'));
+	}
+
+	var mount = mountUrl(req);
+	if (dest != mount && !dest.startsWith(mount + '/')) return callback(emuError('EMU_FORBIDDEN_PATH', 'Destination outside of mount point'));
+
+	resolvePath(settings, dest.substr(mount.length), callback);
+};
+
+
+/**
+* Compute the WebDAV href of a storage path
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {string} path The storage path
+* @param {boolean} isDirectory Whether the path is a directory (collection), these are given a trailing slash
+* @returns {string} The href
+*/
+var davHref = (settings, req, path, isDirectory) => {
+	var relative = fspath.relative(settings.path, path);
+	return mountUrl(req) + '/' + (relative ? relative.split('/').map(encodeURIComponent).join('/') + (isDirectory ? '/' : '') : '');
+};
+
+
+/**
+* Generate the WebDAV lockdiscovery XML for the locks held on a resource
+* @param {array} locks The lock objects
+* @param {string} href The href of the locked resource
+* @returns {string} The XML fragment
+*/
+var davLockXML = (locks, href) =>
+	'<D:lockdiscovery>'
+	+ locks.map(lock =>
+		'<D:activelock>'
+		+ `<D:locktype><D:write/></D:locktype><D:lockscope><D:${lock.scope}/></D:lockscope>`
+		+ `<D:depth>${lock.depth}</D:depth>`
+		+ (lock.owner ? `<D:owner>${xmlEscape(lock.owner)}</D:owner>` : '')
+		+ `<D:timeout>Second-${lock.timeout}</D:timeout>`
+		+ `<D:locktoken><D:href>${lock.token}</D:href></D:locktoken>`
+		+ `<D:lockroot><D:href>${xmlEscape(href)}</D:href></D:lockroot>`
+		+ '</D:activelock>'
+	).join('')
+	+ '</D:lockdiscovery>';
+
+
+/**
+* Path of the file recording the usage of a storage area
+* @param {Object} settings The EMU settings object for the request
+* @returns {string} The full storage path
+*/
+var usagePath = settings => fspath.join(settings.path, settings.internalDir, 'usage.json');
+
+
+/**
+* Compute the usage of a file or directory by walking all its contents
+* This is only used to initialise the usage record of a storage area (and to size copies), after which usage is tracked incrementally by changeUsage()
+* Deduplicated files count their true size, EMU's internal directory is not counted apart from items in the trash (see moveToTrash()) and previous versions of files (see archiveVersion())
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path to compute the usage of
+* @param {function} callback The callback to invoke as (err, {bytes, files})
+*/
+var walkUsage = function(settings, path, callback) {
+	settings.storage.stat(path, function(err, stat) {
+		if (err && err.code == 'ENOENT') return callback(null, {bytes: 0, files: 0});
+		if (err) return callback(err);
+		if (stat.type == 'file') return resolveFile(settings, path, (err, file) => callback(err, file && {bytes: file.stat.size, files: 1}));
+
+		var usage = {bytes: 0, files: 0};
+		settings.storage.list(path, function(err, files) {
+			if (err) return callback(err);
+			var children = files
+				.filter(file => !(path == settings.path && file.name == settings.internalDir))
+				.filter(file => !(path == trashPath(settings, '', '') && file.type == 'file')) // Skip trash records
+				.filter(file => !(file.type == 'file' && file.name.endsWith('@versions.json') && path.startsWith(fspath.join(settings.path, settings.internalDir, 'versions')))) // Skip version indexes
+				.map(file => fspath.join(path, file.name));
+			if (path == settings.path && settings.trash) children.push(trashPath(settings, '', ''));
+			if (path == settings.path && settings.versions) children.push(fspath.join(settings.path, settings.internalDir, 'versions'));
+
+			async()
+				.limit(1)
+				.forEach(children, function(next, child) {
+					walkUsage(settings, child, function(err, childUsage) {
+						if (err) return next(err);
+						usage.bytes += childUsage.bytes;
+						usage.files += childUsage.files;
+						next();
+					});
+				})
+				.end(err => callback(err, usage));
+		});
+	});
+};
+
+
+/**
+* Run a function which reads and updates the usage record of a storage area, waiting for any other updates to complete first
+* @param {Object} settings The EMU settings object for the request
+* @param {function} task The function to run, called as (done) where done should be called as (err, result) once finished
+* @param {function} callback The callback to invoke as (err, result) once the task has completed
+*/
+var queueUsage = (settings, task, callback) => queueTask(settings, usagePath(settings), task, callback);
+
+
+/**
+* Fetch the usage of a storage area, initialising the usage record by walking the storage area if there is not one yet
+* @param {Object} settings The EMU settings object for the request
+* @param {function} callback The callback to invoke as (err, {bytes, files})
+*/
+var getUsage = function(settings, callback) {
+	queueUsage(settings, function(done) {
+		readJSON(settings, usagePath(settings), function(err, usage) {
+			if (!err) return done(null, usage);
+			if (err.code != 'ENOENT') return done(err);
+			walkUsage(settings, settings.path, function(err, usage) {
+				if (err) return done(err);
+				writeJSON(settings, usagePath(settings), usage, err => done(err, usage));
+			});
+		});
+	}, callback);
+};
+
+
+/**
+* Adjust the usage record of a storage area after files have been stored or removed
+* This should be called after the change has been made. If there is no usage record yet one is created by walking the storage area (which already includes the change)
+* Nothing is recorded unless `settings.quota` is set
+* @param {Object} settings The EMU settings object for the request
+* @param {number} bytes The change in the number of bytes stored
+* @param {number} files The change in the number of files stored
+* @param {function} callback The callback to invoke as (err)
+*/
+var changeUsage = function(settings, bytes, files, callback) {
+	if (!settings.quota || (!bytes && !files)) return callback();
+
+	queueUsage(settings, function(done) {
+		readJSON(settings, usagePath(settings), function(err, usage) {
+			if (err && err.code == 'ENOENT') return walkUsage(settings, settings.path, (err, usage) => err ? done(err) : writeJSON(settings, usagePath(settings), usage, done));
+			if (err) return done(err);
+			writeJSON(settings, usagePath(settings), {
+				bytes: Math.max(usage.bytes + bytes, 0),
+				files: Math.max(usage.files + files, 0),
+			}, done);
+		});
+	}, callback);
+};
+
+
+/**
+* Determine the quota applying to a request
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {function} callback The callback to invoke as (err, quota) where quota is null or an object of the form `{bytes, files}` (either of which may be null for no limit)
+*/
+var resolveQuota = function(settings, req, callback) {
+	if (!settings.quota) return callback(null, null);
+
+	var normalise = quota =>
+		!quota ? null
+		: _.isNumber(quota) ? {bytes: quota, files: null}
+		: {bytes: quota.bytes || null, files: quota.files || null};
+
+	if (!_.isFunction(settings.quota)) return callback(null, normalise(settings.quota));
+
+	callHook(settings.quota, [req], function(err, quota) {
+		if (err) return callback(err);
+		callback(null, normalise(quota));
+	});
+};
+
+
+/**
+* Describe the usage of a storage area against its quota
+* @param {Object} quota The quota as returned by resolveQuota()
+* @param {Object} usage The usage as returned by getUsage()
+* @returns {Object} An object of the form `{used: {bytes, files}, limit: {bytes, files}, remaining: {bytes, files}}`, limits and remaining amounts are null if unlimited
+*/
+var quotaStatus = (quota, usage) => ({
+	used: {bytes: usage.bytes, files: usage.files},
+	limit: {bytes: _.get(quota, 'bytes', null), files: _.get(quota, 'files', null)},
+	remaining: {
+		bytes: _.get(quota, 'bytes') ? Math.max(quota.bytes - usage.bytes, 0) : null,
+		files: _.get(quota, 'files') ? Math.max(quota.files - usage.files, 0) : null,
+	},
+});
+
+
+/**
+* Check that storing additional files would not exceed the quota of a storage area
+* If the quota would be exceeded the callback is called with an 'EMU_QUOTA_EXCEEDED' error with a `quota` property (see quotaStatus()). The status is 413 if the files could never fit within the quota, 507 otherwise
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {number} bytes The number of bytes to be stored
+* @param {number} files The number of files to be stored
+* @param {function} callback The callback to invoke as (err, status) where status is the current quota status (see quotaStatus()) or undefined if there is no quota
+*/
+var checkQuota = function(settings, req, bytes, files, callback) {
+	async()
+		.then('quota', function(next) {
+			resolveQuota(settings, req, next);
+		})
+		.then('usage', function(next) {
+			if (!this.quota) return next();
+			getUsage(settings, next);
+		})
+		.end(function(err) {
+			if (err || !this.quota) return callback(err);
+			var quota = this.quota;
+			var status = quotaStatus(quota, this.usage);
+
+			if ((quota.bytes && this.usage.bytes + bytes > quota.bytes) || (quota.files && this.usage.files + files > quota.files)) return callback(emuError('EMU_QUOTA_EXCEEDED', undefined, {
+				status: (quota.bytes && bytes > quota.bytes) || (quota.files && files > quota.files) ? 413 : 507,
+				quota: status,
+			}));
+			callback(null, status);
+		});
+};
+
+
+/**
+* Validate uploaded files (`req.files`), move them from their temporary upload paths into their final storage location then run any post-processing
+* This is used by both regular and resumable uploads
+* Each file is decorated with `storagePath` (the full storage path), `filename` (the path relative to `settings.path`), `stat` (the storage stat object) and `metadata` (if a metadata store is in use) once it has been moved into place
+* Files which already have a `targetPath` are stored there rather than at a path computed from `settings.postPath`
+* Files with a `requestPath` use that instead of the path of the request when `settings.postPath` is 'param' or 'dir' (e.g. resumable uploads completed by a later request)
+*
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} res The original response object
+* @param {function} callback The callback to invoke as (err) when completed. This may not be called if post-processing handles the response itself
+*/
+var storeUploads = function(settings, req, res, callback) {
+	async()
+		// Validate files {{{
+		.then(function(next) {
+			validateUploads(settings, req, next);
+		})
+		// }}}
+		// Check base directory exists {{{
+		.then(function(next) {
+			settings.storage.mkdir(settings.path, next);
+		})
+		// }}}
+		// Determine the storage path of each file (unless the caller already has) {{{
+		.set('req', req)
+		.forEach('req.files', function(nextFile, file) {
+			if (file.targetPath) return nextFile();
+			var requestPath = _.isUndefined(file.requestPath) ? relativePath(req) : file.requestPath;
+			var filePath;
+			switch (settings.postPath) {
+				case 'upload':
+					filePath = file.originalname;
+					break;
+				case 'param':
+					filePath = requestPath;
+					break;
+				case 'dir':
+					filePath = requestPath + '/' + file.originalname;
+					break;
+			}
+			resolvePath(settings, filePath, function(err, path) {
+				if (err && /^EMU_.*PATH/.test(err.code)) return nextFile(emuError('EMU_REJECTED', err.message, {
+					status: err.status,
+					files: [{name: file.originalname, reason: err.message}],
+				}));
+				if (err) return nextFile(err);
+				file.targetPath = path;
+				nextFile();
+			});
+		})
+		// }}}
+		// If rejecting conflicts check all files up front so nothing is stored if any would be rejected (each file is checked again once its path is locked, see resolveConflict()) {{{
+		.then(function(next) {
+			if (settings.onConflict != 'reject') return next();
+
+			var conflicts = [];
+			async()
+				.forEach(req.files, function(nextFile, file, index) {
+					if (req.files.some((other, otherIndex) => otherIndex < index && other.targetPath == file.targetPath)) { // Clashes with another file in this upload
+						conflicts[index] = file;
+						return nextFile();
+					}
+					settings.storage.stat(file.targetPath, function(err) {
+						if (err && err.code == 'ENOENT') return nextFile();
+						if (err) return nextFile(err);
+						conflicts[index] = file;
+						nextFile();
+					});
+				})
+				.end(function(err) {
+					if (err) return next(err);
+					conflicts = _.compact(conflicts);
+					if (!conflicts.length) return next();
+					next(emuError('EMU_CONFLICT', conflicts.length == 1 ? 'File already exists' : 'Files already exist', {
+						files: conflicts.map(file => ({name: file.originalname, reason: 'File already exists'})),
+					}));
+				});
+		})
+		// }}}
+		// Check the files fit within the quota {{{
+		.then(function(next) {
+			if (!settings.quota) return next();
+			checkQuota(settings, req, _.sumBy(req.files, 'size'), req.files.length, next);
+		})
+		// }}}
+		// For each file... {{{
+		.limit(1) // Store files in series so files within the same upload can conflict with each other
+		.forEach('req.files', function(nextFile, file) {
+			async()
+				// Wait for any other upload to the same path so conflicts are resolved (and previous versions archived) in turn {{{
+				.then(function(next) {
+					lockPath(settings, file.targetPath, release => {
+						this.release = release;
+						next();
+					});
+				})
+				// }}}
+				// Resolve any filename conflict {{{
+				.then('filePath', function(next) {
+					resolveConflict(settings, req, file, file.targetPath, next);
+				})
+				// }}}
+				// Create its sub-dir if needed {{{
+				.then(function(next) {
+					settings.storage.mkdir(fspath.dirname(this.filePath), next);
+				})
+				// }}}
+				// Fetch the metadata of any file being overwritten {{{
+				.then('previous', function(next) {
+					if (!settings.metadata) return next();
+					settings.metadata.get(settings, this.filePath, next);
+				})
+				.then('replaced', function(next) {
+					if (!settings.quota && !settings.versions) return next();
+					resolveFile(settings, this.filePath, function(err, existing) {
+						if (err && err.code == 'ENOENT') return next();
+						next(err, existing && existing.stat);
+					});
+				})
+				// }}}
+				// Keep the file being overwritten as a previous version {{{
+				.then('versions', function(next) {
+					if (!settings.versions || !this.replaced || this.replaced.type != 'file') return next();
+					archiveVersion(settings, this.filePath, next);
+				})
+				// }}}
+				// Move the file from its temporary upload path into place {{{
+				.then(function(next) {
+					if (!settings.dedupe) return settings.storage.rename(file.tempPath, this.filePath, next);
+
+					// Deduplicating - move the contents into the blob store and leave an empty placeholder in its place
+					storeBlob(settings, file, err => {
+						if (err) return next(err);
+						settings.storage.createWriteStream(this.filePath)
+							.on('error', next)
+							.on('finish', ()=> next())
+							.end();
+					});
+				})
+				.then(function(next) {
+					file.storagePath = this.filePath;
+					file.filename = fspath.relative(settings.path, this.filePath);
+					next();
+				})
+				// }}}
+				// Fetch the stored file details {{{
+				.then(function(next) {
+					settings.storage.stat(file.storagePath, function(err, stat) {
+						if (err) return next(err);
+						file.stat = settings.dedupe ? _.assign({}, stat, {size: file.size}) : stat;
+						next();
+					});
+				})
+				// }}}
+				// Store its metadata {{{
+				.then(function(next) {
+					if (!settings.metadata) return next();
+					file.metadata = {
+						originalname: file.originalname,
+						mimetype: file.mimetype,
+						uploadedBy: settings.uploadedBy ? settings.uploadedBy(req) : undefined,
+						uploaded: new Date(),
+						hash: settings.hash,
+						checksum: file.checksum,
+						scan: file.scan,
+						version: settings.versions ? (this.versions ? this.versions.current : 1) : undefined,
+						custom: {},
+					};
+					if (settings.dedupe) _.assign(file.metadata, {blob: true, size: file.size});
+					settings.metadata.set(settings, file.storagePath, file.metadata, next);
+				})
+				// }}}
+				// Update the storage usage (files kept as a previous version are still counted) {{{
+				.then(function(next) {
+					var removed = this.replaced && !this.versions ? this.replaced : null;
+					changeUsage(settings, file.size - (removed ? removed.size : 0), removed ? 0 : 1, next);
+				})
+				// }}}
+				// Release the blob of any deduplicated file that was overwritten {{{
+				.then(function(next) {
+					if (!this.previous || !this.previous.blob || this.versions) return next();
+					refBlob(settings, this.previous.checksum, -1, next);
+				})
+				// }}}
+				// Generate image variants {{{
+				.then(function(next) {
+					removeVariants(settings, file.storagePath, next); // Remove variants of any file that was overwritten
+				})
+				.then(function(next) {
+					if (settings.variantMode != 'upload' || !hasVariants(settings, file.storagePath)) return next();
+					async()
+						.forEach(_.keys(settings.variants), function(nextVariant, name) {
+							generateVariant(settings, file.storagePath, name, ()=> nextVariant()); // Ignore errors - the variant will be retried when it is requested
+						})
+						.end(next);
+				})
+				// }}}
+				// Emit the uploaded event {{{
+				.then(function(next) {
+					emitEvent(settings, 'uploaded', {
+						path: file.filename,
+						file: _.assign(fileEntry(settings, file.filename, file.stat), {
+							originalname: file.originalname,
+							mimetype: mimeTypes.lookup(file.filename) || file.mimetype || 'application/octet-stream',
+							checksum: file.checksum,
+						}, file.metadata ? {meta: file.metadata} : {}),
+						req,
+					});
+					next();
+				})
+				// }}}
+				// End {{{
+				.end(function(err) {
+					if (this.release) this.release();
+					nextFile(err);
+				})
+				// }}}
+		})
+		// }}}
+		// Call post processing behaviour {{{
+		.then(function(next) {
+			if (!settings.postProcessing || (_.isArray(settings.postProcessing) && !settings.postProcessing.length)) return next(); // Skip if no middleware
+			runMiddleware(req, res, settings.postProcessing, next, settings);
+		})
+		// }}}
+		// End {{{
+		.end(callback);
+		// }}}
+};
+// }}}
+
+var emu = function(options) {
+	var settings = emuSettings(options);
+
+	var middleware = function(req, res, next) {
+		if (settings.audit && req.method != 'OPTIONS') auditRequest(settings, req, res);
+
+		async()
+			// Compute the path if its a function and return a shallow clone of settings with the mutated path
+			.then('settings', function(next) {
+				if (_.isString(settings.path)) return next(null, settings); // Don't need to do anything for static paths
+
+				callHook(settings.path, [req, res], function(err, computedPath) { // Run async function and wait for response
+					if (err) return sendError(settings, req, res, err);
+					if (!_.isString(computedPath) || !computedPath) return sendError(settings, req, res, emuError('EMU_INTERNAL', 'Storage path function did not return a path'));
+					next(null, _.chain(settings) // Clone settings (so we don't damage the original) and mutate path to the returned value
+						.clone()
+						.set('path', computedPath)
+						.value()
+					);
+				});
+			})
+			// }}}
+			// Check the signature of signed URLs, a valid signature is used instead of the middleware guards {{{
+			.then('signature', function(next) {
+				try {
+					req.signature = verifySignature(this.settings, req);
+				} catch (err) {
+					return sendError(this.settings, req, res, err);
+				}
+				if (!req.signature) return next();
+
+				if (req.signature.maxSize) this.settings = _.chain(this.settings) // Restrict the size of signed uploads (counted against the file bytes as they are streamed, see streamingStorage())
+					.clone()
+					.set('maxRequestSize', Math.min(req.signature.maxSize, this.settings.maxRequestSize || Infinity))
+					.value();
+				next(null, req.signature);
+			})
+			// }}}
+			// Call the correct handler based on the incomming method / parameters {{{
+			.then(function(next) {
+				if (this.settings.resumable && req.method == 'POST' && _.has(req.headers, 'upload-length')) {
+					runMiddleware(req, res, this.settings.post, ()=> emu.resumable.create(this.settings, req, res), this.settings);
+				} else if (this.settings.resumable && req.query.upload && req.method == 'HEAD') {
+					runMiddleware(req, res, this.settings.post, ()=> emu.resumable.head(this.settings, req, res), this.settings);
+				} else if (this.settings.resumable && req.query.upload && req.method == 'PATCH') {
+					runMiddleware(req, res, this.settings.post, ()=> emu.resumable.patch(this.settings, req, res), this.settings);
+				} else if (this.settings.resumable && req.query.upload && req.method == 'DELETE') {
+					runMiddleware(req, res, this.settings.post, ()=> emu.resumable.delete(this.settings, req, res), this.settings);
+				} else if (this.settings.webdav && req.method == 'OPTIONS') {
+					emu.webdav.options(this.settings, req, res);
+				} else if (this.settings.webdav && req.method == 'PROPFIND') {
+					runMiddleware(req, res, this.settings.list, ()=> emu.webdav.propfind(this.settings, req, res), this.settings);
+				} else if (this.settings.webdav && req.method == 'PUT') {
+					runMiddleware(req, res, this.settings.post, ()=> emu.webdav.put(this.settings, req, res), this.settings);
+				} else if (this.settings.webdav && req.method == 'COPY') {
+					runMiddleware(req, res, this.settings.copy, ()=> emu.webdav.copy(this.settings, req, res), this.settings);
+				} else if (this.settings.webdav && (req.method == 'LOCK' || req.method == 'UNLOCK')) {
+					runMiddleware(req, res, this.settings.post, ()=> emu.webdav[req.method.toLowerCase()](this.settings, req, res), this.settings);
+				} else if (this.settings.quota && req.method == 'GET' && _.has(req.query, 'usage') && !relativePath(req)) {
+					runMiddleware(req, res, this.settings.list, ()=> emu.usage(this.settings, req, res), this.settings);
+				} else if (this.settings.trash && req.method == 'GET' && _.has(req.query, 'trash')) {
+					runMiddleware(req, res, this.settings.list, ()=> emu.trash.list(this.settings, req, res), this.settings);
+				} else if (this.settings.trash && req.method == 'POST' && req.query.restore) {
+					runMiddleware(req, res, this.settings.restore, ()=> emu.trash.restore(this.settings, req, res), this.settings);
+				} else if (this.settings.trash && req.method == 'DELETE' && req.query.trash) {
+					runMiddleware(req, res, this.settings.delete, ()=> emu.trash.delete(this.settings, req, res), this.settings);
+				} else if (this.settings.versions && req.method == 'GET' && _.has(req.query, 'versions') && relativePath(req)) {
+					runMiddleware(req, res, this.settings.get, ()=> emu.versions.list(this.settings, req, res), this.settings);
+				} else if (this.settings.versions && req.method == 'POST' && req.query.version && relativePath(req)) {
+					runMiddleware(req, res, this.settings.post, ()=> emu.versions.restore(this.settings, req, res), this.settings);
+				} else if ((req.method == 'GET' || req.method == 'HEAD') && relativePath(req)) {
+					runMiddleware(req, res, this.signature ? true : this.settings.get, ()=> emu.get(this.settings, req, res), this.settings);
+				} else if (req.method == 'GET') {
+					runMiddleware(req, res, this.signature ? true : this.settings.list, ()=> emu.list(this.settings, req, res), this.settings);
+				} else if (req.method == 'POST') {
+					runMiddleware(req, res, this.signature ? true : this.settings.post, ()=> emu.post(this.settings, req, res), this.settings);
+				} else if (req.method == 'PATCH' && relativePath(req)) {
+					runMiddleware(req, res, this.settings.patch, ()=> emu.patch(this.settings, req, res), this.settings);
+				} else if (req.method == 'COPY') {
+					runMiddleware(req, res, this.settings.copy, ()=> emu.copy(this.settings, req, res), this.settings);
+				} else if (req.method == 'MKCOL') {
+					runMiddleware(req, res, this.settings.mkdir, ()=> (this.settings.webdav ? emu.webdav.mkcol : emu.mkdir)(this.settings, req, res), this.settings);
+				} else if (req.method == 'MOVE' || req.method == 'DELETE') { // Use either the file or directory middleware depending on what is being moved / deleted
+					var method = req.method.toLowerCase();
+					resolvePath(this.settings, relativePath(req), (err, path) => {
+						if (err) return sendError(this.settings, req, res, err);
+						this.settings.storage.stat(path, (err, stat) => {
+							var middleware = !err && stat.type == 'directory' ? {move: 'movedir', delete: 'rmdir'}[method] : method;
+							runMiddleware(req, res, this.settings[middleware], ()=> (this.settings.webdav ? emu.webdav : emu)[method](this.settings, req, res), this.settings);
+						});
+					});
+				}
+				next(); // Drop immediately though to the end so we can release the async object from memory
+			})
+			.end();
+			// }}}
+	};
+
+	/**
+	* Sign a URL for this end-point using `options.signingKeys`
+	* @see emu.sign
+	*/
+	middleware.sign = (path, options) => emu.sign(path, _.defaults({}, options, {key: settings.signingKeys}));
+
+	// Make the middleware an event emitter for file lifecycle events (see emitEvent())
+	_.assign(middleware, EventEmitter.prototype);
+	EventEmitter.call(middleware);
+	settings.emitter = middleware;
+
+	return middleware;
+};
+
+
+/**
+* Apply the defaults to an EMU options object and check it is usable
+* @param {Object} options The options passed to emu() or emu.instance(), this is mutated
+* @returns {Object} The settings object
+* @throws {Error} If the options are invalid
+*/
+var emuSettings = function(options) {
+	if (!_.isObject(options)) throw new Error('An options object must be passed to emu');
+	var settings = _.defaults(options, emu.defaults);
+	settings.expect = Math.min(settings.expect, settings.limit);
+
+	if (!settings.path) throw new Error('Cannot use emu without specifying a storage path');
+	if (!_.isString(settings.path) && !_.isFunction(settings.path)) throw new Error('express-middleware-upload setting `path` must be a string or a function');
+	if (settings.dedupe && !settings.metadata) throw new Error('Cannot use emu `dedupe` without a metadata store');
+	if (settings.scan && !settings.metadata) throw new Error('Cannot use emu `scan` without a metadata store');
+	if (!_.isEmpty(settings.variants) && !sharp) {
+		try {
+			sharp = require('sharp');
+		} catch (e) {
+			throw new Error('Cannot use emu `variants` without the `sharp` module installed');
+		}
+	}
+	if (_.isString(settings.path)) settings.path = fspath.normalize(fspath.join(emu.defaults.basePath, settings.path)); // Neaten up the settings path so its absolute
+
+	return settings;
+};
+
+
+/**
+* Default settings for EMU
+* The contents of this object get merged with every EMU factory call
+* @var {Object}
+*/
+emu.defaults = {
+	basePath: '',
+	storage: require('./storage/disk')(),
+	expect: 0,
+	limit: 0,
+	field: 'file',
+	postPath: 'upload',
+	escape: true,
+	maxFileSize: 0,
+	maxRequestSize: 0,
+	quota: false,
+	etag: true,
+	lastModified: true,
+	cacheControl: 'public, max-age=0',
+	disposition: 'inline',
+	maxListDepth: 10,
+	resumable: false,
+	resumableExpiry: 1000 * 60 * 60 * 24, // 24 hours
+	sniff: true,
+	scan: false,
+	onConflict: 'overwrite',
+	metadata: require('./metadata/sidecar')(),
+	uploadedBy: req => req.user ? req.user.id || req.user.username : undefined,
+	hash: 'sha256',
+	dedupe: false,
+	variants: {},
+	variantMode: 'upload',
+	extract: false,
+	extractMaxEntries: 1000,
+	extractMaxSize: 1024 * 1024 * 1024, // 1GB
+	webdav: false,
+	dotfiles: false,
+	maxPathLength: 1024,
+	trash: false,
+	trashRetention: 1000 * 60 * 60 * 24 * 30, // 30 days
+	versions: false,
+	versionsMaxCount: 10,
+	versionsMaxAge: 0,
+	mkdir: 'post',
+	rmdir: 'delete',
+	movedir: 'move',
+	restore: 'delete',
+	signingKeys: null,
+	audit: false,
+	auditUser: req => req.user ? req.user.id || req.user.username : undefined,
+	internalDir: '.emu',
+	errorHandler: function(req, res, code, message, err) {
+		res.status(code).send(_.omitBy({error: message, code: err.code, files: err.files, quota: err.quota}, _.isUndefined));
+	},
+};
+
+
+/**
+* Storage drivers bundled with EMU
+* Each is a factory function which returns a driver object suitable for use as `options.storage`
+* A storage driver is an object which implements the following methods (all paths are absolute, with `options.path` prepended):
+*
+* 	- `stat(path, cb)` - Fetch information on a path, called back as `(err, {type, size, created, modified})` where type is 'file' or 'directory'. err.code should be 'ENOENT' if the path does not exist
+* 	- `list(path, cb)` - List the contents of a directory, called back as `(err, [{name, type, size, created, modified}])`
+* 	- `createReadStream(path, [options])` - Return a readable stream for a file, options can contain `start` + `end` byte offsets (inclusive)
+* 	- `createWriteStream(path)` - Return a writable stream for a file. The stream should only emit `finish` when the data has been committed
+* 	- `delete(path, cb)` - Delete a single file, called back as `(err)`
+* 	- `rename(from, to, cb)` - Move a file or directory, called back as `(err)`
+* 	- `mkdir(path, cb)` - Recursively create a directory if it doesn't already exist, called back as `(err)`
+* 	- `rmdir(path, cb)` - Remove an empty directory, called back as `(err)`. err.code should be 'ENOTEMPTY' if the directory is not empty
+* 	- `realpath(path, cb)` - (Optional) Resolve a path with all symlinks followed, called back as `(err, realPath)`. If implemented this is used to stop symlinks escaping `options.path`
+*
+* @var {Object}
+*/
+emu.storage = {
+	disk: require('./storage/disk'),
+	memory: require('./storage/memory'),
+	s3: require('./storage/s3'),
+};
+
+
+/**
+* Metadata stores bundled with EMU
+* Each is a factory function which returns a store object suitable for use as `options.metadata`
+* A metadata store is an object which implements the following methods (all paths are absolute storage paths, settings is the EMU settings object for the request):
+*
+* 	- `get(settings, path, cb)` - Fetch the metadata for a file, called back as `(err, metadata)`. metadata should be null if none exists
+* 	- `set(settings, path, metadata, cb)` - Store the metadata for a file replacing any existing data, called back as `(err)`
+* 	- `delete(settings, path, cb)` - Remove the metadata for a file, called back as `(err)`. Removing non-existant metadata is not an error
+* 	- `move(settings, from, to, cb)` - Move the metadata of a file or directory (and all its contents), called back as `(err)`. Moving non-existant metadata is not an error
+*
+* The metadata for each file is an object of the form `{originalname, mimetype, uploadedBy, uploaded, hash, checksum, custom}` where `custom` holds any fields set via PATCH requests
+* Deduplicated files (see `options.dedupe`) also have `blob: true` and `size` (the true size of the contents)
+*
+* @var {Object}
+*/
+emu.metadata = {
+	sidecar: require('./metadata/sidecar'),
+};
+
+
+/**
+* Audit sinks bundled with EMU
+* Each is a factory function which returns a sink suitable for use as `options.audit`
+* An audit sink is an object which implements a `write(entry, cb)` method, called back as `(err)` once the entry has been recorded (or returning a promise). A function can also be used as `options.audit` in which case it is called as `(entry, cb)`
+* See auditRequest() for the properties of each entry
+*
+* @var {Object}
+*/
+emu.audit = {
+	file: require('./audit/file'),
+};
+
+
+/**
+* Malware scanners bundled with EMU
+* Each is a factory function which returns a scanner suitable for use as `options.scan`
+* A scanner is an object which implements a `scan(file, cb)` method, called back as `(err, result)` (or returning a promise) where result is an object of the form `{infected, virus}`
+* The file has `originalname`, `mimetype`, `size` and a `createReadStream()` method to read its contents. A function can also be used as `options.scan` in which case it is called as `(file, cb)`
+* Errors from the scanner refuse the upload with an 'EMU_SCAN_FAILED' error
+*
+* @var {Object}
+*/
+emu.scanners = {
+	clamd: require('./scanners/clamd'),
+};
+
+
+/**
+* Error codes EMU can respond with
+* Each key is the error code and the value an object of the form `{status, message}` with the HTTP status code and default message
+* The default messages can be changed here to apply to all instances
+* @var {Object}
+*/
+emu.errors = errorCodes;
+
+
+/**
+* Create an EMU error which can be passed to `next()` from within middleware to refuse a request with a specific code
+* @see emuError()
+* @example
+* emu({path: '/data', delete: (req, res, next) => next(emu.error('EMU_FORBIDDEN', 'Only admins can delete files'))})
+*/
+emu.error = emuError;
+
+
+/**
+* Sign a URL so it can be used without passing the `get`, `list` or `post` middleware, e.g. to share a file with an external party or let a browser upload directly
+* The end-point must have `options.signingKeys` set to verify the signature. The middleware returned by emu() also has a `sign(path, options)` method which signs using its own keys
+* @param {string} path The URL path to sign, as it will be requested (e.g. '/api/files/report.pdf')
+* @param {Object} [options] Additional options
+* @param {string} [options.method='GET'] The HTTP method the URL can be used with, 'GET' (which also allows HEAD) or 'POST'
+* @param {Date|number} [options.expires=3600000] When the URL expires, either as a date or the number of milliseconds from now (default is 1 hour)
+* @param {number} [options.maxSize] Restrict signed uploads to this many bytes in total
+* @param {string|array} [options.accept] Restrict signed uploads to the given MIME types and/or file extensions, using the same format as `options.accept`
+* @param {string|array} [options.key] The signing key, if an array is given the first key is used. Defaults to `emu.defaults.signingKeys`
+* @returns {string} The path with the signature appended as query parameters
+* @throws {Error} If no signing key is available
+* @example
+* var files = emu({path: '/data', signingKeys: process.env.EMU_KEY, get: requireLogin});
+* app.use('/api/files/:path?', files);
+* var link = files.sign('/api/files/report.pdf', {expires: 1000 * 60 * 60 * 24}); // Valid for 24 hours
+*/
+emu.sign = function(path, options) {
+	var settings = _.defaults({}, options, {
+		method: 'GET',
+		expires: 1000 * 60 * 60, // 1 hour
+		key: emu.defaults.signingKeys,
+	});
+	if (!settings.key || !_.castArray(settings.key).length) throw new Error('Cannot sign URLs without a signing key');
+
+	var claims = {
+		expires: _.isDate(settings.expires) ? settings.expires.getTime() : Date.now() + settings.expires,
+		maxSize: settings.maxSize,
+		accept: settings.accept ? _.castArray(settings.accept) : undefined,
+	};
+
+	return path + (path.includes('?') ? '&' : '?') + new URLSearchParams(_.omitBy({
+		expires: claims.expires,
+		maxSize: claims.maxSize,
+		accept: claims.accept && claims.accept.join(','),
+		signature: urlSignature(_.castArray(settings.key)[0], settings.method, path.replace(/\?.*$/, ''), claims),
+	}, _.isUndefined)).toString();
+};
+
+
+/**
+* List all files at a given path
+* This is the child middleware call of emu
+* The following query parameters are supported:
+*
+* 	- `depth` - How many levels of subdirectories to descend into (default is 1 - i.e. only the current directory), limited by `options.maxListDepth`. Entries within subdirectories are named by their relative path
+* 	- `sort` - The field to sort by: 'name' (default), 'size', 'created', 'modified' or 'date' (an alias for 'modified'). Prefix with '-' to sort in descending order
+* 	- `glob` - Only return entries whose relative path matches a glob expression (e.g. `*.txt`, `photos/**`)
+* 	- `ext` - Only return files matching the comma seperated list of extensions (e.g. `jpg,png`)
+* 	- `type` - Only return entries of a given type ('file' or 'directory')
+* 	- `offset` + `limit` - Return only a page of results. The total number of entries is returned in the `X-Total-Count` header
+* 	- `cursor` - Return results following a previous page, the cursor is returned in the `X-Next-Cursor` header when more results are available
+* 	- `select` - Only return entries with the given name(s), can be specified multiple times
+* 	- `archive` - Download the matching entries as an archive instead of listing them, currently only 'zip' is supported. Directories are included with all their contents
+*
+* @see emu
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+* @param {boolean} [options.escape=true] Whether to escape the filename so its URL safe
+* @param {number} [options.maxListDepth=10] The maximum value accepted for the `depth` query parameter
+* @param {Object|boolean} [options.metadata] The metadata store to decorate entries with, each file with stored metadata is given a `meta` property (and `checksum` if known)
+* @param {Object} [options.variants] Image variants, each image is given a `variants` property which is a lookup of variant name => URL
+*/
+emu.list = function(settings, req, res) {
+	async()
+		// Calculate path {{{
+		.then('path', function(next) {
+			resolvePath(settings, relativePath(req), next);
+		})
+		// }}}
+		// Sanity checks {{{
+		.then('query', function(next) {
+			var query = {
+				depth: _.has(req.query, 'depth') ? parseInt(req.query.depth) : 1,
+				sort: (req.query.sort || 'name').replace(/^-/, '').replace(/^date$/, 'modified'),
+				sortDesc: _.startsWith(req.query.sort, '-'),
+				offset: _.has(req.query, 'offset') ? parseInt(req.query.offset) : 0,
+				limit: _.has(req.query, 'limit') ? parseInt(req.query.limit) : 0,
+			};
+
+			if (isNaN(query.depth) || query.depth < 1) return next(emuError('EMU_INVALID_QUERY', 'Invalid depth'));
+			if (query.depth > settings.maxListDepth) return next(emuError('EMU_INVALID_QUERY', `Depth cannot exceed ${settings.maxListDepth}`));
+			if (!_.includes(['name', 'size', 'created', 'modified'], query.sort)) return next(emuError('EMU_INVALID_QUERY', 'Invalid sort field'));
+			if (isNaN(query.offset) || query.offset < 0) return next(emuError('EMU_INVALID_QUERY', 'Invalid offset'));
+			if (isNaN(query.limit) || query.limit < 0) return next(emuError('EMU_INVALID_QUERY', 'Invalid limit'));
+			if (req.query.type && !_.includes(['file', 'directory'], req.query.type)) return next(emuError('EMU_INVALID_QUERY', 'Invalid type'));
+			if (req.query.archive && req.query.archive != 'zip') return next(emuError('EMU_INVALID_QUERY', 'Unsupported archive format'));
+			if (req.query.cursor) {
+				try {
+					query.cursor = JSON.parse(Buffer.from(req.query.cursor, 'base64').toString());
+				} catch (e) {
+					return next(emuError('EMU_INVALID_QUERY', 'Invalid cursor'));
+				}
+			}
+			next(null, query);
+		})
+		// }}}
+		// Fetch file listing (without EMU's internal directory or hidden files unless enabled) {{{
+		.then('files', function(next) {
+			listVisible(settings, this.path, this.query.depth, function(err, files) {
+				if (err && err.code == 'ENOENT') return next('DIRNOTEXIST');
+				next(err, files);
+			});
+		})
+		// }}}
+		// Compute the URL of the directory {{{
+		.then('url', function(next) {
+			var relative = fspath.relative(settings.path, this.path);
+			next(null, mountUrl(req) + (relative ? '/' + relative.split('/').map(encodeURIComponent).join('/') : ''));
+		})
+		// }}}
+		// Apply filters {{{
+		.then('files', function(next) {
+			var exts = req.query.ext ? req.query.ext.toLowerCase().split(/\s*,\s*/).map(ext => ext.replace(/^\./, '')) : null;
+			var select = req.query.select ? _.castArray(req.query.select) : null;
+
+			next(null, this.files.filter(file =>
+				(!req.query.type || file.type == req.query.type)
+				&& (!select || _.includes(select, file.name) || _.includes(select, file.name.split('/').map(escape).join('/')))
+				&& (!exts || (file.type == 'file' && _.includes(exts, fspath.extname(file.name).toLowerCase().replace(/^\./, ''))))
+				&& (!req.query.glob || minimatch(file.name, req.query.glob, {dot: true, matchBase: !_.includes(req.query.glob, '/')}))
+			));
+		})
+		// }}}
+		// Sort + paginate {{{
+		.then('files', function(next) {
+			var query = this.query;
+			var compare = (a, b) => {
+				var result =
+					a[query.sort] < b[query.sort] ? -1
+					: a[query.sort] > b[query.sort] ? 1
+					: a.name < b.name ? -1 // Tie-break on name so the order is stable
+					: a.name > b.name ? 1
+					: 0;
+				return query.sortDesc ? -result : result;
+			};
+
+			var files = this.files.sort(compare);
+			this.total = files.length;
+
+			if (query.cursor) { // Skip everything up to and including the last entry of the previous page
+				var cursorFile = {name: query.cursor.name, [query.sort]: query.sort == 'created' || query.sort == 'modified' ? new Date(query.cursor.value) : query.cursor.value};
+				files = files.filter(file => compare(file, cursorFile) > 0);
+			}
+			if (query.offset) files = files.slice(query.offset);
+			if (query.limit) {
+				if (files.length > query.limit) {
+					var last = files[query.limit - 1];
+					this.nextCursor = Buffer.from(JSON.stringify({name: last.name, value: last[query.sort]})).toString('base64');
+				}
+				files = files.slice(0, query.limit);
+			}
+
+			next(null, files);
+		})
+		// }}}
+		// Decorate listings {{{
+		.map('files', 'files', function(nextFile, file) {
+			if (req.query.archive) return nextFile(null, file); // Archives use the raw file list
+			listingEntry(settings, this.path, file, (err, entry) => {
+				if (err) return nextFile(err);
+				if (file.type == 'file') entry.variants = variantUrls(settings, `${this.url}/${entry.name}`, file.name);
+				nextFile(null, entry);
+			});
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err && err == 'DIRNOTEXIST') return res.set('X-Total-Count', 0).send([]);
+			if (err) return sendError(settings, req, res, err);
+
+			emitEvent(settings, 'listed', {path: fspath.relative(settings.path, this.path), files: this.files, req});
+			if (req.query.archive) {
+				sendArchive(settings, req, res, this.path, this.files);
+			} else {
+				res.set('X-Total-Count', this.total);
+				if (this.nextCursor) res.set('X-Next-Cursor', this.nextCursor);
+				res.send(this.files);
+			}
+		});
+		// }}}
+};
+
+
+/**
+* Report the usage of the storage area against its quota
+* The response is an object of the form `{used: {bytes, files}, limit: {bytes, files}, remaining: {bytes, files}}` where unlimited values are null
+* This is the child middleware call of emu, requested with `GET /?usage` on the root of the mount and guarded by the `list` middleware
+* @see emu
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+* @param {number|Object|function} options.quota The quota of the storage area
+*/
+emu.usage = function(settings, req, res) {
+	async()
+		.then('quota', function(next) {
+			resolveQuota(settings, req, next);
+		})
+		.then('usage', function(next) {
+			getUsage(settings, next);
+		})
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			res.send(quotaStatus(this.quota, this.usage));
+		});
+};
+
+
+/**
+* Read a file at the specified path
+* If the path is a directory it is listed instead (using the `list` middleware)
+* Conditional requests, byte ranges and caching headers are all supported, see serveFile()
+* If the file has a known checksum (see `options.metadata`) it is used as a strong ETag
+* Image variants can be read with `?variant=NAME`, variants which have not yet been generated are generated on demand
+* Previous versions can be read with `?version=N` if `options.versions` is enabled (see emu.versions)
+* This is the child middleware call of emu
+* @see emu
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.get = function(settings, req, res) {
+	async()
+		// Calculate path (checking it is within the storage directory - prevent directory attacks) {{{
+		.then('path', function(next) {
+			resolvePath(settings, relativePath(req), next);
+		})
+		// }}}
+		// Check file exists {{{
+		.then('file', function(next) {
+			resolveFile(settings, this.path, function(err, file) {
+				if (err && err.code == 'ENOENT') return next(emuError('EMU_NOT_FOUND'));
+				next(err, file);
+			});
+		})
+		// }}}
+		// Find the requested previous version {{{
+		.then('version', function(next) {
+			if (!settings.versions || !_.has(req.query, 'version') || this.file.stat.type != 'file') return next();
+			if (!/^\d+$/.test(req.query.version)) return next(emuError('EMU_INVALID_QUERY', 'Invalid version'));
+			if (req.query.variant) return next(emuError('EMU_INVALID_QUERY', 'Variants are only available for the current version'));
+
+			var version = parseInt(req.query.version);
+			loadVersions(settings, this.path, (err, index) => {
+				if (err) return next(err);
+				if (version == index.current) return next(); // Asking for the current version
+				if (!index.versions.some(previous => previous.version == version)) return next(emuError('EMU_NOT_FOUND', 'Version not found'));
+
+				resolveFile(settings, versionPath(settings, this.path, version), (err, file) => {
+					if (err && err.code == 'ENOENT') return next(emuError('EMU_NOT_FOUND', 'Version not found'));
+					if (err) return next(err);
+					this.file = file;
+					next(null, version);
+				});
+			});
+		})
+		// }}}
+		// Check the file is safe to serve {{{
+		.then(function(next) {
+			if (!isScanned(settings, this.file)) return next(emuError('EMU_NOT_SCANNED'));
+			next();
+		})
+		// }}}
+		// Find (or generate) the requested variant {{{
+		.then('variant', function(next) {
+			if (!req.query.variant || this.file.stat.type != 'file') return next();
+			if (!_.has(settings.variants, req.query.variant)) return next(emuError('EMU_INVALID_QUERY', 'Unknown variant'));
+			if (!hasVariants(settings, this.path)) return next(emuError('EMU_INVALID_QUERY', 'Variants are only available for images'));
+
+			var path = variantPath(settings, this.path, req.query.variant);
+			var statVariant = ()=> settings.storage.stat(path, function(err, stat) {
+				next(err, {path, stat});
+			});
+
+			settings.storage.stat(path, (err, stat) => {
+				if (err && err.code == 'ENOENT') { // Not generated yet
+					return generateVariant(settings, this.path, req.query.variant, function(err) {
+						if (err) return next(err);
+						statVariant();
+					});
+				}
+				next(err, {path, stat});
+			});
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			if (this.file.stat.type == 'directory') return runMiddleware(req, res, settings.list, ()=> emu.list(settings, req, res), settings); // Reading a directory - list it instead
+
+			if (req.method == 'GET') emitEvent(settings, 'read', {
+				path: fspath.relative(settings.path, this.path),
+				file: fileEntry(settings, fspath.relative(settings.path, this.path), this.file.stat),
+				variant: this.variant ? req.query.variant : undefined,
+				version: this.version,
+				req,
+			});
+
+			if (this.variant) return serveFile(settings, req, res, {
+				path: this.variant.path,
+				filename: fspath.basename(this.path, fspath.extname(this.path)) + fspath.extname(this.variant.path),
+				stat: this.variant.stat,
+			});
+
+			serveFile(settings, req, res, {
+				path: this.file.path,
+				filename: fspath.basename(this.path),
+				stat: this.file.stat,
+				etag: this.file.metadata && this.file.metadata.checksum ? `"${this.file.metadata.checksum}"` : undefined,
+			});
+		})
+		// }}}
+};
+
+
+/**
+* Upload a file
+* The response lists each stored file in the same form as emu.list with the additional properties:
+*
+* 	- `url` - The URL the file can be read from
+* 	- `originalname` - The filename as uploaded (which may differ from `name` if it was escaped or renamed)
+* 	- `mimetype` - The MIME type of the file
+* 	- `checksum` - The hex digest of the file contents (using `options.hash`)
+* 	- `meta` - The stored metadata of the file (if a metadata store is in use)
+* 	- `variants` - A lookup of variant name => URL (if the file is an image and `options.variants` is set)
+*
+* If `options.extract` is enabled any uploaded ZIP / tar archives are extracted and their contents stored instead
+*
+* If the client supplies a `Content-Digest` or `Content-MD5` header (only valid for single file uploads) the uploaded file is verified against it and rejected with a 400 error on mismatch
+*
+* This is the child middleware call of emu
+* @see emu
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.post = function(settings, req, res) {
+	async()
+		// Sanity checks {{{
+		.then(function(next) {
+			if (settings.postPath == 'param') {
+				settings.expect = settings.limit = 1;
+				if (!relativePath(req)) return next(emuError('EMU_INVALID_PATH', 'No filename given in req.params.path'));
+			}
+			next();
+		})
+		.then('digests', function(next) {
+			try {
+				next(null, requestDigests(req));
+			} catch (e) {
+				next(e);
+			}
+		})
+		.then('quota', function(next) {
+			if (!settings.quota) return next();
+			checkQuota(settings, req, 0, 0, next);
+		})
+		// }}}
+		// Boot multer {{{
+		.then(function(next) {
+			var multerHandle;
+			var upload = multer({
+				storage: streamingStorage(settings, this.digests.map(digest => digest.algorithm), this.quota),
+				limits: settings.maxFileSize ? {fileSize: settings.maxFileSize} : {},
+			});
+
+			if (settings.limit && settings.limit == 1 && settings.field) {
+				multerHandle = upload.single(settings.field);
+			} else if (settings.limit && settings.field) {
+				// FIXME: Not getting expected error back from multer when limit is exceeded.
+				multerHandle = upload.array(settings.field, {maxCount: settings.limit});
+			} else if (settings.field) {
+				multerHandle = upload.array(settings.field);
+			} else {
+				multerHandle = upload.any();
+			}
+
+			// FIXME: Should this use `req[settings.field]` instead of `req.file`?
+			multerHandle(req, res, function(err) {
+				if (err) return next(err);
+				if (!req.files && !req.file) return next(emuError('EMU_NO_FILES'));
+				if (req.file) req.files = [req.file];
+				if (settings.expect && req.files.length && req.files.length < settings.expect) return next(emuError('EMU_FILE_COUNT', 'Less than expected files uploaded'));
+				if (settings.limit && req.files.length && req.files.length > settings.limit) return next(emuError('EMU_FILE_COUNT', 'More than file limit uploaded'));
+				next();
+			});
+		})
+		// }}}
+		// Verify client supplied digests {{{
+		.then(function(next) {
+			if (!this.digests.length) return next();
+			if (req.files.length > 1) return next(emuError('EMU_INVALID_HEADER', 'Content-Digest / Content-MD5 can only be used when uploading a single file'));
+
+			var file = req.files[0];
+			if (this.digests.some(digest => !digest.digest.equals(file.hashes[digest.algorithm]))) return next(emuError('EMU_REJECTED', 'Content digest mismatch', {
+				status: 400,
+				files: [{name: file.originalname, reason: 'Content digest mismatch'}],
+			}));
+			next();
+		})
+		// }}}
+		// Extract archives {{{
+		.then(function(next) {
+			if (!settings.extract || settings.postPath == 'param') return next();
+			extractArchives(settings, req, next);
+		})
+		// }}}
+		// Store files + post process {{{
+		.then(function(next) {
+			storeUploads(settings, req, res, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) {
+				_.castArray(req.files || []) // Clean up any temporary files that didn't make it into place
+					.filter(file => file.tempPath && !file.storagePath)
+					.forEach(file => settings.storage.delete(file.tempPath, _.noop));
+
+				err = normaliseError(err);
+				if (err.code != 'EMU_INTERNAL') emitEvent(settings, 'rejected', {
+					path: relativePath(req),
+					error: err,
+					files: err.files || _.castArray(req.files || []).map(file => ({name: file.originalname})),
+					req,
+				});
+				if (err.status == 413 || err.status == 507) { // Wait for the remainder of the request to be discarded before responding, otherwise the client may see the connection reset before it reads the response
+					var respond = ()=> sendError(settings, req, res.set('Connection', 'close'), err);
+					if (req.complete) return respond();
+					return req.once('end', respond).resume();
+				}
+				return sendError(settings, req, res, err);
+			}
+			var url = mountUrl(req);
+			res.send({
+				files: req.files.map(file => {
+					var entry = fileEntry(settings, file.filename, file.stat);
+					return _.assign(entry, {
+						url: `${url}/${entry.name}`,
+						originalname: file.originalname,
+						mimetype: mimeTypes.lookup(file.filename) || file.mimetype || 'application/octet-stream',
+						checksum: file.checksum,
+					}, file.metadata ? {meta: file.metadata} : {}, hasVariants(settings, file.filename) ? {variants: variantUrls(settings, `${url}/${entry.name}`, file.filename)} : {});
+				}),
+			});
+		})
+		// }}}
+};
+
+
+/**
+* Resumable (tus-style) upload handlers
+* These are only used if `options.resumable` is truthy. A resumable upload works as follows:
+*
+* 	1. `POST` with an `Upload-Length` header (and optionally `Upload-Metadata`) to create an upload session, the session URL is returned in the `Location` header
+* 	2. `PATCH` the session URL with chunks of the file (`Content-Type: application/offset+octet-stream`), the `Upload-Offset` header must match the current offset
+* 	3. `HEAD` the session URL at any time to retrieve the current `Upload-Offset` (e.g. after a connection failure)
+* 	4. Once all bytes have been received the file is moved into place as if it had been uploaded normally and `postProcessing` is called
+*
+* Sessions which have not been completed within `options.resumableExpiry` are removed
+* @see emu
+* @var {Object}
+*/
+emu.resumable = {};
+
+
+/**
+* Create a new resumable upload session
+* This is the child middleware call of emu
+* @see emu.resumable
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+* @param {number} options.resumableExpiry How long in milliseconds an upload session remains valid since it was last written to
+*/
+emu.resumable.create = function(settings, req, res) {
+	async()
+		// Sanity checks {{{
+		.then('length', function(next) {
+			var length = parseInt(req.headers['upload-length']);
+			if (!/^\d+$/.test(req.headers['upload-length'])) return next(emuError('EMU_INVALID_HEADER', 'Invalid Upload-Length header'));
+			if (settings.maxFileSize && length > settings.maxFileSize) return next(emuError('EMU_FILE_TOO_LARGE'));
+			next(null, length);
+		})
+		.then(function(next) {
+			if (!settings.quota) return next();
+			checkQuota(settings, req, this.length, 1, next);
+		})
+		// }}}
+		// Decode metadata {{{
+		.then('metadata', function(next) {
+			next(null, _(req.headers['upload-metadata'] || '')
+				.split(',')
+				.map(pair => pair.trim().split(/\s+/))
+				.filter(pair => pair[0])
+				.fromPairs()
+				.mapValues(value => value ? Buffer.from(value, 'base64').toString() : '')
+				.value()
+			);
+		})
+		.then(function(next) {
+			if (settings.postPath == 'param' && !relativePath(req)) return next(emuError('EMU_INVALID_PATH', 'No filename given in req.params.path'));
+			if (settings.postPath != 'param' && !this.metadata.filename) return next(emuError('EMU_INVALID_HEADER', 'No filename given in Upload-Metadata'));
+			next();
+		})
+		// }}}
+		// Garbage collect any expired sessions {{{
+		.then(function(next) {
+			gcResumable(settings, next);
+		})
+		// }}}
+		// Create the session {{{
+		.then('session', function(next) {
+			var session = {
+				id: crypto.randomBytes(16).toString('hex'),
+				length: this.length,
+				offset: 0,
+				filename: this.metadata.filename || fspath.basename(relativePath(req)),
+				filetype: this.metadata.filetype || 'application/octet-stream',
+				path: relativePath(req),
+				created: new Date(),
+				expires: new Date(Date.now() + settings.resumableExpiry),
+			};
+
+			writeJSON(settings, resumablePath(settings, session.id, '.json'), session, err => next(err, session));
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+
+			res
+				.set({
+					'Tus-Resumable': '1.0.0',
+					'Location': req.originalUrl.replace(/\?.*$/, '') + '?upload=' + this.session.id,
+					'Upload-Offset': 0,
+					'Upload-Expires': this.session.expires.toUTCString(),
+				})
+				.status(201)
+				.end();
+		})
+		// }}}
+};
+
+
+/**
+* Query the current offset of a resumable upload session
+* This is the child middleware call of emu
+* @see emu.resumable
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.resumable.head = function(settings, req, res) {
+	loadResumable(settings, req.query.upload, function(err, session) {
+		if (err) return sendError(settings, req, res, err);
+
+		res
+			.set({
+				'Tus-Resumable': '1.0.0',
+				'Cache-Control': 'no-store',
+				'Upload-Offset': session.offset,
+				'Upload-Length': session.length,
+				'Upload-Expires': new Date(session.expires).toUTCString(),
+			})
+			.status(200)
+			.end();
+	});
+};
+
+
+/**
+* Append a chunk of data to a resumable upload session
+* Chunks for the same session are handled one at a time, so if several are sent for the same offset only the first is accepted
+* If this completes the upload the file is moved into place and post-processing is called
+* This is the child middleware call of emu
+* @see emu.resumable
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.resumable.patch = function(settings, req, res) {
+	async()
+		// Wait for any other chunk being written to the same session so each sees the offset left by the last {{{
+		.then(function(next) {
+			lockPath(settings, resumablePath(settings, req.query.upload, '.json'), release => {
+				this.release = release;
+				next();
+			});
+		})
+		// }}}
+		// Fetch the session {{{
+		.then('session', function(next) {
+			loadResumable(settings, req.query.upload, next);
+		})
+		// }}}
+		// Sanity checks {{{
+		.then(function(next) {
+			if (!req.is('application/offset+octet-stream')) return next(emuError('EMU_UNSUPPORTED_MEDIA_TYPE', 'Invalid Content-Type'));
+			if (parseInt(req.headers['upload-offset']) !== this.session.offset) return next(emuError('EMU_OFFSET_MISMATCH'));
+			next();
+		})
+		// }}}
+		// Write the chunk {{{
+		.then('received', function(next) {
+			var session = this.session;
+			var chunkPath = resumablePath(settings, session.id, '.' + _.padStart(session.offset, 16, '0') + '.part');
+			var received = 0;
+			var failed = false;
+			var writeStream = settings.storage.createWriteStream(chunkPath);
+			var counter = new stream.Transform({
+				transform: function(chunk, enc, next) {
+					received += chunk.length;
+					if (session.offset + received > session.length) return next(emuError('EMU_FILE_TOO_LARGE', 'Chunk exceeds Upload-Length', {unconsumed: true})); // Mark the error so we know the rest of the request body was never read
+					next(null, chunk);
+				},
+			});
+
+			counter.on('error', err => {
+				failed = true;
+				req.unpipe(counter);
+				req.resume();
+				writeStream.destroy();
+				settings.storage.delete(chunkPath, ()=> next(err));
+			});
+			writeStream.on('error', next);
+			writeStream.on('finish', ()=> failed || next(null, received));
+			req.on('aborted', ()=> counter.end()); // Client went away mid-chunk - keep whatever we have received so far
+			req.pipe(counter).pipe(writeStream);
+		})
+		// }}}
+		// Update the session {{{
+		.then(function(next) {
+			this.session.offset += this.received;
+			this.session.expires = new Date(Date.now() + settings.resumableExpiry);
+			writeJSON(settings, resumablePath(settings, this.session.id, '.json'), this.session, next);
+		})
+		// }}}
+		// Assemble the file if we have everything {{{
+		.then(function(next) {
+			if (this.session.offset < this.session.length) return next(); // Still waiting on more chunks
+			finishResumable(settings, req, res, this.session, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (this.release) this.release();
+			if (err && err.unconsumed) return sendError(settings, req, res.set('Connection', 'close'), err);
+			if (err) return sendError(settings, req, res, err);
+			if (res.headersSent) return; // Post-processing has already responded
+
+			res
+				.set({
+					'Tus-Resumable': '1.0.0',
+					'Upload-Offset': this.session.offset,
+					'Upload-Expires': new Date(this.session.expires).toUTCString(),
+				})
+				.status(204)
+				.end();
+		})
+		// }}}
+};
+
+
+/**
+* Abandon a resumable upload session, removing all data received so far
+* This is the child middleware call of emu
+* @see emu.resumable
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.resumable.delete = function(settings, req, res) {
+	async()
+		// Fetch the session {{{
+		.then('session', function(next) {
+			loadResumable(settings, req.query.upload, next);
+		})
+		// }}}
+		// Remove it {{{
+		.then(function(next) {
+			removeResumable(settings, this.session.id, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			res.set('Tus-Resumable', '1.0.0').status(204).end();
+		})
+		// }}}
+};
+
+
+/**
+* Delete a file or directory
+* Directories which are not empty are only deleted (along with all their contents) if the `recursive` query parameter is given, otherwise a 409 error is returned
+* If `options.trash` is enabled the file or directory is moved into the trash instead and the response is its trash record (see emu.trash)
+* This is the child middleware call of emu, deleting a directory uses the `rmdir` middleware instead of `delete`
+* @see emu
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+* @param {boolean} [options.trash=false] Move deleted files into the trash rather than removing them
+*/
+emu.delete = function(settings, req, res) {
+	async()
+		// Calculate path {{{
+		.then('path', function(next) {
+			resolvePath(settings, relativePath(req), next);
+		})
+		// }}}
+		// Delete (along with metadata, blobs and variants) or move into the trash {{{
+		.then('deleted', function(next) {
+			deletePath(settings, req, this.path, _.has(req.query, 'recursive'), next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			emitEvent(settings, 'deleted', {path: fspath.relative(settings.path, this.path), type: this.deleted.stat.type, trash: this.deleted.trash, req});
+			if (this.deleted.trash) return res.send(this.deleted.trash);
+			res.sendStatus(200).end();
+		})
+		// }}}
+};
+
+
+/**
+* Trash handlers
+* These are only used if `options.trash` is truthy, in which case deleting a file or directory moves it into a hidden trash area (within `options.internalDir`) from which it can be restored:
+*
+* 	- `GET /?trash` - List the items in the trash (uses the `list` middleware), adding a path (e.g. `GET /photos?trash`) lists only items deleted from within it
+* 	- `POST /?restore=ID` - Restore an item to where it was deleted from, or to the path given in the `Destination` header (uses the `restore` middleware)
+* 	- `DELETE /?trash=ID` - Permanently remove an item from the trash (uses the `delete` middleware)
+*
+* Each item is described by its trash record, an object of the form `{id, path, type, size, files, deleted, deletedBy, expires}` where `deletedBy` is determined by `options.uploadedBy`
+* Items are purged automatically once they are older than `options.trashRetention`, this happens the next time anything is deleted or the trash is listed
+* @see emu
+* @var {Object}
+*/
+emu.trash = {};
+
+
+/**
+* List the items in the trash, most recently deleted first
+* This is the child middleware call of emu
+* @see emu.trash
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.trash.list = function(settings, req, res) {
+	async()
+		// Calculate path {{{
+		.then('path', function(next) {
+			resolvePath(settings, relativePath(req), next);
+		})
+		// }}}
+		// Fetch records (purging any which have expired) {{{
+		.then('records', function(next) {
+			gcTrash(settings, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			var prefix = fspath.relative(settings.path, this.path);
+			res.send(_(this.records)
+				.filter(record => !prefix || record.path == prefix || record.path.startsWith(prefix + '/'))
+				.sortBy(record => new Date(record.deleted))
+				.reverse()
+				.value()
+			);
+		})
+		// }}}
+};
+
+
+/**
+* Restore an item from the trash
+* The item is restored to the path it was deleted from unless a `Destination` header is given, any missing parent directories are created. If something already exists at the destination a 409 error is returned
+* The response is the listing entry of the restored item
+* This is the child middleware call of emu
+* @see emu.trash
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.trash.restore = function(settings, req, res) {
+	async()
+		// Fetch the record {{{
+		.then('record', function(next) {
+			loadTrash(settings, req.query.restore, next);
+		})
+		// }}}
+		// Calculate destination {{{
+		.then('destination', function(next) {
+			if (req.headers.destination) return destinationPath(settings, req, next);
+			resolvePath(settings, this.record.path, next);
+		})
+		// }}}
+		// Move back into place {{{
+		.then(function(next) {
+			transferPath(settings, 'move', fspath.join(trashPath(settings, this.record.id, ''), fspath.basename(this.record.path)), this.destination, {mkdir: true}, next);
+		})
+		.then('stat', function(next) {
+			settings.storage.stat(this.destination, next);
+		})
+		// }}}
+		// Remove the trash record {{{
+		.then(function(next) {
+			settings.storage.rmdir(trashPath(settings, this.record.id, ''), next);
+		})
+		.then(function(next) {
+			settings.storage.delete(trashPath(settings, this.record.id, '.json'), next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			var entry = fileEntry(settings, fspath.relative(settings.path, this.destination), this.stat);
+			emitEvent(settings, 'restored', {path: this.record.path, destination: entry.name, type: this.stat.type, file: entry, trash: this.record, req});
+			res.send(entry);
+		})
+		// }}}
+};
+
+
+/**
+* Permanently remove an item from the trash
+* This is the child middleware call of emu
+* @see emu.trash
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.trash.delete = function(settings, req, res) {
+	async()
+		// Fetch the record {{{
+		.then('record', function(next) {
+			loadTrash(settings, req.query.trash, next);
+		})
+		// }}}
+		// Purge {{{
+		.then(function(next) {
+			purgeTrash(settings, this.record, req, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			res.sendStatus(200);
+		})
+		// }}}
+};
+
+
+/**
+* Version handlers
+* These are only used if `options.versions` is truthy, in which case files which are overwritten (by any upload method) are kept as previous versions:
+*
+* 	- `GET /FILE?versions` - List the versions of a file (uses the `get` middleware)
+* 	- `GET /FILE?version=N` - Read a previous version of a file (handled by emu.get)
+* 	- `POST /FILE?version=N` - Restore a previous version of a file, the current contents are kept as a new version (uses the `post` middleware)
+*
+* Versions are numbered from 1 for the first upload of a file, each replacement taking the next number. Each version is described by an object of the form `{version, size, checksum, uploaded, uploadedBy, archived}` where archived is when it was replaced
+* Previous versions are pruned when there are more than `options.versionsMaxCount` or they were replaced longer ago than `options.versionsMaxAge`, this happens whenever the file is replaced or its versions are listed
+* Previous versions follow their file when it is moved (or moved into the trash) and are removed along with it
+* @see emu
+* @var {Object}
+*/
+emu.versions = {};
+
+
+/**
+* List the versions of a file, the current version first followed by previous versions from newest to oldest
+* The current version is marked with `current: true`
+* This is the child middleware call of emu
+* @see emu.versions
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.versions.list = function(settings, req, res) {
+	async()
+		// Calculate path {{{
+		.then('path', function(next) {
+			resolvePath(settings, relativePath(req), next);
+		})
+		// }}}
+		// Check file exists {{{
+		.then('file', function(next) {
+			resolveFile(settings, this.path, function(err, file) {
+				if (err && err.code == 'ENOENT') return next(emuError('EMU_NOT_FOUND'));
+				if (err) return next(err);
+				if (file.stat.type != 'file') return next(emuError('EMU_NOT_A_FILE'));
+				next(null, file);
+			});
+		})
+		// }}}
+		// Fetch versions (pruning any which have expired) {{{
+		.then('index', function(next) {
+			loadVersions(settings, this.path, next);
+		})
+		.then(function(next) {
+			var count = this.index.versions.length;
+			pruneVersions(settings, this.path, this.index, (err, index) => {
+				if (err || index.versions.length == count) return next(err);
+				writeJSON(settings, versionsIndexPath(settings, this.path), index, next);
+			});
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			res.send([
+				_.omitBy({
+					version: this.index.current,
+					size: this.file.stat.size,
+					checksum: _.get(this.file.metadata, 'checksum'),
+					uploaded: _.get(this.file.metadata, 'uploaded') || this.file.stat.modified,
+					uploadedBy: _.get(this.file.metadata, 'uploadedBy'),
+					current: true,
+				}, _.isUndefined),
+				...this.index.versions.slice().reverse(),
+			]);
+		})
+		// }}}
+};
+
+
+/**
+* Restore a previous version of a file
+* The contents of the version are copied to become the current version (with the next version number), the contents being replaced are kept as a previous version
+* The response is the listing entry of the file along with its metadata
+* This is the child middleware call of emu
+* @see emu.versions
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.versions.restore = function(settings, req, res) {
+	async()
+		// Calculate path {{{
+		.then('path', function(next) {
+			resolvePath(settings, relativePath(req), next);
+		})
+		.then(function(next) { // Wait for any upload to the same path (see storeUploads())
+			lockPath(settings, this.path, release => {
+				this.release = release;
+				next();
+			});
+		})
+		// }}}
+		// Check file + version exist {{{
+		.then(function(next) {
+			settings.storage.stat(this.path, function(err, stat) {
+				if (err && err.code == 'ENOENT') return next(emuError('EMU_NOT_FOUND'));
+				if (err) return next(err);
+				if (stat.type != 'file') return next(emuError('EMU_NOT_A_FILE'));
+				next();
+			});
+		})
+		.then('index', function(next) {
+			loadVersions(settings, this.path, next);
+		})
+		.then('version', function(next) {
+			if (!/^\d+$/.test(req.query.version)) return next(emuError('EMU_INVALID_QUERY', 'Invalid version'));
+			var version = parseInt(req.query.version);
+			if (version == this.index.current) return next(); // Already the current version - nothing to do
+
+			var previous = this.index.versions.find(previous => previous.version == version);
+			if (!previous) return next(emuError('EMU_NOT_FOUND', 'Version not found'));
+			next(null, previous);
+		})
+		.then(function(next) {
+			if (!this.version || !settings.quota) return next();
+			checkQuota(settings, req, this.version.size, 1, next);
+		})
+		// }}}
+		// Copy the version aside (so it cannot be pruned while replacing the current version) {{{
+		.then('tempPath', function(next) {
+			if (!this.version) return next();
+			var tempPath = tempFile(settings);
+			settings.storage.mkdir(fspath.dirname(tempPath), err => next(err, tempPath));
+		})
+		.then(function(next) {
+			if (!this.version) return next();
+			copyPath(settings, versionPath(settings, this.path, this.version.version), this.tempPath, next);
+		})
+		// }}}
+		// Keep the current contents as a previous version then move the copy into place {{{
+		.then('index', function(next) {
+			if (!this.version) return next(null, this.index);
+			archiveVersion(settings, this.path, next);
+		})
+		.then(function(next) {
+			if (!this.version) return next();
+			movePath(settings, this.tempPath, this.path, next);
+		})
+		.then('metadata', function(next) {
+			if (!settings.metadata) return next();
+			settings.metadata.get(settings, this.path, next);
+		})
+		.then(function(next) {
+			if (!this.version || !this.metadata) return next();
+			this.metadata.version = this.index.current;
+			settings.metadata.set(settings, this.path, this.metadata, next);
+		})
+		// }}}
+		// Fetch the restored file details {{{
+		.then('file', function(next) {
+			resolveFile(settings, this.path, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (this.release) this.release();
+			if (err && this.tempPath) removeFile(settings, this.tempPath, _.noop); // Remove the copy if it was not moved into place
+			if (err) return sendError(settings, req, res, err);
+			var entry = fileEntry(settings, fspath.relative(settings.path, this.path), this.file.stat);
+			if (this.version) emitEvent(settings, 'restored', {path: entry.name, version: this.version.version, file: entry, req});
+			res.send(this.metadata ? _.assign(entry, {meta: this.metadata}) : entry);
+		})
+		// }}}
+};
+
+
+/**
+* Create a directory, along with any missing parent directories
+* The response is the listing entry of the new directory
+* This is the child middleware call of emu
+* @see emu
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.mkdir = function(settings, req, res) {
+	async()
+		// Calculate path {{{
+		.then('path', function(next) {
+			resolvePath(settings, relativePath(req), next);
+		})
+		// }}}
+		// Check nothing exists at the path already {{{
+		.then(function(next) {
+			settings.storage.stat(this.path, function(err) {
+				if (err && err.code == 'ENOENT') return next();
+				if (err) return next(err);
+				next(emuError('EMU_EXISTS'));
+			});
+		})
+		// }}}
+		// Create {{{
+		.then(function(next) {
+			settings.storage.mkdir(this.path, next);
+		})
+		.then('stat', function(next) {
+			settings.storage.stat(this.path, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			res.status(201).send(fileEntry(settings, fspath.relative(settings.path, this.path), this.stat));
+		})
+		// }}}
+};
+
+
+/**
+* Update the custom metadata of a file
+* The request body should be an object of fields to merge into the files `custom` metadata, fields set to null are removed
+* The response is the updated listing entry of the file
+* This is the child middleware call of emu
+* @see emu
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+* @param {Object} options.metadata The metadata store to use
+*/
+emu.patch = function(settings, req, res) {
+	async()
+		// Sanity checks {{{
+		.then(function(next) {
+			if (!settings.metadata) return next(emuError('EMU_METHOD_NOT_ALLOWED', 'Metadata is not enabled'));
+			if (!_.isPlainObject(req.body)) return next(emuError('EMU_BAD_REQUEST', 'Metadata must be an object'));
+			next();
+		})
+		// }}}
+		// Calculate path {{{
+		.then('path', function(next) {
+			resolvePath(settings, relativePath(req), next);
+		})
+		// }}}
+		// Check file exists + fetch existing metadata {{{
+		.then(function(next) {
+			resolveFile(settings, this.path, (err, file) => {
+				if (err) return next(err);
+				if (file.stat.type != 'file') return next(emuError('EMU_NOT_A_FILE'));
+				this.stat = file.stat;
+				this.metadata = file.metadata;
+				next();
+			});
+		})
+		// }}}
+		// Merge + save {{{
+		.then(function(next) {
+			this.metadata = this.metadata || {custom: {}};
+			this.metadata.custom = _.omitBy(_.assign({}, this.metadata.custom, req.body), _.isNull);
+			settings.metadata.set(settings, this.path, this.metadata, next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return sendError(settings, req, res, err);
+			res.send(_.assign(fileEntry(settings, fspath.relative(settings.path, this.path), this.stat), {meta: this.metadata}));
+		})
+		// }}}
+};
+
+
+/**
+* Copy or move a file or directory to the path given in the `Destination` header
+* The destination is relative to the storage root and any missing parent directories are created
+* If the destination exists it is replaced if the `Overwrite: T` header is given, refused with a 412 error if `Overwrite: F` is given, otherwise it is replaced only if `options.onConflict` is 'overwrite' (a 409 error is returned if not)
+* The response is the listing entry of the destination
+*
+* @param {string} operation Either 'copy' or 'move'
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} res The original response object
+*/
+var transfer = function(operation, settings, req, res) {
+	async()
+		// Sanity checks {{{
+		.then(function(next) {
+			if (!req.headers.destination) return next(emuError('EMU_INVALID_HEADER', 'Destination header not specified'));
+			next();
+		})
+		// }}}
+		// Calculate paths {{{
+		.then('path', function(next) {
+			resolvePath(settings, relativePath(req), next);
+		})
+		.then('destination', function(next) {
+			destinationPath(settings, req, next);
+		})
+		// }}}
+		// Check a copy fits within the quota {{{
+		.then(function(next) {
+			if (operation != 'copy' || !settings.quota) return next();
+			walkUsage(settings, this.path, (err, usage) => err ? next(err) : checkQuota(settings, req, usage.bytes, usage.files, next));
+		})
+		// }}}
+		// Copy / move {{{
+		.then('entry', function(next) {
+			transferEntry(settings, operation, this.path, this.destination, req.headers.overwrite == 'T' || (req.headers.overwrite != 'F' && settings.onConflict == 'overwrite'), next);
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err && err.code == 'EMU_EXISTS' && req.headers.overwrite == 'F') return sendError(settings, req, res, emuError('EMU_PRECONDITION_FAILED', err.message));
+			if (err) return sendError(settings, req, res, err);
+			emitEvent(settings, operation == 'move' ? 'moved' : 'copied', {path: fspath.relative(settings.path, this.path), destination: this.entry.name, file: this.entry, req});
+			res.send(this.entry);
+		})
+		// }}}
+};
+
+
+/**
+* Move / rename a file or directory
+* This is the child middleware call of emu
+* @see emu
+* @see transfer()
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.move = (settings, req, res) => transfer('move', settings, req, res);
+
+
+/**
+* Copy a file or directory
+* Metadata is copied along with each file, deduplicated files share the same stored contents
+* This is the child middleware call of emu
+* @see emu
+* @see transfer()
+* @param {Object} options An options object using the same standard as the parent middleware
+* @param {string} options.path The storage path to use
+* @param {Object} options.storage The storage driver to use
+*/
+emu.copy = (settings, req, res) => transfer('copy', settings, req, res);
+
+
+/**
+* WebDAV handlers
+* These are only used if `options.webdav` is truthy and allow EMU to be mounted as a network drive by desktop clients
+* The following methods are supported in addition to the regular GET / HEAD (read), DELETE (now removing non-empty directories without needing `?recursive`), MOVE and COPY (both now using WebDAV style destination URLs) methods:
+*
+* 	- `OPTIONS` - Advertise WebDAV support
+* 	- `PROPFIND` - List file / directory properties (uses the `list` middleware)
+* 	- `PUT` - Write a file (uses the `post` middleware)
+* 	- `MKCOL` - Create a directory (uses the `mkdir` middleware)
+* 	- `LOCK` / `UNLOCK` - Lock a file or directory against changes by other clients (uses the `post` middleware)
+*
+* Paths can be nested to any depth below the mount point
+* @see emu
+* @var {Object}
+*/
+emu.webdav = {};
+
+
+/**
+* Resolve the target storage path of a WebDAV request (see resolvePath()), responding with an error if the path is invalid
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} res The original response object
+* @param {function} callback The callback to invoke as (path), this is not called if an error response has been sent
+*/
+var davPath = function(settings, req, res, callback) {
+	resolvePath(settings, relativePath(req), function(err, path) {
+		if (err) return sendError(settings, req, res, err);
+		callback(path);
+	});
+};
+
+
+/**
+* Check that the parent of a path is an existing directory, creating the storage root directory if needed
+* @param {Object} settings The EMU settings object for the request
+* @param {string} path The storage path whose parent should be checked
+* @param {function} callback The callback to invoke as (err), err has the code 'EMU_NO_PARENT' if the parent is missing or not a directory
+*/
+var davParent = function(settings, path, callback) {
+	var parent = fspath.dirname(path);
+	if (parent == settings.path) return settings.storage.mkdir(parent, callback);
+
+	settings.storage.stat(parent, function(err, stat) {
+		if (err && err.code == 'ENOENT') return callback(emuError('EMU_NO_PARENT'));
+		if (err) return callback(err);
+		if (stat.type != 'directory') return callback(emuError('EMU_NO_PARENT'));
+		callback();
+	});
+};
+
+
+/**
+* Respond to a WebDAV OPTIONS request
+* @see emu.webdav
+*/
+emu.webdav.options = function(settings, req, res) {
+	res
+		.set('DAV', '1, 2')
+		.set('MS-Author-Via', 'DAV')
+		.set('Allow', 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, MKCOL, COPY, MOVE, LOCK, UNLOCK')
+		.sendStatus(200);
+};
+
+
+/**
+* List the properties of a file or directory as a WebDAV multistatus response
+* The `Depth` header can be '0' (the resource only) or '1' (the resource and, if a directory, its immediate contents)
+* All live properties are always returned regardless of the properties requested
+* @see emu.webdav
+*/
+emu.webdav.propfind = function(settings, req, res) {
+	davPath(settings, req, res, function(path) {
+		var depth = _.has(req.headers, 'depth') ? req.headers.depth : 'infinity';
+
+		/**
+		* Generate the multistatus response XML for a single resource
+		* @param {string} path The storage path of the resource
+		* @param {Object} stat The stat object of the resource
+		* @param {Object} [metadata] The stored metadata of the resource
+		* @returns {string} The XML fragment
+		*/
+		var entryXML = function(path, stat, metadata) {
+			var isDirectory = stat.type == 'directory';
+			var href = davHref(settings, req, path, isDirectory);
+			var locks = findLocks(settings, path);
+			var etag = metadata && metadata.checksum ? `"${metadata.checksum}"` : `W/"${stat.size.toString(16)}-${new Date(stat.modified).getTime().toString(16)}"`;
+
+			return '<D:response>'
+				+ `<D:href>${xmlEscape(href)}</D:href>`
+				+ '<D:propstat><D:prop>'
+				+ `<D:displayname>${xmlEscape(path == settings.path ? '' : fspath.basename(path))}</D:displayname>`
+				+ (isDirectory ? '<D:resourcetype><D:collection/></D:resourcetype>' : '<D:resourcetype/>')
+				+ (isDirectory ? '' : `<D:getcontentlength>${stat.size}</D:getcontentlength>`)
+				+ (isDirectory ? '' : `<D:getcontenttype>${xmlEscape(mimeTypes.lookup(path) || 'application/octet-stream')}</D:getcontenttype>`)
+				+ (isDirectory ? '' : `<D:getetag>${xmlEscape(etag)}</D:getetag>`)
+				+ `<D:getlastmodified>${new Date(stat.modified).toUTCString()}</D:getlastmodified>`
+				+ `<D:creationdate>${new Date(stat.created).toISOString()}</D:creationdate>`
+				+ '<D:supportedlock>'
+				+ '<D:lockentry><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>'
+				+ '<D:lockentry><D:lockscope><D:shared/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>'
+				+ '</D:supportedlock>'
+				+ (locks.length ? davLockXML(locks, href) : '<D:lockdiscovery/>')
+				+ '</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat>'
+				+ '</D:response>';
+		};
+
+		async()
+			// Sanity checks {{{
+			.then(function(next) {
+				if (depth != '0' && depth != '1') return next(emuError('EMU_FORBIDDEN', 'PROPFIND with infinite depth is not supported'));
+				next();
+			})
+			// }}}
+			// Fetch the resource {{{
+			.then(function(next) {
+				if (path != settings.path) return next();
+				settings.storage.mkdir(settings.path, next); // Make sure the root directory exists
+			})
+			.then('file', function(next) {
+				resolveFile(settings, path, next);
+			})
+			// }}}
+			// Fetch the directory contents {{{
+			.then('children', function(next) {
+				if (depth == '0' || this.file.stat.type != 'directory') return next(null, []);
+				settings.storage.list(path, next);
+			})
+			.map('children', 'children', function(next, child) {
+				if (path == settings.path && child.name == settings.internalDir) return next(); // Hide EMU's internal directory
+				if (!settings.dotfiles && child.name.startsWith('.')) return next(); // Hide hidden files
+				var childPath = fspath.join(path, child.name);
+				if (child.type != 'file') return next(null, entryXML(childPath, child));
+
+				resolveFile(settings, childPath, function(err, file) {
+					if (err) return next(err);
+					next(null, entryXML(childPath, file.stat, file.metadata));
+				});
+			})
+			// }}}
+			// End {{{
+			.end(function(err) {
+				if (err) return sendError(settings, req, res, err);
+
+				res
+					.status(207)
+					.type('application/xml; charset=utf-8')
+					.send(
+						'<?xml version="1.0" encoding="utf-8"?>\n'
+						+ '<D:multistatus xmlns:D="DAV:">'
+						+ entryXML(path, this.file.stat, this.file.metadata)
+						+ _.compact(this.children).join('')
+						+ '</D:multistatus>'
+					);
+			});
+			// }}}
+	});
+};
+
+
+/**
+* Write a file from the request body
+* The file is stored as if it had been uploaded normally (so validation, metadata, variants etc. all apply) except that any existing file is always overwritten
+* If the client supplies a `Content-Digest` or `Content-MD5` header the contents are verified against it
+* @see emu.webdav
+*/
+emu.webdav.put = function(settings, req, res) {
+	davPath(settings, req, res, function(path) {
+		async()
+			// Sanity checks {{{
+			.then(function(next) {
+				if (path == settings.path) return next(emuError('EMU_METHOD_NOT_ALLOWED', 'Cannot write to a directory'));
+				if (!checkLock(settings, req, path)) return next(emuError('EMU_LOCKED'));
+				if (settings.maxFileSize && parseInt(req.headers['content-length']) > settings.maxFileSize) return next(emuError('EMU_FILE_TOO_LARGE'));
+				next();
+			})
+			.then('digests', function(next) {
+				try {
+					next(null, requestDigests(req));
+				} catch (e) {
+					next(e);
+				}
+			})
+			.then(function(next) {
+				davParent(settings, path, next);
+			})
+			.then('existed', function(next) {
+				settings.storage.stat(path, function(err, stat) {
+					if (err && err.code == 'ENOENT') return next(null, false);
+					if (err) return next(err);
+					if (stat.type == 'directory') return next(emuError('EMU_METHOD_NOT_ALLOWED', 'Cannot write to a directory'));
+					next(null, true);
+				});
+			})
+			// }}}
+			// Spool the request body {{{
+			.then('file', function(next) {
+				spoolFile(settings, req, {
+					algorithms: this.digests.map(digest => digest.algorithm),
+					check: (chunk, size) => settings.maxFileSize && size > settings.maxFileSize ? emuError('EMU_FILE_TOO_LARGE') : undefined,
+					drain: true,
+				}, (err, spooled) => {
+					if (err) return next(err);
+					next(null, _.assign({
+						fieldname: settings.field,
+						originalname: fspath.basename(path),
+						targetPath: path,
+						mimetype: (req.headers['content-type'] || '').split(';')[0] || mimeTypes.lookup(path) || 'application/octet-stream',
+					}, spooled));
+				});
+			})
+			// }}}
+			// Verify client supplied digests {{{
+			.then(function(next) {
+				if (this.digests.some(digest => !digest.digest.equals(this.file.hashes[digest.algorithm]))) return next(emuError('EMU_REJECTED', 'Content digest mismatch', {
+					status: 400,
+					files: [{name: this.file.originalname, reason: 'Content digest mismatch'}],
+				}));
+				next();
+			})
+			// }}}
+			// Store the file {{{
+			.then(function(next) {
+				req.files = [this.file];
+				storeUploads(_.assign({}, settings, {postPath: 'upload', onConflict: 'overwrite'}), req, res, next);
+			})
+			// }}}
+			// End {{{
+			.end(function(err) {
+				if (err && this.file && !this.file.storagePath) settings.storage.delete(this.file.tempPath, _.noop);
+
+				if (err && err.code == 'EMU_FILE_TOO_LARGE') return sendError(settings, req, res.set('Connection', 'close'), err);
+				if (err) return sendError(settings, req, res, err);
+				res.sendStatus(this.existed ? 204 : 201);
+			});
+			// }}}
+	});
+};
+
+
+/**
+* Create a directory
+* @see emu.webdav
+*/
+emu.webdav.mkcol = function(settings, req, res) {
+	davPath(settings, req, res, function(path) {
+		async()
+			// Sanity checks {{{
+			.then(function(next) {
+				if (parseInt(req.headers['content-length']) > 0) return next(emuError('EMU_UNSUPPORTED_MEDIA_TYPE', 'MKCOL request bodies are not supported'));
+				if (!checkLock(settings, req, path)) return next(emuError('EMU_LOCKED'));
+				settings.storage.stat(path, function(err) {
+					if (err && err.code == 'ENOENT') return next();
+					if (err) return next(err);
+					next(emuError('EMU_METHOD_NOT_ALLOWED', 'Resource already exists'));
+				});
+			})
+			.then(function(next) {
+				davParent(settings, path, next);
+			})
+			// }}}
+			// Create {{{
+			.then(function(next) {
+				settings.storage.mkdir(path, next);
+			})
+			// }}}
+			// End {{{
+			.end(function(err) {
+				if (err) return sendError(settings, req, res, err);
+				res.sendStatus(201);
+			});
+			// }}}
+	});
+};
+
+
+/**
+* Delete a file or a directory (along with all its contents), moving it into the trash if `options.trash` is enabled
+* @see emu.webdav
+*/
+emu.webdav.delete = function(settings, req, res) {
+	davPath(settings, req, res, function(path) {
+		async()
+			.then(function(next) {
+				if (path == settings.path) return next(emuError('EMU_FORBIDDEN', 'Cannot delete the root directory'));
+				if (!checkLock(settings, req, path)) return next(emuError('EMU_LOCKED'));
+				next();
+			})
+			.then('stat', function(next) {
+				settings.storage.stat(path, next);
+			})
+			.then(function(next) {
+				if (!settings.trash) return next();
+				gcTrash(settings, err => next(err));
+			})
+			.then('trash', function(next) {
+				if (settings.trash) return moveToTrash(settings, req, path, next);
+				removePath(settings, path, next);
+			})
+			.end(function(err) {
+				if (err) return sendError(settings, req, res, err);
+				emitEvent(settings, 'deleted', {path: fspath.relative(settings.path, path), type: this.stat.type, trash: this.trash, req});
+				res.sendStatus(204);
+			});
+	});
+};
+
+
+/**
+* Copy or move a file or directory to the path given in the `Destination` header
+* If the destination exists it is replaced unless the `Overwrite: F` header is given (in which case a 412 error is returned)
+* A `Depth: 0` header when copying a directory copies only the directory itself and not its contents
+*
+* @param {string} operation Either 'copy' or 'move'
+* @param {Object} settings The EMU settings object for the request
+* @param {Object} req The original request object
+* @param {Object} res The original response object
+*/
+var davTransfer = function(operation, settings, req, res) {
+	davPath(settings, req, res, function(path) {
+		async()
+			// Sanity checks {{{
+			.then('destination', function(next) {
+				if (!req.headers.destination) return next(emuError('EMU_INVALID_HEADER', 'Destination header not specified'));
+				davDestination(settings, req, next);
+			})
+			.then(function(next) {
+				if (!checkLock(settings, req, this.destination) || (operation == 'move' && !checkLock(settings, req, path))) return next(emuError('EMU_LOCKED'));
+				next();
+			})
+			.then(function(next) {
+				if (operation != 'copy' || !settings.quota) return next();
+				walkUsage(settings, path, (err, usage) => err ? next(err) : checkQuota(settings, req, usage.bytes, usage.files, next));
+			})
+			// }}}
+			// Copy / move {{{
+			.then('existed', function(next) {
+				transferPath(settings, operation, path, this.destination, {
+					overwrite: req.headers.overwrite != 'F',
+					shallow: req.headers.depth == '0',
+				}, next);
+			})
+			// }}}
+			// End {{{
+			.end(function(err) {
+				if (err && err.code == 'EMU_EXISTS') return sendError(settings, req, res, emuError('EMU_PRECONDITION_FAILED', err.message));
+				if (err) return sendError(settings, req, res, err);
+				emitEvent(settings, operation == 'move' ? 'moved' : 'copied', {path: fspath.relative(settings.path, path), destination: fspath.relative(settings.path, this.destination), req});
+				res.sendStatus(this.existed ? 204 : 201);
+			});
+			// }}}
+	});
+};
+
+
+/**
+* Copy a file or directory
+* @see emu.webdav
+* @see davTransfer()
+*/
+emu.webdav.copy = (settings, req, res) => davTransfer('copy', settings, req, res);
+
+
+/**
+* Move a file or directory
+* @see emu.webdav
+* @see davTransfer()
+*/
+emu.webdav.move = (settings, req, res) => davTransfer('move', settings, req, res);
+
+
+/**
+* Lock a file or directory, or refresh an existing lock
+* Locking a path which does not exist creates an empty file
+* Locks are held in memory and expire after the requested `Timeout` (limited to one hour)
+* @see emu.webdav
+*/
+emu.webdav.lock = function(settings, req, res) {
+	davPath(settings, req, res, function(path) {
+		var body = '';
+
+		async()
+			// Read the request body {{{
+			.then(function(next) {
+				req.setEncoding('utf8');
+				req.on('data', chunk => body += chunk);
+				req.on('end', ()=> next());
+				req.on('error', next);
+			})
+			// }}}
+			// Compute the lock {{{
+			.then('lock', function(next) {
+				var timeout = Math.min(parseInt((/Second-(\d+)/i.exec(req.headers.timeout || '') || [])[1]) || 3600, 3600);
+				var existing = findLocks(settings, path);
+
+				if (!body.trim()) { // No body - refreshing an existing lock
+					var refresh = existing.find(lock => _.includes(req.headers.if || '', `<${lock.token}>`));
+					if (!refresh) return next(emuError('EMU_PRECONDITION_FAILED', 'No matching lock to refresh'));
+					refresh.timeout = timeout;
+					refresh.expires = Date.now() + timeout * 1000;
+					return next(null, refresh);
+				}
+
+				var scope = /<(?:\w+:)?shared\s*\/?>/.test(body) ? 'shared' : 'exclusive';
+				if (existing.length && (scope == 'exclusive' || existing.some(lock => lock.scope == 'exclusive'))) return next(emuError('EMU_LOCKED'));
+
+				var owner = /<(?:\w+:)?owner[^>]*>([\s\S]*?)<\/(?:\w+:)?owner>/.exec(body);
+				var lock = {
+					token: 'opaquelocktoken:' + crypto.randomBytes(16).toString('hex').replace(/^(.{8})(.{4}).(.{3}).(.{3})(.{12})$/, '$1-$2-4$3-a$4-$5'),
+					owner: owner ? owner[1].replace(/<[^>]*>/g, '').trim() : '',
+					scope,
+					depth: req.headers.depth == '0' ? '0' : 'infinity',
+					timeout,
+					expires: Date.now() + timeout * 1000,
+				};
+				var locks = davLocks.get(settings.storage);
+				(locks[path] || (locks[path] = [])).push(lock);
+				next(null, lock);
+			})
+			// }}}
+			// Create an empty file if the path does not exist {{{
+			.then('created', function(next) {
+				settings.storage.stat(path, function(err) {
+					if (!err) return next(null, false);
+					if (err.code != 'ENOENT') return next(err);
+					davParent(settings, path, function(err) {
+						if (err) return next(err);
+						settings.storage.createWriteStream(path)
+							.on('error', next)
+							.on('finish', ()=> changeUsage(settings, 0, 1, err => next(err, true)))
+							.end();
+					});
+				});
+			})
+			// }}}
+			// End {{{
+			.end(function(err) {
+				if (err && this.lock && body.trim()) removeLock(settings, this.lock);
+				if (err) return sendError(settings, req, res, err);
+
+				res
+					.status(this.created ? 201 : 200)
+					.set('Lock-Token', `<${this.lock.token}>`)
+					.type('application/xml; charset=utf-8')
+					.send(
+						'<?xml version="1.0" encoding="utf-8"?>\n'
+						+ '<D:prop xmlns:D="DAV:">'
+						+ davLockXML([this.lock], davHref(settings, req, path, false))
+						+ '</D:prop>'
+					);
+			});
+			// }}}
+	});
+};
+
+
+/**
+* Remove a lock, the lock token must be given in the `Lock-Token` header
+* @see emu.webdav
+*/
+emu.webdav.unlock = function(settings, req, res) {
+	davPath(settings, req, res, function(path) {
+		var lock = findLocks(settings, path).find(lock => req.headers['lock-token'] == `<${lock.token}>`);
+		if (!lock) return sendError(settings, req, res, emuError('EMU_CONFLICT', 'No matching lock'));
+
+		removeLock(settings, lock);
+		res.sendStatus(204);
+	});
+};
+
+
+/**
+* Create a programmatic interface to an EMU storage area for use outside of Express (e.g. background jobs and scripts)
+* The same options as emu() are accepted except that `options.path` must be a string
+* Paths given to each method are relative to `options.path` and are checked in the same way as paths taken from requests (see resolvePath())
+* Files stored via write() are validated, stored and have their metadata recorded in the same way as regular uploads, `options.postProcessing` is not run as it is Express middleware and no events or webhooks are sent
+* All methods return a promise which rejects with an EMU error (see `emu.errors`)
+*
+* @param {Object} options An options object using the same standard as emu()
+* @returns {Object} An object with the methods list(), read(), write(), remove() and move() along with the computed `settings`
+*
+* @example
+* var files = emu.instance({path: '/data'});
+* files.write('reports/2024.csv', 'id,total\n1,100\n')
+* 	.then(()=> files.list('reports'))
+* 	.then(list => console.log(list.map(file => file.name))) //= ['2024.csv']
+*/
+emu.instance = function(options) {
+	var settings = emuSettings(options);
+	if (!_.isString(settings.path)) throw new Error('emu.instance() requires `path` to be a string');
+	settings = _.assign({}, settings, {postProcessing: undefined, webhooks: undefined});
+
+	/**
+	* Run a callback style function, returning a promise for its result
+	* @param {function} func The function to run, called as (callback)
+	* @returns {Promise} A promise which resolves with the result or rejects with an EMU error
+	*/
+	var promise = func => new Promise((resolve, reject) => func((err, value) => err ? reject(normaliseError(err)) : resolve(value)));
+
+	return {
+		settings,
+
+
+		/**
+		* List the contents of a directory in the same form as emu.list
+		* @param {string} [path] The directory to list, defaults to the storage root
+		* @param {Object} [options] Additional options
+		* @param {number} [options.depth=1] The number of directory levels to list
+		* @returns {Promise<array>} A promise which resolves with the listing entries, sorted by name
+		*/
+		list: (path, options) => promise(callback => async()
+			// Calculate path {{{
+			.then('path', function(next) {
+				resolvePath(settings, path || '', next);
+			})
+			// }}}
+			// Fetch file listing {{{
+			.then('files', function(next) {
+				listVisible(settings, this.path, _.get(options, 'depth', 1), function(err, files) {
+					if (err && err.code == 'ENOENT') return next(null, []);
+					if (err) return next(err);
+					next(null, _.sortBy(files, 'name'));
+				});
+			})
+			// }}}
+			// Decorate listings {{{
+			.map('files', 'files', function(nextFile, file) {
+				listingEntry(settings, this.path, file, nextFile);
+			})
+			// }}}
+			.end(function(err) {
+				callback(err, this.files);
+			})
+		),
+
+
+		/**
+		* Read a file
+		* @param {string} path The file to read
+		* @param {Object} [options] Additional options
+		* @param {boolean} [options.stream=false] Resolve with a readable stream of the file contents rather than a buffer
+		* @returns {Promise<Buffer|Object>} A promise which resolves with the file contents
+		*/
+		read: (path, options) => promise(callback => async()
+			// Calculate path {{{
+			.then('path', function(next) {
+				resolvePath(settings, path, next);
+			})
+			// }}}
+			// Check file exists {{{
+			.then('file', function(next) {
+				resolveFile(settings, this.path, function(err, file) {
+					if (err) return next(err);
+					if (file.stat.type != 'file') return next(emuError('EMU_NOT_A_FILE'));
+					next(null, file);
+				});
+			})
+			// }}}
+			// Read the contents {{{
+			.then('contents', function(next) {
+				var readStream = settings.storage.createReadStream(this.file.path);
+				if (_.get(options, 'stream')) return next(null, readStream);
+
+				var chunks = [];
+				readStream
+					.on('data', chunk => chunks.push(chunk))
+					.on('error', next)
+					.on('end', ()=> next(null, Buffer.concat(chunks)));
+			})
+			// }}}
+			.end(function(err) {
+				callback(err, this.contents);
+			})
+		),
+
+
+		/**
+		* Write a file, replacing any existing file unless `options.onConflict` says otherwise
+		* @param {string} path The file to write
+		* @param {Buffer|string|Object} data The file contents as a buffer, string or readable stream
+		* @param {Object} [options] Additional options
+		* @param {string} [options.mimetype] The MIME type of the file, defaults to one determined by the file extension
+		* @param {Object} [options.user] The user to record as having uploaded the file, this is set as `req.user` when calling `options.uploadedBy` and `options.validate`
+		* @returns {Promise<Object>} A promise which resolves with the listing entry of the stored file along with `originalname`, `mimetype`, `checksum` and `meta`
+		*/
+		write: (path, data, options) => promise(callback => async()
+			// Calculate path {{{
+			.then('path', function(next) {
+				resolvePath(settings, path, next);
+			})
+			.then(function(next) {
+				if (this.path == settings.path) return next(emuError('EMU_INVALID_PATH', 'No filename given'));
+				next();
+			})
+			// }}}
+			// Spool the contents {{{
+			.then('file', function(next) {
+				var source = data && _.isFunction(data.pipe) ? data : stream.Readable.from([Buffer.from(data)]);
+				spoolFile(settings, source, {
+					check: (chunk, size) => settings.maxFileSize && size > settings.maxFileSize ? emuError('EMU_FILE_TOO_LARGE') : undefined,
+				}, (err, spooled) => {
+					if (err) return next(err);
+					next(null, _.assign({
+						fieldname: settings.field,
+						originalname: fspath.basename(this.path),
+						targetPath: this.path,
+						mimetype: _.get(options, 'mimetype') || mimeTypes.lookup(this.path) || 'application/octet-stream',
+					}, spooled));
+				});
+			})
+			// }}}
+			// Store the file {{{
+			.then(function(next) {
+				storeUploads(settings, {params: {}, query: {}, headers: {}, user: _.get(options, 'user'), files: [this.file]}, null, next);
+			})
+			// }}}
+			.end(function(err) {
+				if (err && this.file && !this.file.storagePath) settings.storage.delete(this.file.tempPath, _.noop);
+				if (err) return callback(err);
+				callback(null, _.assign(fileEntry(settings, this.file.filename, this.file.stat), {
+					originalname: this.file.originalname,
+					mimetype: this.file.mimetype,
+					checksum: this.file.checksum,
+					meta: this.file.metadata,
+				}));
+			})
+		),
+
+
+		/**
+		* Delete a file or directory (along with its metadata, blobs and variants), moving it into the trash if `options.trash` is enabled
+		* @param {string} path The file or directory to delete
+		* @param {Object} [options] Additional options
+		* @param {boolean} [options.recursive=false] Allow directories which are not empty to be deleted along with all their contents
+		* @param {Object} [options.user] The user to record as having deleted the path, this is set as `req.user` when calling `options.uploadedBy`
+		* @returns {Promise<Object>} A promise which resolves when the path has been deleted, with the trash record if it was moved into the trash
+		*/
+		remove: (path, options) => promise(callback => async()
+			// Calculate path {{{
+			.then('path', function(next) {
+				resolvePath(settings, path, next);
+			})
+			// }}}
+			// Delete {{{
+			.then('deleted', function(next) {
+				deletePath(settings, {params: {}, query: {}, headers: {}, user: _.get(options, 'user')}, this.path, !!_.get(options, 'recursive'), next);
+			})
+			// }}}
+			.end(function(err) {
+				if (err) return callback(err);
+				callback(null, this.deleted.trash);
+			})
+		),
+
+
+		/**
+		* Move / rename a file or directory, creating any missing parent directories of the destination
+		* @param {string} from The file or directory to move
+		* @param {string} to The destination path
+		* @param {Object} [options] Additional options
+		* @param {boolean} [options.overwrite] Replace the destination if it exists, defaults to true only if `options.onConflict` is 'overwrite'
+		* @returns {Promise<Object>} A promise which resolves with the listing entry of the destination
+		*/
+		move: (from, to, options) => promise(callback => async()
+			// Calculate paths {{{
+			.then('from', function(next) {
+				resolvePath(settings, from, next);
+			})
+			.then('to', function(next) {
+				resolvePath(settings, to, next);
+			})
+			// }}}
+			// Move {{{
+			.then('entry', function(next) {
+				transferEntry(settings, 'move', this.from, this.to, _.get(options, 'overwrite', settings.onConflict == 'overwrite'), next);
+			})
+			// }}}
+			.end(function(err) {
+				callback(err, this.entry);
+			})
+		),
+	};
 };
 
 
@@ -0,0 +1,108 @@
+/**
+* JSON sidecar metadata store for EMU
+* This is the default metadata store. The metadata for each file is held as a JSON file within `options.internalDir` which mirrors the path of the file it describes
+* e.g. the metadata for `/data/reports/jan.pdf` is stored at `/data/.emu/meta/reports/jan.pdf.json`
+* As the sidecar files are written via the storage driver this works with any storage backend
+*
+* @param {Object} [options] Options to use when creating the store (currently unused)
+* @returns {Object} An EMU metadata store
+*/
+
+var _ = require('lodash');
+var fspath = require('path');
+
+module.exports = function(options) {
+	/**
+	* Compute the path of the sidecar file (or directory) for a given storage path
+	* @param {Object} settings The EMU settings object for the request
+	* @param {string} path The storage path of the file
+	* @param {string} [suffix='.json'] The suffix to append
+	* @returns {string} The storage path of the sidecar
+	*/
+	var sidecarPath = (settings, path, suffix) => fspath.join(settings.path, settings.internalDir, 'meta', fspath.relative(settings.path, path) + (_.isUndefined(suffix) ? '.json' : suffix));
+
+	return {
+		/**
+		* Fetch the metadata for a file
+		* @param {Object} settings The EMU settings object for the request
+		* @param {string} path The storage path of the file
+		* @param {function} cb The callback to call as (err, metadata). Metadata is null if none has been stored
+		*/
+		get: function(settings, path, cb) {
+			var chunks = [];
+			settings.storage.createReadStream(sidecarPath(settings, path))
+				.on('data', chunk => chunks.push(chunk))
+				.on('error', err => err.code == 'ENOENT' ? cb(null, null) : cb(err))
+				.on('end', ()=> {
+					try {
+						cb(null, JSON.parse(Buffer.concat(chunks).toString()));
+					} catch (e) {
+						cb(e);
+					}
+				});
+		},
+
+
+		/**
+		* Store the metadata for a file, replacing any existing metadata
+		* @param {Object} settings The EMU settings object for the request
+		* @param {string} path The storage path of the file
+		* @param {Object} metadata The metadata to store
+		* @param {function} cb The callback to call as (err)
+		*/
+		set: function(settings, path, metadata, cb) {
+			var dest = sidecarPath(settings, path);
+			settings.storage.mkdir(fspath.dirname(dest), function(err) {
+				if (err) return cb(err);
+				settings.storage.createWriteStream(dest)
+					.on('error', cb)
+					.on('finish', ()=> cb())
+					.end(JSON.stringify(metadata));
+			});
+		},
+
+
+		/**
+		* Remove the metadata for a file
+		* It is not an error to remove metadata that does not exist
+		* @param {Object} settings The EMU settings object for the request
+		* @param {string} path The storage path of the file
+		* @param {function} cb The callback to call as (err)
+		*/
+		delete: function(settings, path, cb) {
+			settings.storage.delete(sidecarPath(settings, path), function(err) {
+				if (err && err.code != 'ENOENT') return cb(err);
+				cb();
+			});
+		},
+
+
+		/**
+		* Move the metadata for a file or directory to a new path
+		* When moving a directory the metadata of all its contents is also moved
+		* It is not an error to move metadata that does not exist
+		* @param {Object} settings The EMU settings object for the request
+		* @param {string} from The original storage path
+		* @param {string} to The new storage path
+		* @param {function} cb The callback to call as (err)
+		*/
+		move: function(settings, from, to, cb) {
+			var rename = function(suffix, next) {
+				var dest = sidecarPath(settings, to, suffix);
+				settings.storage.stat(sidecarPath(settings, from, suffix), function(err) {
+					if (err && err.code == 'ENOENT') return next();
+					if (err) return next(err);
+					settings.storage.mkdir(fspath.dirname(dest), function(err) {
+						if (err) return next(err);
+						settings.storage.rename(sidecarPath(settings, from, suffix), dest, next);
+					});
+				});
+			};
+
+			rename('.json', function(err) { // Move the file sidecar...
+				if (err) return cb(err);
+				rename('', cb); // ...and the directory of sidecars if this is a directory
+			});
+		},
+	};
+};
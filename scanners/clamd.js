@@ -0,0 +1,65 @@
+/**
+* ClamAV scanner for EMU
+* Files are streamed to a running `clamd` daemon using its INSTREAM command, over either TCP or a local (Unix) socket
+* clamd limits the size of streamed files with its `StreamMaxLength` setting (25MB by default), larger files fail to scan and are refused
+*
+* @param {Object} [options] Options to use when creating the scanner
+* @param {string} [options.host='127.0.0.1'] The host clamd is listening on
+* @param {number} [options.port=3310] The TCP port clamd is listening on
+* @param {string} [options.socket] The path of the local socket clamd is listening on, if set this is used instead of `host` + `port`
+* @param {number} [options.timeout=60000] How long in milliseconds to wait for clamd before failing the scan
+* @returns {Object} An EMU scanner
+*/
+
+var _ = require('lodash');
+var net = require('net');
+var stream = require('stream');
+
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		host: '127.0.0.1',
+		port: 3310,
+		timeout: 1000 * 60, // 1 minute
+	});
+
+	return {
+		/**
+		* Scan a file for malware
+		* @param {Object} file The file to scan, this must have a `createReadStream()` method
+		* @param {function} cb The callback to call as (err, result) where result is an object of the form `{infected, virus}`
+		*/
+		scan: function(file, cb) {
+			var done = _.once(cb);
+			var response = [];
+			var socket = net.createConnection(settings.socket ? {path: settings.socket} : {host: settings.host, port: settings.port});
+
+			socket.setTimeout(settings.timeout, ()=> socket.destroy(new Error('clamd did not respond in time')));
+			socket.on('error', done);
+			socket.on('data', chunk => response.push(chunk));
+			socket.on('end', ()=> {
+				var reply = Buffer.concat(response).toString().replace(/\0/g, '').trim(); // e.g. 'stream: OK' or 'stream: Eicar-Signature FOUND'
+				var found = /^stream: (.+) FOUND$/.exec(reply);
+				if (found) return done(null, {infected: true, virus: found[1]});
+				if (/^stream: OK$/.test(reply)) return done(null, {infected: false});
+				done(new Error(`Unexpected response from clamd: ${reply || 'nothing'}`));
+			});
+
+			socket.on('connect', ()=> {
+				socket.write('zINSTREAM\0');
+				file.createReadStream()
+					.on('error', err => socket.destroy(err))
+					.pipe(new stream.Transform({ // Send each chunk prefixed by its length, finishing with a zero length chunk
+						transform: function(chunk, enc, next) {
+							var length = Buffer.alloc(4);
+							length.writeUInt32BE(chunk.length);
+							next(null, Buffer.concat([length, chunk]));
+						},
+						flush: function(next) {
+							next(null, Buffer.alloc(4));
+						},
+					}))
+					.pipe(socket);
+			});
+		},
+	};
+};
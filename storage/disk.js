@@ -0,0 +1,136 @@
+/**
+* Local filesystem storage driver for EMU
+* This is the default driver and simply maps all paths directly onto the local disk
+*
+* @param {Object} [options] Options to use when creating the driver (currently unused)
+* @returns {Object} An EMU storage driver
+*/
+
+var _ = require('lodash');
+var async = require('async-chainable');
+var fs = require('fs');
+var fspath = require('path');
+var mkdirp = require('mkdirp');
+
+module.exports = function(options) {
+	return {
+		/**
+		* Fetch information about a single file or directory
+		* @param {string} path The path to examine
+		* @param {function} cb The callback to call as (err, stat). err.code will be 'ENOENT' if the path does not exist
+		*/
+		stat: function(path, cb) {
+			fs.stat(path, function(err, stat) {
+				if (err) return cb(err);
+				cb(null, {
+					type: stat.isDirectory() ? 'directory' : 'file',
+					size: stat.size,
+					created: stat.ctime, // Technically this should be stat.birthtime but in our case files are immutable so the change time is more valid
+					modified: stat.mtime,
+				});
+			});
+		},
+
+
+		/**
+		* List the contents of a directory
+		* @param {string} path The directory path to list
+		* @param {function} cb The callback to call as (err, entries) where each entry is an object of the form `{name, type, size, created, modified}`
+		*/
+		list: function(path, cb) {
+			var driver = this;
+			async()
+				.then('files', function(next) {
+					fs.readdir(path, next);
+				})
+				.map('files', 'files', function(nextFile, file) {
+					driver.stat(fspath.join(path, file), function(err, stat) {
+						if (err) return nextFile(err);
+						nextFile(null, _.assign({name: file}, stat));
+					});
+				})
+				.end(function(err) {
+					if (err) return cb(err);
+					cb(null, this.files);
+				});
+		},
+
+
+		/**
+		* Return a readable stream for a file
+		* @param {string} path The file to read
+		* @param {Object} [options] Additional options
+		* @param {number} [options.start] The starting byte offset to read from
+		* @param {number} [options.end] The ending byte offset to read to (inclusive)
+		* @returns {Stream.Readable} A readable stream
+		*/
+		createReadStream: function(path, options) {
+			return fs.createReadStream(path, _.pick(options, ['start', 'end']));
+		},
+
+
+		/**
+		* Return a writable stream for a file
+		* The parent directory must already exist (see `mkdir()`)
+		* The stream will emit `finish` when the data has been committed
+		* @param {string} path The file to write
+		* @returns {Stream.Writable} A writable stream
+		*/
+		createWriteStream: function(path) {
+			return fs.createWriteStream(path);
+		},
+
+
+		/**
+		* Delete a single file
+		* @param {string} path The file to delete
+		* @param {function} cb The callback to call as (err)
+		*/
+		delete: function(path, cb) {
+			fs.unlink(path, cb);
+		},
+
+
+		/**
+		* Move a file from one location to another
+		* The parent directory of the destination must already exist (see `mkdir()`)
+		* @param {string} from The source path
+		* @param {string} to The destination path
+		* @param {function} cb The callback to call as (err)
+		*/
+		rename: function(from, to, cb) {
+			fs.rename(from, to, cb);
+		},
+
+
+		/**
+		* Create a directory (and any parent directories) if it doesn't already exist
+		* @param {string} path The directory to create
+		* @param {function} cb The callback to call as (err)
+		*/
+		mkdir: function(path, cb) {
+			mkdirp(path, function(err) { cb(err) });
+		},
+
+
+		/**
+		* Remove an empty directory
+		* @param {string} path The directory to remove
+		* @param {function} cb The callback to call as (err). err.code will be 'ENOTEMPTY' if the directory is not empty
+		*/
+		rmdir: function(path, cb) {
+			fs.rmdir(path, cb);
+		},
+
+
+		/**
+		* Resolve a path with all symlinks followed
+		* This is optional for storage drivers and is used to stop symlinks escaping the storage directory
+		* @param {string} path The path to resolve
+		* @param {function} cb The callback to call as (err, realPath). err.code will be 'ENOENT' if the path does not exist
+		*/
+		realpath: function(path, cb) {
+			fs.realpath(path, cb);
+		},
+	};
+};
@@ -0,0 +1,235 @@
+/**
+* In-memory storage driver for EMU
+* All files are held as buffers within the driver instance and are lost when the process exits
+* This is mainly useful for testing or for short-lived scratch storage
+*
+* @param {Object} [options] Options to use when creating the driver (currently unused)
+* @returns {Object} An EMU storage driver
+*
+* @example
+* app.use('/api/files/:path?', emu({
+* 	path: '/scratch',
+* 	storage: emu.storage.memory(),
+* }));
+*/
+
+var _ = require('lodash');
+var fspath = require('path');
+var stream = require('stream');
+
+/**
+* Create an error object which looks like the equivalent filesystem error
+* @param {string} code The error code to use (e.g. 'ENOENT')
+* @param {string} path The path that caused the error
+* @returns {Error} The error object
+*/
+var fsError = function(code, path) {
+	var err = new Error(`${code}: ${path}`);
+	err.code = code;
+	err.path = path;
+	return err;
+};
+
+module.exports = function(options) {
+	var files = {}; // Lookup of path => {buffer, created, modified}
+	var dirs = {'/': true}; // Lookup of explicitly created directories
+
+	/**
+	* Normalize a path so that it can be used as a lookup key
+	* @param {string} path The path to normalize
+	* @returns {string} The normalized path
+	*/
+	var normalize = path => fspath.normalize('/' + path).replace(/(.)\/+$/, '$1');
+
+	/**
+	* Return whether a path exists as a directory (either explicitly or because it contains files)
+	* @param {string} path The normalized path to examine
+	* @returns {boolean} Whether the path is a directory
+	*/
+	var isDirectory = function(path) {
+		if (dirs[path]) return true;
+		var prefix = path == '/' ? '/' : path + '/';
+		return _.some(files, (file, key) => key.startsWith(prefix));
+	};
+
+	/**
+	* Compute the stat object for a path
+	* @param {string} path The normalized path to examine
+	* @returns {Object|undefined} The stat object or undefined if the path does not exist
+	*/
+	var statPath = function(path) {
+		if (files[path]) {
+			return {
+				type: 'file',
+				size: files[path].buffer.length,
+				created: files[path].created,
+				modified: files[path].modified,
+			};
+		} else if (isDirectory(path)) {
+			return {type: 'directory', size: 0, created: new Date(), modified: new Date()};
+		}
+	};
+
+	return {
+		/**
+		* Fetch information about a single file or directory
+		* Directories exist either because they were explicitly created via `mkdir()` or because they contain files
+		* @param {string} path The path to examine
+		* @param {function} cb The callback to call as (err, stat). err.code will be 'ENOENT' if the path does not exist
+		*/
+		stat: function(path, cb) {
+			path = normalize(path);
+			var stat = statPath(path);
+			setImmediate(()=> stat ? cb(null, stat) : cb(fsError('ENOENT', path)));
+		},
+
+		/**
+		* List the contents of a directory
+		* @param {string} path The directory path to list
+		* @param {function} cb The callback to call as (err, entries) where each entry is an object of the form `{name, type, size, created, modified}`. err.code will be 'ENOTDIR' if the path is a file
+		*/
+		list: function(path, cb) {
+			path = normalize(path);
+			if (files[path]) return setImmediate(()=> cb(fsError('ENOTDIR', path)));
+			if (!isDirectory(path)) return setImmediate(()=> cb(fsError('ENOENT', path)));
+
+			var prefix = path == '/' ? '/' : path + '/';
+			var entries = _([])
+				.concat(_.keys(files), _.keys(dirs))
+				.filter(key => key.startsWith(prefix) && key.length > prefix.length)
+				.map(key => key.substr(prefix.length).split('/')[0])
+				.uniq()
+				.sort()
+				.map(name => _.assign({name}, statPath(prefix + name)))
+				.value();
+
+			setImmediate(()=> cb(null, entries));
+		},
+
+		/**
+		* Return a readable stream for a file
+		* @param {string} path The file to read
+		* @param {Object} [options] Additional options
+		* @param {number} [options.start] The starting byte offset to read from
+		* @param {number} [options.end] The ending byte offset to read to (inclusive)
+		* @returns {Stream.Readable} A readable stream
+		*/
+		createReadStream: function(path, options) {
+			path = normalize(path);
+			var readStream = new stream.PassThrough();
+			setImmediate(()=> {
+				if (!files[path]) return readStream.emit('error', fsError('ENOENT', path));
+				var buffer = files[path].buffer;
+				readStream.end(buffer.slice(
+					_.get(options, 'start', 0),
+					_.has(options, 'end') ? options.end + 1 : buffer.length
+				));
+			});
+			return readStream;
+		},
+
+		/**
+		* Return a writable stream for a file
+		* The data is buffered and only committed when the stream finishes, at which point the parent directory must exist (see `mkdir()`)
+		* @param {string} path The file to write
+		* @returns {Stream.Writable} A writable stream
+		*/
+		createWriteStream: function(path) {
+			path = normalize(path);
+			var chunks = [];
+			return new stream.Writable({
+				write: function(chunk, enc, next) {
+					chunks.push(chunk);
+					next();
+				},
+				final: function(next) {
+					var parent = fspath.dirname(path);
+					if (!isDirectory(parent)) return next(fsError('ENOENT', parent));
+					files[path] = {
+						buffer: Buffer.concat(chunks),
+						created: _.get(files, [path, 'created'], new Date()),
+						modified: new Date(),
+					};
+					next();
+				},
+			});
+		},
+
+		/**
+		* Delete a single file
+		* @param {string} path The file to delete
+		* @param {function} cb The callback to call as (err). err.code will be 'EISDIR' if the path is a directory
+		*/
+		delete: function(path, cb) {
+			path = normalize(path);
+			if (!files[path]) return setImmediate(()=> cb(fsError(isDirectory(path) ? 'EISDIR' : 'ENOENT', path)));
+			delete files[path];
+			setImmediate(()=> cb());
+		},
+
+		/**
+		* Move a file or directory from one location to another
+		* When moving a single file the parent directory of the destination must already exist (see `mkdir()`)
+		* @param {string} from The source path
+		* @param {string} to The destination path
+		* @param {function} cb The callback to call as (err)
+		*/
+		rename: function(from, to, cb) {
+			from = normalize(from);
+			to = normalize(to);
+			if (files[from]) {
+				if (!isDirectory(fspath.dirname(to))) return setImmediate(()=> cb(fsError('ENOENT', fspath.dirname(to))));
+				files[to] = files[from];
+				delete files[from];
+			} else if (isDirectory(from)) {
+				var prefix = from + '/';
+				_.keys(files)
+					.filter(key => key.startsWith(prefix))
+					.forEach(key => {
+						files[to + '/' + key.substr(prefix.length)] = files[key];
+						delete files[key];
+					});
+				_.keys(dirs)
+					.filter(key => key == from || key.startsWith(prefix))
+					.forEach(key => {
+						dirs[to + key.substr(from.length)] = true;
+						delete dirs[key];
+					});
+			} else {
+				return setImmediate(()=> cb(fsError('ENOENT', from)));
+			}
+			setImmediate(()=> cb());
+		},
+
+		/**
+		* Create a directory (and any parent directories) if it doesn't already exist
+		* @param {string} path The directory to create
+		* @param {function} cb The callback to call as (err). err.code will be 'EEXIST' if a file already exists at the path
+		*/
+		mkdir: function(path, cb) {
+			path = normalize(path);
+			if (files[path]) return setImmediate(()=> cb(fsError('EEXIST', path)));
+			for (var dir = path; dir != '/'; dir = fspath.dirname(dir)) {
+				dirs[dir] = true;
+			}
+			setImmediate(()=> cb());
+		},
+
+		/**
+		* Remove an empty directory
+		* @param {string} path The directory to remove
+		* @param {function} cb The callback to call as (err). err.code will be 'ENOTEMPTY' if the directory is not empty
+		*/
+		rmdir: function(path, cb) {
+			path = normalize(path);
+			if (files[path]) return setImmediate(()=> cb(fsError('ENOTDIR', path)));
+			if (!isDirectory(path)) return setImmediate(()=> cb(fsError('ENOENT', path)));
+
+			var prefix = path == '/' ? '/' : path + '/';
+			if (_.keys(files).concat(_.keys(dirs)).some(key => key.startsWith(prefix))) return setImmediate(()=> cb(fsError('ENOTEMPTY', path)));
+
+			delete dirs[path];
+			setImmediate(()=> cb());
+		},
+	};
+};
@@ -0,0 +1,472 @@
+/**
+* S3-compatible storage driver for EMU
+* This driver talks directly to any S3-compatible API (Amazon S3, MinIO, Ceph etc.) using AWS Signature V4 and has no SDK dependency
+* Paths are mapped onto object keys (with the leading slash removed), directories are emulated via the '/' delimiter
+*
+* @param {Object} options Options to use when creating the driver
+* @param {string} options.bucket The bucket to store files in
+* @param {string} options.accessKeyId The access key ID to authenticate with
+* @param {string} options.secretAccessKey The secret access key to authenticate with
+* @param {string} [options.endpoint='https://s3.amazonaws.com'] The base URL of the S3-compatible API
+* @param {string} [options.region='us-east-1'] The region to sign requests for
+* @param {number} [options.partSize=5242880] The size of each part when streaming large uploads (the S3 minimum is 5mb)
+* @returns {Object} An EMU storage driver
+*
+* @example
+* app.use('/api/files/:path?', emu({
+* 	path: '/uploads',
+* 	storage: emu.storage.s3({
+* 		endpoint: 'http://localhost:9000',
+* 		bucket: 'my-bucket',
+* 		accessKeyId: 'minioadmin',
+* 		secretAccessKey: 'minioadmin',
+* 	}),
+* }));
+*/
+
+var _ = require('lodash');
+var async = require('async-chainable');
+var crypto = require('crypto');
+var fspath = require('path');
+var http = require('http');
+var https = require('https');
+var stream = require('stream');
+
+// Utility functions {{{
+/**
+* Create an error object which looks like the equivalent filesystem error
+* @param {string} code The error code to use (e.g. 'ENOENT')
+* @param {string} path The path that caused the error
+* @returns {Error} The error object
+*/
+var fsError = function(code, path) {
+	var err = new Error(`${code}: ${path}`);
+	err.code = code;
+	err.path = path;
+	return err;
+};
+
+var sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+var hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+* Encode a string as per RFC3986 (which is stricter than encodeURIComponent)
+* @param {string} str The string to encode
+* @returns {string} The encoded string
+*/
+var rfc3986 = str => encodeURIComponent(str).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+/**
+* Decode the basic XML entities within a string
+* @param {string} str The string to decode
+* @returns {string} The decoded string
+*/
+var xmlDecode = str => str
+	.replace(/&lt;/g, '<')
+	.replace(/&gt;/g, '>')
+	.replace(/&quot;/g, '"')
+	.replace(/&apos;/g, "'")
+	.replace(/&amp;/g, '&');
+
+/**
+* Extract all values of an XML tag from a blob of XML
+* This is intentionally simplistic as the S3 response format is very regular
+* @param {string} xml The XML to examine
+* @param {string} tag The tag name to extract
+* @returns {array <string>} Each matching tag contents
+*/
+var xmlTags = (xml, tag) => _.map(xml.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'g')), match => xmlDecode(match.slice(tag.length + 2, -tag.length - 3)));
+// }}}
+
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		endpoint: 'https://s3.amazonaws.com',
+		region: 'us-east-1',
+		partSize: 5 * 1024 * 1024,
+	});
+	if (!settings.bucket) throw new Error('The S3 storage driver requires a bucket');
+
+	var endpoint = new URL(settings.endpoint);
+
+	/**
+	* Convert an EMU path into an S3 object key
+	* @param {string} path The path to convert
+	* @returns {string} The object key
+	*/
+	var toKey = path => fspath.normalize('/' + path).replace(/^\/+/, '').replace(/\/+$/, '');
+
+	/**
+	* Make a signed request to the S3 API
+	* @param {Object} req The request to make
+	* @param {string} req.method The HTTP method to use
+	* @param {string} [req.key] The object key to address (if omitted the bucket itself is addressed)
+	* @param {Object} [req.query] Query parameters to pass
+	* @param {Object} [req.headers] Additional headers to pass
+	* @param {Buffer|string} [req.body] Optional body to send
+	* @param {function} cb Callback to call as (err, res) where res is the raw response stream
+	*/
+	var request = function(req, cb) {
+		var now = new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''); // Format: YYYYMMDD'T'HHMMSS'Z'
+		var date = now.substr(0, 8);
+		var body = req.body || '';
+		var path = (endpoint.pathname || '/').replace(/\/+$/, '') + '/' + rfc3986(settings.bucket) + (req.key ? '/' + req.key.split('/').map(rfc3986).join('/') : '');
+		var query = _(req.query)
+			.map((v, k) => rfc3986(k) + '=' + rfc3986(v))
+			.sort()
+			.join('&');
+
+		var headers = _.assign({
+			host: endpoint.host,
+			'x-amz-date': now,
+			'x-amz-content-sha256': sha256(body),
+			'content-length': Buffer.byteLength(body),
+		}, _.mapKeys(req.headers, (v, k) => k.toLowerCase()));
+
+		// Compute signature {{{
+		var signedHeaders = _.keys(headers).sort();
+		var scope = `${date}/${settings.region}/s3/aws4_request`;
+		var canonicalRequest = [
+			req.method,
+			path,
+			query,
+			signedHeaders.map(k => `${k}:${String(headers[k]).trim()}\n`).join(''),
+			signedHeaders.join(';'),
+			headers['x-amz-content-sha256'],
+		].join('\n');
+		var stringToSign = ['AWS4-HMAC-SHA256', now, scope, sha256(canonicalRequest)].join('\n');
+		var signingKey = hmac(hmac(hmac(hmac('AWS4' + settings.secretAccessKey, date), settings.region), 's3'), 'aws4_request');
+		headers.authorization = `AWS4-HMAC-SHA256 Credential=${settings.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${hmac(signingKey, stringToSign).toString('hex')}`;
+		// }}}
+
+		var httpReq = (endpoint.protocol == 'https:' ? https : http).request({
+			method: req.method,
+			hostname: endpoint.hostname,
+			port: endpoint.port,
+			path: path + (query ? '?' + query : ''),
+			headers: headers,
+		}, res => cb(null, res));
+		httpReq.on('error', cb);
+		httpReq.end(body);
+	};
+
+	/**
+	* Make a signed request to the S3 API and buffer the response
+	* Non 2xx responses are converted into errors, 404's are returned as ENOENT errors
+	* @param {Object} req The request to make, see request()
+	* @param {function} cb Callback to call as (err, body, res) where body is the response as a string
+	*/
+	var requestBuffered = function(req, cb) {
+		request(req, function(err, res) {
+			if (err) return cb(err);
+			var chunks = [];
+			res.on('data', chunk => chunks.push(chunk));
+			res.on('error', cb);
+			res.on('end', ()=> {
+				var body = Buffer.concat(chunks).toString();
+				if (res.statusCode == 404) return cb(fsError('ENOENT', req.key));
+				if (res.statusCode >= 300) return cb(new Error(`S3 ${req.method} ${req.key || ''} failed with ${res.statusCode} - ` + (xmlTags(body, 'Message')[0] || body)));
+				cb(null, body, res);
+			});
+		});
+	};
+
+	/**
+	* List all objects (and optionally common prefixes) under a key prefix, following continuation tokens
+	* @param {string} prefix The key prefix to list
+	* @param {string|null} delimiter The delimiter to group prefixes by, if null all objects are recursively returned
+	* @param {function} cb Callback to call as (err, {files, prefixes})
+	*/
+	var listObjects = function(prefix, delimiter, cb) {
+		var output = {files: [], prefixes: []};
+
+		var fetchPage = function(token) {
+			requestBuffered({
+				method: 'GET',
+				query: _.omitBy({'list-type': 2, prefix: prefix, delimiter: delimiter, 'continuation-token': token}, _.isNil),
+			}, function(err, xml) {
+				if (err) return cb(err);
+				xmlTags(xml, 'Contents').forEach(contents => output.files.push({
+					key: xmlTags(contents, 'Key')[0],
+					size: parseInt(xmlTags(contents, 'Size')[0]),
+					modified: new Date(xmlTags(contents, 'LastModified')[0]),
+				}));
+				xmlTags(xml, 'CommonPrefixes').forEach(prefixes => output.prefixes.push(xmlTags(prefixes, 'Prefix')[0]));
+
+				if (xmlTags(xml, 'IsTruncated')[0] == 'true') return fetchPage(xmlTags(xml, 'NextContinuationToken')[0]); // Keep fetching pages until we run out
+				cb(null, output);
+			});
+		};
+
+		fetchPage();
+	};
+
+
+	/**
+	* Copy an object from one key to another
+	* @param {string} from The source key
+	* @param {string} to The destination key
+	* @param {function} cb Callback to call as (err)
+	*/
+	var copyObject = function(from, to, cb) {
+		requestBuffered({
+			method: 'PUT',
+			key: to,
+			headers: {'x-amz-copy-source': '/' + settings.bucket + '/' + from.split('/').map(rfc3986).join('/')},
+		}, function(err, body) {
+			if (err) return cb(err);
+			if (/<Error>/.test(body)) return cb(new Error('S3 copy failed - ' + xmlTags(body, 'Message')[0]));
+			cb();
+		});
+	};
+
+	return {
+		/**
+		* Fetch information about a single file or directory
+		* Objects are examined with a HEAD request, if that fails the path is checked as a directory prefix instead
+		* @param {string} path The path to examine
+		* @param {function} cb The callback to call as (err, stat). err.code will be 'ENOENT' if the path does not exist
+		*/
+		stat: function(path, cb) {
+			var key = toKey(path);
+			if (!key) return cb(null, {type: 'directory', size: 0, created: new Date(), modified: new Date()}); // Bucket root
+
+			requestBuffered({method: 'HEAD', key: key}, function(err, body, res) {
+				if (err && err.code != 'ENOENT') return cb(err);
+				if (!err) return cb(null, {
+					type: 'file',
+					size: parseInt(res.headers['content-length']),
+					created: new Date(res.headers['last-modified']),
+					modified: new Date(res.headers['last-modified']),
+				});
+
+				// Not a file - check if its a directory prefix
+				requestBuffered({
+					method: 'GET',
+					query: {'list-type': 2, prefix: key + '/', delimiter: '/'},
+				}, function(err, xml) {
+					if (err) return cb(err);
+					if (!xmlTags(xml, 'Contents').length && !xmlTags(xml, 'CommonPrefixes').length) return cb(fsError('ENOENT', path));
+					cb(null, {type: 'directory', size: 0, created: new Date(), modified: new Date()});
+				});
+			});
+		},
+
+		/**
+		* List the contents of a directory
+		* @param {string} path The directory path to list
+		* @param {function} cb The callback to call as (err, entries) where each entry is an object of the form `{name, type, size, created, modified}`
+		*/
+		list: function(path, cb) {
+			var key = toKey(path);
+			var prefix = key ? key + '/' : '';
+
+			listObjects(prefix, '/', function(err, res) {
+				if (err) return cb(err);
+				var files = res.files.filter(file => file.key != prefix); // Remove directory markers
+				if (prefix && !res.files.length && !res.prefixes.length) return cb(fsError('ENOENT', path));
+
+				cb(null, []
+					.concat(
+						res.prefixes.map(dir => ({
+							name: dir.substr(prefix.length).replace(/\/$/, ''),
+							type: 'directory',
+							size: 0,
+							created: new Date(),
+							modified: new Date(),
+						})),
+						files.map(file => ({
+							name: file.key.substr(prefix.length),
+							type: 'file',
+							size: file.size,
+							created: file.modified,
+							modified: file.modified,
+						}))
+					)
+					.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+				);
+			});
+		},
+
+		/**
+		* Return a readable stream for a file
+		* Partial reads are passed onto S3 as a Range header
+		* @param {string} path The file to read
+		* @param {Object} [options] Additional options
+		* @param {number} [options.start] The starting byte offset to read from
+		* @param {number} [options.end] The ending byte offset to read to (inclusive)
+		* @returns {Stream.Readable} A readable stream
+		*/
+		createReadStream: function(path, options) {
+			var key = toKey(path);
+			var readStream = new stream.PassThrough();
+			var headers = {};
+			if (options && (_.has(options, 'start') || _.has(options, 'end'))) headers.range = `bytes=${options.start || 0}-${_.has(options, 'end') ? options.end : ''}`;
+
+			request({method: 'GET', key: key, headers: headers}, function(err, res) {
+				if (err) return readStream.emit('error', err);
+				if (res.statusCode == 404) {
+					res.resume();
+					return readStream.emit('error', fsError('ENOENT', path));
+				} else if (res.statusCode >= 300) {
+					res.resume();
+					return readStream.emit('error', new Error(`S3 GET ${key} failed with ${res.statusCode}`));
+				}
+				res.on('error', err => readStream.emit('error', err));
+				res.pipe(readStream);
+			});
+
+			return readStream;
+		},
+
+		/**
+		* Return a writable stream for a file
+		* Small files are uploaded in a single PUT, anything larger than `partSize` switches to a multipart upload
+		* The stream will emit `finish` when the data has been committed
+		* @param {string} path The file to write
+		* @returns {Stream.Writable} A writable stream
+		*/
+		createWriteStream: function(path) {
+			var key = toKey(path);
+			var buffers = [];
+			var bufferSize = 0;
+			var uploadId; // Set when we switch into multipart mode
+			var parts = []; // ETags of uploaded parts
+
+			/**
+			* Upload the current buffer as the next part in a multipart upload
+			* @param {function} cb Callback to call as (err)
+			*/
+			var flushPart = function(cb) {
+				async()
+					.then(function(next) { // Create the multipart upload if we haven't already
+						if (uploadId) return next();
+						requestBuffered({method: 'POST', key: key, query: {uploads: ''}}, function(err, xml) {
+							if (err) return next(err);
+							uploadId = xmlTags(xml, 'UploadId')[0];
+							next();
+						});
+					})
+					.then(function(next) {
+						var body = Buffer.concat(buffers);
+						buffers = [];
+						bufferSize = 0;
+						requestBuffered({method: 'PUT', key: key, query: {partNumber: parts.length + 1, uploadId: uploadId}, body: body}, function(err, xml, res) {
+							if (err) return next(err);
+							parts.push(res.headers.etag);
+							next();
+						});
+					})
+					.end(cb);
+			};
+
+			return new stream.Writable({
+				write: function(chunk, enc, next) {
+					buffers.push(chunk);
+					bufferSize += chunk.length;
+					if (bufferSize < settings.partSize) return next();
+					flushPart(next);
+				},
+				final: function(next) {
+					if (!uploadId) return requestBuffered({method: 'PUT', key: key, body: Buffer.concat(buffers)}, err => next(err)); // Small file - upload in one go
+
+					async()
+						.then(function(next) {
+							if (!bufferSize) return next();
+							flushPart(next);
+						})
+						.then(function(next) {
+							requestBuffered({
+								method: 'POST',
+								key: key,
+								query: {uploadId: uploadId},
+								body: '<CompleteMultipartUpload>' + parts.map((etag, index) => `<Part><PartNumber>${index + 1}</PartNumber><ETag>${etag}</ETag></Part>`).join('') + '</CompleteMultipartUpload>',
+							}, next);
+						})
+						.end(err => next(err));
+				},
+				destroy: function(err, next) {
+					if (!uploadId) return next(err);
+					requestBuffered({method: 'DELETE', key: key, query: {uploadId: uploadId}}, ()=> next(err)); // Abort the multipart upload
+				},
+			});
+		},
+
+		/**
+		* Delete a single file
+		* @param {string} path The file to delete
+		* @param {function} cb The callback to call as (err). err.code will be 'ENOENT' if the file does not exist
+		*/
+		delete: function(path, cb) {
+			var key = toKey(path);
+			requestBuffered({method: 'HEAD', key: key}, function(err) { // S3 doesn't complain about deleting non-existant keys so check first
+				if (err) return cb(err);
+				requestBuffered({method: 'DELETE', key: key}, err => cb(err));
+			});
+		},
+
+		/**
+		* Move a file or directory from one location to another
+		* S3 has no rename operation so each object is copied then deleted
+		* @param {string} from The source path
+		* @param {string} to The destination path
+		* @param {function} cb The callback to call as (err)
+		*/
+		rename: function(from, to, cb) {
+			var fromKey = toKey(from);
+			var toKeyPath = toKey(to);
+
+			requestBuffered({method: 'HEAD', key: fromKey}, function(err) {
+				if (err && err.code != 'ENOENT') return cb(err);
+				if (!err) { // Moving a single file
+					return copyObject(fromKey, toKeyPath, function(err) {
+						if (err) return cb(err);
+						requestBuffered({method: 'DELETE', key: fromKey}, err => cb(err));
+					});
+				}
+
+				// Moving a directory - move each object individually
+				listObjects(fromKey + '/', null, function(err, res) {
+					if (err) return cb(err);
+					if (!res.files.length) return cb(fsError('ENOENT', from));
+					async()
+						.limit(1)
+						.forEach(res.files, function(next, file) {
+							var dest = toKeyPath + file.key.substr(fromKey.length);
+							copyObject(file.key, dest, function(err) {
+								if (err) return next(err);
+								requestBuffered({method: 'DELETE', key: file.key}, err => next(err));
+							});
+						})
+						.end(cb);
+				});
+			});
+		},
+
+		/**
+		* Create a directory if it doesn't already exist
+		* As S3 has no real directories this writes an empty directory marker object
+		* @param {string} path The directory to create
+		* @param {function} cb The callback to call as (err)
+		*/
+		mkdir: function(path, cb) {
+			var key = toKey(path);
+			if (!key) return cb();
+			requestBuffered({method: 'PUT', key: key + '/'}, err => cb(err)); // Create a directory marker so empty directories are still visible
+		},
+
+		/**
+		* Remove an empty directory
+		* @param {string} path The directory to remove
+		* @param {function} cb The callback to call as (err). err.code will be 'ENOTEMPTY' if the directory is not empty
+		*/
+		rmdir: function(path, cb) {
+			var key = toKey(path);
+			listObjects(key + '/', '/', function(err, res) {
+				if (err) return cb(err);
+				if (!res.files.length && !res.prefixes.length) return cb(fsError('ENOENT', path));
+				if (res.prefixes.length || res.files.some(file => file.key != key + '/')) return cb(fsError('ENOTEMPTY', path));
+				requestBuffered({method: 'DELETE', key: key + '/'}, err => cb(err)); // Remove the directory marker
+			});
+		},
+	};
+};
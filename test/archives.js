@@ -0,0 +1,236 @@
+var archiver = require('archiver');
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var tar = require('tar-stream');
+var temp = require('temp');
+var yauzl = require('yauzl');
+var zlib = require('zlib');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+
+// Binary response parser for superagent
+var rawParser = (res, cb) => {
+	var chunks = [];
+	res.on('data', chunk => chunks.push(chunk));
+	res.on('end', ()=> cb(null, Buffer.concat(chunks)));
+};
+
+/**
+* Create a ZIP archive buffer
+* @param {Object} files A lookup of filename => contents, or `{symlink: target}` to add a symlink
+* @returns {Promise} A promise which resolves with the archive buffer
+*/
+var makeZip = files => new Promise((resolve, reject) => {
+	var chunks = [];
+	var archive = archiver('zip');
+	archive.on('data', chunk => chunks.push(chunk));
+	archive.on('end', ()=> resolve(Buffer.concat(chunks)));
+	archive.on('error', reject);
+	Object.keys(files).forEach(name => files[name].symlink ? archive.symlink(name, files[name].symlink) : archive.append(files[name], {name}));
+	archive.finalize();
+});
+
+/**
+* Create a tar archive buffer
+* @param {Object} files A lookup of filename => contents
+* @param {boolean} [gzip=false] Whether to gzip the archive
+* @returns {Promise} A promise which resolves with the archive buffer
+*/
+var makeTar = (files, gzip) => new Promise((resolve, reject) => {
+	var chunks = [];
+	var pack = tar.pack();
+	Object.keys(files).forEach(name => pack.entry({name}, files[name]));
+	pack.finalize();
+	(gzip ? pack.pipe(zlib.createGzip()) : pack)
+		.on('data', chunk => chunks.push(chunk))
+		.on('end', ()=> resolve(Buffer.concat(chunks)))
+		.on('error', reject);
+});
+
+/**
+* Read the contents of a ZIP archive buffer
+* @param {Buffer} buffer The archive to read
+* @param {function} cb Callback called as (err, files) where files is a lookup of filename => contents
+*/
+var readZip = (buffer, cb) => {
+	var files = {};
+	yauzl.fromBuffer(buffer, {lazyEntries: true}, (err, zipFile) => {
+		if (err) return cb(err);
+		zipFile.on('end', ()=> cb(null, files));
+		zipFile.on('entry', entry => {
+			zipFile.openReadStream(entry, (err, stream) => {
+				if (err) return cb(err);
+				var chunks = [];
+				stream.on('data', chunk => chunks.push(chunk));
+				stream.on('end', ()=> {
+					files[entry.fileName] = Buffer.concat(chunks).toString();
+					zipFile.readEntry();
+				});
+			});
+		});
+		zipFile.readEntry();
+	});
+};
+
+describe('express-middleware-upload (archives)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', emu({
+			path: temp.path({prefix: 'emu-', suffix: '.test.tmp'}),
+			extract: true,
+			extractMaxEntries: 3,
+			extractMaxSize: 1000,
+		}));
+
+		app.use('/api/links/:path?', emu({
+			path: temp.path({prefix: 'emu-', suffix: '.test.tmp'}),
+			extract: true,
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	describe('extracting', ()=> {
+
+		it('should extract an uploaded ZIP archive', ()=>
+			makeZip({'a.txt': 'Apple', 'docs/b.txt': 'Banana'})
+				.then(zip => superagent.post(`${url}/api/files`).attach('file', zip, 'fruit.zip'))
+				.then(res => {
+					expect(res.body.files.map(f => f.name).sort()).to.deep.equal(['a.txt', 'docs/b.txt']);
+					return superagent.get(`${url}/api/files/docs`);
+				})
+				.then(res => {
+					expect(res.body).to.have.length(1);
+					expect(res.body[0]).to.have.property('name', 'b.txt');
+					expect(res.body[0]).to.have.property('size', 6);
+				})
+		);
+
+		it('should extract an uploaded tar.gz archive', ()=>
+			makeTar({'c.txt': 'Cherry'}, true)
+				.then(tgz => superagent.post(`${url}/api/files`).attach('file', tgz, 'fruit.tar.gz'))
+				.then(res => {
+					expect(res.body.files.map(f => f.name)).to.deep.equal(['c.txt']);
+					return superagent.get(`${url}/api/files/c.txt`).buffer();
+				})
+				.then(res => expect(res.text).to.equal('Cherry'))
+		);
+
+		it('should refuse archive entries outside of the upload directory', ()=>
+			makeTar({'../../evil.txt': 'Muhahaha'})
+				.then(tarball => superagent.post(`${url}/api/files`).attach('file', tarball, 'evil.tar'))
+				.then(()=> expect.fail('Upload should have been rejected'))
+				.catch(err => {
+					expect(err.status).to.equal(422);
+					expect(err.response.body.files[0].reason).to.match(/Unsafe path/);
+				})
+		);
+
+		it('should refuse archive entries inside the internal directory', ()=>
+			makeTar({'.emu/uploads/hijack.json': '{}'})
+				.then(tarball => superagent.post(`${url}/api/files`).attach('file', tarball, 'evil.tar'))
+				.then(()=> expect.fail('Upload should have been rejected'))
+				.catch(err => expect(err.status).to.equal(422))
+		);
+
+		it('should refuse archives with too many entries', ()=>
+			makeZip({'1.txt': '1', '2.txt': '2', '3.txt': '3', '4.txt': '4'})
+				.then(zip => superagent.post(`${url}/api/files`).attach('file', zip, 'many.zip'))
+				.then(()=> expect.fail('Upload should have been rejected'))
+				.catch(err => {
+					expect(err.status).to.equal(413);
+					expect(err.response.body.files[0].reason).to.match(/too many files/);
+				})
+		);
+
+		it('should refuse archives which are too large once extracted', ()=>
+			makeZip({'big.txt': Buffer.alloc(2000, 'x')})
+				.then(zip => superagent.post(`${url}/api/files`).attach('file', zip, 'bomb.zip'))
+				.then(()=> expect.fail('Upload should have been rejected'))
+				.catch(err => expect(err.status).to.equal(413))
+		);
+
+		it('should not have stored anything from rejected archives', ()=>
+			superagent.get(`${url}/api/files`)
+				.query({depth: 3})
+				.then(res => expect(res.body.map(f => f.name).sort()).to.deep.equal(['a.txt', 'c.txt', 'docs', 'docs/b.txt']))
+		);
+
+		it('should skip symlinks within ZIP archives', ()=>
+			makeZip({'d.txt': 'Date', 'passwd.txt': {symlink: '/etc/passwd'}})
+				.then(zip => superagent.post(`${url}/api/links`).attach('file', zip, 'links.zip'))
+				.then(res => {
+					expect(res.body.files.map(f => f.name)).to.deep.equal(['d.txt']);
+					return superagent.get(`${url}/api/links`);
+				})
+				.then(res => expect(res.body.map(f => f.name)).to.deep.equal(['d.txt']))
+		);
+
+	});
+
+	describe('downloading', ()=> {
+
+		it('should download a directory as a ZIP archive', done => {
+			superagent.get(`${url}/api/files`)
+				.query({archive: 'zip'})
+				.buffer()
+				.parse(rawParser)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.headers['content-type']).to.equal('application/zip');
+					expect(res.headers['content-disposition']).to.match(/attachment; filename="files.zip"/);
+
+					readZip(res.body, (err, files) => {
+						expect(err).to.not.be.ok;
+						expect(files).to.deep.equal({'a.txt': 'Apple', 'c.txt': 'Cherry', 'docs/b.txt': 'Banana'});
+						done();
+					});
+				});
+		});
+
+		it('should download selected files as a ZIP archive', done => {
+			superagent.get(`${url}/api/files?archive=zip&select=a.txt&select=docs`)
+				.buffer()
+				.parse(rawParser)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+
+					readZip(res.body, (err, files) => {
+						expect(err).to.not.be.ok;
+						expect(files).to.deep.equal({'a.txt': 'Apple', 'docs/b.txt': 'Banana'});
+						done();
+					});
+				});
+		});
+
+		it('should reject unsupported archive formats', done => {
+			superagent.get(`${url}/api/files`)
+				.query({archive: 'rar'})
+				.end(function(err, res) {
+					expect(err).to.be.ok;
+					expect(res.status).to.equal(400);
+					done();
+				});
+		});
+
+	});
+
+});
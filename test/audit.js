@@ -0,0 +1,150 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var fs = require('fs');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var logPath = temp.path({prefix: 'emu-audit-', suffix: '.test.tmp'}) + '/audit.log';
+var entries = [];
+
+// Wait until the audit log has recorded at least the given number of entries
+var waitForEntries = count => new Promise(resolve => {
+	var check = ()=> entries.length >= count ? resolve(entries.slice(-count)) : setTimeout(check, 10);
+	check();
+});
+
+describe('express-middleware-upload (audit log)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', emu({
+			path: '/audited',
+			storage: emu.storage.memory(),
+			audit: (entry, cb) => { entries.push(entry); cb(); },
+			auditUser: req => req.headers['x-user'],
+			delete: (req, res, next) => req.headers['x-user'] == 'admin' ? next() : next('Only admins can delete files'),
+		}));
+
+		app.use('/api/logged/:path?', emu({
+			path: '/logged',
+			storage: emu.storage.memory(),
+			audit: emu.audit.file({path: logPath, maxSize: 1024, maxFiles: 2}),
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	describe('entries', ()=> {
+
+		it('should record each uploaded file', ()=>
+			superagent.post(`${url}/api/files`)
+				.set('X-User', 'alice')
+				.attach('file', Buffer.from('Hello'), 'hello.txt')
+				.attach('file', Buffer.from('World!'), 'world.txt')
+				.then(()=> waitForEntries(2))
+				.then(([hello, world]) => {
+					expect(hello).to.include({operation: 'post', user: 'alice', method: 'POST', path: 'hello.txt', size: 5, status: 200, outcome: 'success'});
+					expect(hello).to.have.property('ip');
+					expect(hello).to.have.property('timestamp');
+					expect(world).to.include({path: 'world.txt', size: 6});
+				})
+		);
+
+		it('should record reads', ()=>
+			superagent.get(`${url}/api/files/hello.txt`)
+				.set('X-User', 'bob')
+				.buffer()
+				.then(()=> waitForEntries(3))
+				.then(entries => expect(entries[2]).to.include({operation: 'get', user: 'bob', path: 'hello.txt', size: 5, outcome: 'success'}))
+		);
+
+		it('should record listings', ()=>
+			superagent.get(`${url}/api/files`)
+				.then(()=> waitForEntries(4))
+				.then(entries => {
+					expect(entries[3]).to.include({operation: 'list', path: '', outcome: 'success'});
+					expect(entries[3]).to.not.have.property('user');
+				})
+		);
+
+		it('should record moves', ()=>
+			superagent('MOVE', `${url}/api/files/world.txt`)
+				.set('Destination', 'archive/world.txt')
+				.then(()=> waitForEntries(5))
+				.then(entries => expect(entries[4]).to.include({operation: 'move', path: 'world.txt', destination: 'archive/world.txt', outcome: 'success'}))
+		);
+
+		it('should record refused requests', ()=>
+			superagent.delete(`${url}/api/files/hello.txt`)
+				.set('X-User', 'bob')
+				.then(()=> expect.fail('Request should have been refused'))
+				.catch(err => expect(err.status).to.equal(403))
+				.then(()=> waitForEntries(6))
+				.then(entries => {
+					expect(entries[5]).to.include({operation: 'delete', user: 'bob', path: 'hello.txt', status: 403, outcome: 'failure'});
+					expect(entries[5].error).to.deep.equal({code: 'EMU_FORBIDDEN', message: 'Only admins can delete files'});
+				})
+		);
+
+		it('should record failed requests', ()=>
+			superagent.get(`${url}/api/files/nonexistant.txt`)
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => expect(err.status).to.equal(404))
+				.then(()=> waitForEntries(7))
+				.then(entries => expect(entries[6]).to.deep.include({operation: 'get', status: 404, outcome: 'failure', error: {code: 'EMU_NOT_FOUND', message: 'File not found'}}))
+		);
+
+		it('should record deletes', ()=>
+			superagent.delete(`${url}/api/files/hello.txt`)
+				.set('X-User', 'admin')
+				.then(()=> waitForEntries(8))
+				.then(entries => expect(entries[7]).to.include({operation: 'delete', user: 'admin', path: 'hello.txt', type: 'file', outcome: 'success'}))
+		);
+
+	});
+
+	describe('file sink', ()=> {
+
+		it('should append JSON lines to the log file', ()=>
+			superagent.post(`${url}/api/logged`)
+				.attach('file', Buffer.from('Hello'), 'hello.txt')
+				.then(()=> superagent.get(`${url}/api/logged/hello.txt`).buffer())
+				.then(()=> new Promise(resolve => setTimeout(resolve, 50)))
+				.then(()=> {
+					var lines = fs.readFileSync(logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+					expect(lines.map(line => line.operation)).to.deep.equal(['post', 'get']);
+					expect(lines[1]).to.include({path: 'hello.txt', size: 5});
+				})
+		);
+
+		it('should rotate the log file', ()=>
+			Array.from({length: 20}).reduce(promise => promise.then(()=> superagent.get(`${url}/api/logged/hello.txt`).buffer()), Promise.resolve())
+				.then(()=> new Promise(resolve => setTimeout(resolve, 50)))
+				.then(()=> {
+					expect(fs.statSync(logPath).size).to.be.at.most(1024);
+					expect(fs.existsSync(`${logPath}.1`)).to.be.true;
+					expect(fs.existsSync(`${logPath}.2`)).to.be.true;
+					expect(fs.existsSync(`${logPath}.3`)).to.be.false;
+				})
+		);
+
+	});
+
+});
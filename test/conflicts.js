@@ -0,0 +1,278 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+
+describe('express-middleware-upload (filename conflicts)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		['overwrite', 'reject', 'rename', 'uuid'].forEach(policy => {
+			app.use(`/api/${policy}/:path?`, emu({
+				path: '/uploads',
+				storage: emu.storage.memory(),
+				onConflict: policy,
+			}));
+		});
+
+		app.use('/api/custom/:path?', emu({
+			path: '/uploads',
+			storage: emu.storage.memory(),
+			onConflict: (file, req) => Promise.resolve(`custom-${file.originalname}`),
+		}));
+
+		['rename', 'reject'].forEach(policy => {
+			app.use(`/api/concurrent-${policy}/:path?`, emu({
+				path: temp.path({prefix: 'emu-', suffix: '.test.tmp'}),
+				onConflict: policy,
+			}));
+		});
+
+		app.use('/api/escape/:path?', emu({
+			path: '/uploads',
+			storage: emu.storage.memory(),
+			onConflict: (file, req) => '..',
+		}));
+
+		app.use('/api/throw/:path?', emu({
+			path: '/uploads',
+			storage: emu.storage.memory(),
+			onConflict: (file, req) => { throw new Error('Conflict hook failed') },
+		}));
+
+		app.use('/api/invalid/:path?', emu({
+			path: '/uploads',
+			storage: emu.storage.memory(),
+			onConflict: (file, req, callback) => callback(null, 42),
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	var upload = (policy, contents, callback) => {
+		superagent.post(`${url}/api/${policy}`)
+			.attach('file', Buffer.from(contents), 'poem.txt')
+			.end(callback);
+	};
+
+	var list = (policy, callback) => {
+		superagent.get(`${url}/api/${policy}`)
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				callback(res.body.map(f => f.name).sort());
+			});
+	};
+
+	it('should report the stored name of each file', done => {
+		upload('overwrite', 'first', function(err, res) {
+			expect(err).to.not.be.ok;
+			expect(res.body).to.have.property('files');
+			expect(res.body.files).to.have.length(1);
+			expect(res.body.files[0]).to.have.property('name', 'poem.txt');
+			expect(res.body.files[0]).to.have.property('originalname', 'poem.txt');
+			done();
+		});
+	});
+
+	it('should overwrite existing files by default', done => {
+		upload('overwrite', 'second', function(err, res) {
+			expect(err).to.not.be.ok;
+			expect(res.body.files[0]).to.have.property('name', 'poem.txt');
+
+			superagent.get(`${url}/api/overwrite/poem.txt`)
+				.buffer()
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.text).to.equal('second');
+					done();
+				});
+		});
+	});
+
+	it('should reject conflicting files with a 409', done => {
+		upload('reject', 'first', function(err, res) {
+			expect(err).to.not.be.ok;
+
+			upload('reject', 'second', function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.status).to.equal(409);
+				expect(res.body).to.have.property('files');
+				expect(res.body.files[0]).to.have.property('name', 'poem.txt');
+
+				list('reject', names => {
+					expect(names).to.deep.equal(['poem.txt']);
+					done();
+				});
+			});
+		});
+	});
+
+	it('should reject files which conflict within the same upload', done => {
+		superagent.post(`${url}/api/reject`)
+			.attach('file', Buffer.from('one'), 'twin.txt')
+			.attach('file', Buffer.from('two'), 'twin.txt')
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.status).to.equal(409);
+
+				list('reject', names => {
+					expect(names).to.deep.equal(['poem.txt']);
+					done();
+				});
+			});
+	});
+
+	it('should rename conflicting files', done => {
+		upload('rename', 'first', function(err, res) {
+			expect(err).to.not.be.ok;
+			expect(res.body.files[0]).to.have.property('name', 'poem.txt');
+
+			upload('rename', 'second', function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.body.files[0]).to.have.property('name', 'poem-1.txt');
+				expect(res.body.files[0]).to.have.property('originalname', 'poem.txt');
+
+				upload('rename', 'third', function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.files[0]).to.have.property('name', 'poem-2.txt');
+
+					list('rename', names => {
+						expect(names).to.deep.equal(['poem-1.txt', 'poem-2.txt', 'poem.txt']);
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	it('should rename conflicting files within the same upload', done => {
+		superagent.post(`${url}/api/rename`)
+			.attach('file', Buffer.from('one'), 'twin.txt')
+			.attach('file', Buffer.from('two'), 'twin.txt')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.body.files.map(f => f.name)).to.deep.equal(['twin.txt', 'twin-1.txt']);
+				done();
+			});
+	});
+
+	it('should store conflicting files under a UUID', done => {
+		upload('uuid', 'first', function(err, res) {
+			expect(err).to.not.be.ok;
+
+			upload('uuid', 'second', function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.body.files[0].name).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}\.txt$/);
+				expect(res.body.files[0]).to.have.property('originalname', 'poem.txt');
+
+				list('uuid', names => {
+					expect(names).to.have.length(2);
+					expect(names).to.include('poem.txt');
+					done();
+				});
+			});
+		});
+	});
+
+	it('should support a custom conflict function', done => {
+		upload('custom', 'first', function(err, res) {
+			expect(err).to.not.be.ok;
+
+			upload('custom', 'second', function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.body.files[0]).to.have.property('name', 'custom-poem.txt');
+
+				list('custom', names => {
+					expect(names).to.deep.equal(['custom-poem.txt', 'poem.txt']);
+					done();
+				});
+			});
+		});
+	});
+
+	it('should rename concurrent uploads of the same file', ()=>
+		superagent.post(`${url}/api/concurrent-rename`).attach('file', Buffer.from('original'), 'report.txt')
+			.then(()=> Promise.all([1, 2, 3, 4].map(index => superagent.post(`${url}/api/concurrent-rename`).attach('file', Buffer.from(`copy ${index}`), 'report.txt'))))
+			.then(responses => {
+				expect(responses.map(res => res.body.files[0].name).sort()).to.deep.equal(['report-1.txt', 'report-2.txt', 'report-3.txt', 'report-4.txt']);
+				return superagent.get(`${url}/api/concurrent-rename`);
+			})
+			.then(res => expect(res.body.map(f => f.name).sort()).to.deep.equal(['report-1.txt', 'report-2.txt', 'report-3.txt', 'report-4.txt', 'report.txt']))
+	);
+
+	it('should reject all but one of concurrent uploads of the same file', ()=> {
+		var accepted = [];
+		return Promise.all([1, 2, 3, 4].map(index =>
+			superagent.post(`${url}/api/concurrent-reject`)
+				.attach('file', Buffer.from(`copy ${index}`), 'report.txt')
+				.then(()=> accepted.push(index), err => expect(err.status).to.equal(409))
+		))
+			.then(()=> {
+				expect(accepted).to.have.length(1);
+				return superagent.get(`${url}/api/concurrent-reject/report.txt`).buffer();
+			})
+			.then(res => expect(res.text).to.equal(`copy ${accepted[0]}`));
+	});
+
+	it('should refuse custom filenames which escape the directory', done => {
+		upload('escape', 'first', function(err, res) {
+			expect(err).to.not.be.ok;
+
+			upload('escape', 'second', function(err, res) {
+				expect(err).to.be.ok;
+				expect(err.status).to.equal(400);
+				expect(res.body).to.have.property('code', 'EMU_INVALID_PATH');
+
+				list('escape', names => {
+					expect(names).to.deep.equal(['poem.txt']);
+					done();
+				});
+			});
+		});
+	});
+
+	it('should refuse uploads if the conflict function throws', done => {
+		upload('throw', 'first', function(err, res) {
+			expect(err).to.not.be.ok;
+
+			upload('throw', 'second', function(err, res) {
+				expect(err).to.be.ok;
+				expect(err.status).to.equal(500);
+				expect(res.body).to.have.property('code', 'EMU_INTERNAL');
+				done();
+			});
+		});
+	});
+
+	it('should refuse uploads with an invalid conflict behaviour', done => {
+		upload('invalid', 'first', function(err, res) {
+			expect(err).to.not.be.ok;
+
+			upload('invalid', 'second', function(err, res) {
+				expect(err).to.be.ok;
+				expect(err.status).to.equal(500);
+				expect(res.body).to.have.property('code', 'EMU_INTERNAL');
+				done();
+			});
+		});
+	});
+
+});
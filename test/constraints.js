@@ -3,6 +3,7 @@ var emu = require('..');
 var expect = require('chai').expect;
 var express = require('express');
 var expressLogger = require('express-log-url');
+var fs = require('fs');
 var mlog = require('mocha-logger');
 var superagent = require('superagent');
 var temp = require('temp');
@@ -26,6 +27,12 @@ describe('express-middleware-upload (constraints)', ()=> {
 			limit: 3
 		}));
 
+		app.use('/api/sized/:path?', emu({
+			path: `${tempPath}-sized`,
+			maxFileSize: 1000,
+			maxRequestSize: 3000,
+		}));
+
 		server = app.listen(port, null, function(err) {
 			if (err) return finish(err);
 			mlog.log('Server listening on ' + url);
@@ -55,7 +62,7 @@ describe('express-middleware-upload (constraints)', ()=> {
 			.end(function(err, res) {
 				expect(err).to.be.ok;
 				expect(err).to.have.property('message');
-				expect(res.error.text).to.equal('More than file limit uploaded')
+				expect(res.body).to.deep.equal({error: 'More than file limit uploaded', code: 'EMU_FILE_COUNT'});
 				expect(res.status).to.be.equal(400);
 				done();
 			});
@@ -67,11 +74,71 @@ describe('express-middleware-upload (constraints)', ()=> {
 			.end(function(err, res) {
 				expect(err).to.be.ok;
 				expect(err).to.have.property('message');
-				expect(res.error.text).to.equal('Less than expected files uploaded')
+				expect(res.body).to.deep.equal({error: 'Less than expected files uploaded', code: 'EMU_FILE_COUNT'});
 				expect(res.status).to.be.equal(400);
 				done();
 			});
 	});
 
+	it('should accept a file within the maximum file size', done => {
+		superagent.post(url + '/api/sized')
+			.attach('file', __dirname + '/data/jabberwocky.txt')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(200);
+				done();
+			});
+	});
+
+	it('should reject a file larger than the maximum file size', done => {
+		superagent.post(url + '/api/sized')
+			.attach('file', Buffer.alloc(2000, 'x'), 'large.txt')
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.body).to.deep.equal({error: 'File too large', code: 'EMU_FILE_TOO_LARGE'});
+				expect(res.status).to.be.equal(413);
+				done();
+			});
+	});
+
+	it('should reject a request larger than the maximum request size', done => {
+		superagent.post(url + '/api/sized')
+			.attach('file', __dirname + '/data/jabberwocky.txt', 'poem1.txt')
+			.attach('file', __dirname + '/data/jabberwocky.txt', 'poem2.txt')
+			.attach('file', __dirname + '/data/jabberwocky.txt', 'poem3.txt')
+			.attach('file', __dirname + '/data/jabberwocky.txt', 'poem4.txt')
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.body).to.deep.equal({error: 'Request too large', code: 'EMU_REQUEST_TOO_LARGE'});
+				expect(res.status).to.be.equal(413);
+				done();
+			});
+	});
+
+	it('should not have kept any rejected or partial files', done => {
+		superagent.get(url + '/api/sized')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.body).to.have.length(1);
+				expect(res.body[0]).to.have.property('name', 'jabberwocky.txt');
+
+				expect(fs.readdirSync(`${tempPath}-sized/.emu/tmp`)).to.have.length(0);
+				done();
+			});
+	});
+
+	it('should accept files just under the maximum request size', done => {
+		superagent.post(url + '/api/sized')
+			.attach('file', Buffer.alloc(999, 'x'), 'part1.txt')
+			.attach('file', Buffer.alloc(999, 'x'), 'part2.txt')
+			.attach('file', Buffer.alloc(999, 'x'), 'part3.txt')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(200);
+				expect(res.body.files).to.have.length(3);
+				done();
+			});
+	});
+
 
 });
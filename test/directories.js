@@ -0,0 +1,169 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var mounts = {
+	disk: {path: temp.path({prefix: 'emu-', suffix: '.test.tmp'}), storage: emu.storage.disk()},
+	memory: {path: '/uploads', storage: emu.storage.memory()},
+};
+var guardedStorage = emu.storage.memory();
+
+describe('express-middleware-upload (directories)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		Object.keys(mounts).forEach(driver => {
+			app.use(`/api/${driver}/:path?`, emu(Object.assign({}, mounts[driver])));
+		});
+
+		app.use('/api/guarded/:path?', emu({
+			path: '/guarded',
+			storage: guardedStorage,
+			post: (req, res) => res.sendStatus(401),
+			delete: true,
+			move: true,
+			rmdir: false,
+			movedir: false,
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	['disk', 'memory'].forEach(driver => {
+
+		it(`should create an empty directory (${driver})`, ()=>
+			superagent('MKCOL', `${url}/api/${driver}/photos`)
+				.then(res => {
+					expect(res.status).to.equal(201);
+					expect(res.body).to.have.property('name', 'photos');
+					expect(res.body).to.have.property('type', 'directory');
+					return superagent.get(`${url}/api/${driver}`);
+				})
+				.then(res => {
+					expect(res.body).to.have.length(1);
+					expect(res.body[0]).to.have.property('name', 'photos');
+					expect(res.body[0]).to.have.property('type', 'directory');
+				})
+		);
+
+		it(`should create nested directories (${driver})`, ()=>
+			superagent('MKCOL', `${url}/api/${driver}/photos/2024/summer`)
+				.then(res => {
+					expect(res.body).to.have.property('name', 'photos/2024/summer');
+					return superagent.get(`${url}/api/${driver}/photos/2024`);
+				})
+				.then(res => expect(res.body.map(file => file.name)).to.deep.equal(['summer']))
+		);
+
+		it(`should refuse to create an existing directory (${driver})`, ()=>
+			superagent('MKCOL', `${url}/api/${driver}/photos`)
+				.then(()=> expect.fail('MKCOL should have been rejected'))
+				.catch(err => expect(err.status).to.equal(409))
+		);
+
+		it(`should refuse to create the internal directory (${driver})`, ()=>
+			superagent('MKCOL', `${url}/api/${driver}/.emu`)
+				.then(()=> expect.fail('MKCOL should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it(`should rename a directory (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}/photos`)
+				.set('Destination', 'pictures')
+				.then(res => {
+					expect(res.body).to.have.property('name', 'pictures');
+					return superagent.get(`${url}/api/${driver}`);
+				})
+				.then(res => expect(res.body.map(file => file.name)).to.deep.equal(['pictures']))
+		);
+
+		it(`should delete an empty directory (${driver})`, ()=>
+			superagent.delete(`${url}/api/${driver}/pictures/2024/summer`)
+				.then(res => {
+					expect(res.status).to.equal(200);
+					return superagent.get(`${url}/api/${driver}/pictures/2024`);
+				})
+				.then(res => expect(res.body).to.deep.equal([]))
+		);
+
+		it(`should refuse to delete a non-empty directory without recursive (${driver})`, ()=>
+			superagent.post(`${url}/api/${driver}`)
+				.attach('file', Buffer.from('Hello'), 'hello.txt')
+				.then(()=> superagent('MOVE', `${url}/api/${driver}/hello.txt`).set('Destination', 'pictures/hello.txt'))
+				.then(()=> superagent.delete(`${url}/api/${driver}/pictures`))
+				.then(()=> expect.fail('DELETE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(409))
+		);
+
+		it(`should delete a non-empty directory with recursive (${driver})`, ()=>
+			superagent.delete(`${url}/api/${driver}/pictures?recursive`)
+				.then(res => {
+					expect(res.status).to.equal(200);
+					return superagent.get(`${url}/api/${driver}`);
+				})
+				.then(res => expect(res.body).to.deep.equal([]))
+		);
+
+		it(`should refuse to delete the root directory (${driver})`, ()=>
+			superagent.delete(`${url}/api/${driver}?recursive`)
+				.then(()=> expect.fail('DELETE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+	});
+
+	describe('guards', ()=> {
+
+		before('create a test directory', done => guardedStorage.mkdir('/guarded/docs', done));
+		before('create a unicode test directory', done => guardedStorage.mkdir('/guarded/caf\u00e9', done));
+
+		it('should use the post middleware for mkdir by default', ()=>
+			superagent('MKCOL', `${url}/api/guarded/photos`)
+				.then(()=> expect.fail('MKCOL should have been rejected'))
+				.catch(err => expect(err.status).to.equal(401))
+		);
+
+		it('should use the rmdir middleware when deleting a directory', ()=>
+			superagent.delete(`${url}/api/guarded/docs`)
+				.then(()=> expect.fail('DELETE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should use the movedir middleware when moving a directory', ()=>
+			superagent('MOVE', `${url}/api/guarded/docs`)
+				.set('Destination', 'documents')
+				.then(()=> expect.fail('MOVE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should use the directory middleware for paths which only resolve to a directory', ()=>
+			superagent.delete(`${url}/api/guarded/${encodeURIComponent('cafe\u0301')}`) // NFD form of the NFC directory name
+				.then(()=> expect.fail('DELETE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+				.then(()=> superagent('MOVE', `${url}/api/guarded/${encodeURIComponent('cafe\u0301')}`).set('Destination', 'coffee'))
+				.then(()=> expect.fail('MOVE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+				.then(()=> new Promise((resolve, reject) => guardedStorage.stat('/guarded/caf\u00e9', err => err ? reject(err) : resolve())))
+		);
+
+	});
+
+});
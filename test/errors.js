@@ -0,0 +1,160 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var brokenStorage = Object.assign(emu.storage.memory(), {
+	stat: (path, cb) => cb(new Error('Disk on fire')),
+});
+
+describe('express-middleware-upload (errors)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', emu({
+			path: '/files',
+			storage: emu.storage.memory(),
+			delete: true,
+		}));
+
+		app.use('/api/guarded/:path?', emu({
+			path: '/guarded',
+			storage: emu.storage.memory(),
+			list: (req, res, next) => next('Not logged in'),
+			get: (req, res, next) => next(emu.error('EMU_METHOD_NOT_ALLOWED', 'Read only')),
+			post: false,
+		}));
+
+		app.use('/api/localised/:path?', emu({
+			path: '/localised',
+			storage: emu.storage.memory(),
+			errorHandler: (req, res, status, message, err) => res.status(status).send({
+				fehler: {EMU_NOT_FOUND: 'Datei nicht gefunden'}[err.code] || message,
+				code: err.code,
+			}),
+		}));
+
+		app.use('/api/broken/:path?', emu({
+			path: '/broken',
+			storage: brokenStorage,
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	describe('default format', ()=> {
+
+		it('should respond with JSON for missing files', ()=>
+			superagent.get(`${url}/api/files/nonexistant.txt`)
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(404);
+					expect(err.response.body).to.deep.equal({error: 'File not found', code: 'EMU_NOT_FOUND'});
+				})
+		);
+
+		it('should respond with JSON for invalid queries', ()=>
+			superagent.get(`${url}/api/files?depth=0`)
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(400);
+					expect(err.response.body).to.deep.equal({error: 'Invalid depth', code: 'EMU_INVALID_QUERY'});
+				})
+		);
+
+		it('should use 409 for non-empty directories', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('Hello'), 'hello.txt')
+				.then(()=> superagent('MOVE', `${url}/api/files/hello.txt`).set('Destination', 'docs/hello.txt'))
+				.then(()=> superagent.delete(`${url}/api/files/docs`))
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(409);
+					expect(err.response.body).to.have.property('code', 'EMU_NOT_EMPTY');
+				})
+		);
+
+		it('should use 412 for existing destinations with Overwrite: F', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('World'), 'world.txt')
+				.then(()=> superagent('COPY', `${url}/api/files/world.txt`).set('Destination', 'docs/hello.txt').set('Overwrite', 'F'))
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(412);
+					expect(err.response.body).to.have.property('code', 'EMU_PRECONDITION_FAILED');
+				})
+		);
+
+		it('should not expose internal errors', ()=>
+			superagent.get(`${url}/api/broken`)
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(500);
+					expect(err.response.body).to.deep.equal({error: 'Internal error', code: 'EMU_INTERNAL'});
+				})
+		);
+
+	});
+
+	describe('middleware', ()=> {
+
+		it('should refuse disabled methods with EMU_FORBIDDEN', ()=>
+			superagent.post(`${url}/api/guarded`)
+				.attach('file', Buffer.from('Hello'), 'hello.txt')
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(403);
+					expect(err.response.body).to.deep.equal({error: 'Forbidden', code: 'EMU_FORBIDDEN'});
+				})
+		);
+
+		it('should treat string errors as EMU_FORBIDDEN', ()=>
+			superagent.get(`${url}/api/guarded`)
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(403);
+					expect(err.response.body).to.deep.equal({error: 'Not logged in', code: 'EMU_FORBIDDEN'});
+				})
+		);
+
+		it('should send errors created with emu.error()', ()=>
+			superagent.get(`${url}/api/guarded/hello.txt`)
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(405);
+					expect(err.response.body).to.deep.equal({error: 'Read only', code: 'EMU_METHOD_NOT_ALLOWED'});
+				})
+		);
+
+	});
+
+	describe('custom error handlers', ()=> {
+
+		it('should pass the error object to errorHandler', ()=>
+			superagent.get(`${url}/api/localised/nonexistant.txt`)
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(404);
+					expect(err.response.body).to.deep.equal({fehler: 'Datei nicht gefunden', code: 'EMU_NOT_FOUND'});
+				})
+		);
+
+	});
+
+});
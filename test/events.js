@@ -0,0 +1,203 @@
+var bodyParser = require('body-parser');
+var crypto = require('crypto');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var http = require('http');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+
+// Local stand-in for the services receiving webhooks
+var hookServer;
+var hookPort = 8182;
+var hookUrl = 'http://localhost:' + hookPort;
+var hooks = []; // Each request received as {path, headers, body}
+var flaky = 0; // Number of requests made to /flaky so far, the first fails
+
+var files = emu({
+	path: '/events',
+	storage: emu.storage.memory(),
+	accept: '.txt',
+	delete: true,
+	webhooks: [
+		{url: `${hookUrl}/hooks`, secret: 'hook-secret', events: ['uploaded', 'deleted']},
+		{url: `${hookUrl}/flaky`, retryDelay: 10, events: ['moved']},
+		{url: `${hookUrl}/down`, retries: 1, retryDelay: 10, events: ['deleted']},
+	],
+});
+
+var nextEvent = name => new Promise(resolve => files.once(name, resolve));
+var waitForHooks = (path, count) => new Promise(resolve => {
+	var check = ()=> {
+		var received = hooks.filter(hook => hook.path == path);
+		if (received.length >= count) return resolve(received);
+		setTimeout(check, 10);
+	};
+	check();
+});
+
+describe('express-middleware-upload (events and webhooks)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', files);
+		app.use('/api/bound/:path?', files.bind(null));
+		app.use('/api/called/:path?', (req, res, next) => files.call(null, req, res, next));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	before('setup webhook receiver', done => {
+		hookServer = http.createServer((req, res) => {
+			var chunks = [];
+			req.on('data', chunk => chunks.push(chunk));
+			req.on('end', ()=> {
+				hooks.push({path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString()});
+				if (req.url == '/down' || (req.url == '/flaky' && flaky++ == 0)) return res.writeHead(503).end();
+				res.writeHead(204).end();
+			});
+		}).listen(hookPort, done);
+	});
+
+	after(()=> server.close());
+	after(()=> hookServer.close());
+
+	describe('events', ()=> {
+
+		it('should still be usable as a plain function', ()=> {
+			expect(files).to.be.a('function');
+			expect(files.call).to.equal(Function.prototype.call);
+			expect(files.apply).to.equal(Function.prototype.apply);
+			expect(files.bind).to.equal(Function.prototype.bind);
+
+			return Promise.all([
+				superagent.get(`${url}/api/bound`),
+				superagent.get(`${url}/api/called`),
+			])
+				.then(responses => responses.forEach(res => expect(res.body).to.deep.equal([])));
+		});
+
+		it('should emit uploaded', ()=>
+			Promise.all([
+				nextEvent('uploaded'),
+				superagent.post(`${url}/api/files`).attach('file', Buffer.from('Hello'), 'hello.txt'),
+			])
+				.then(([event]) => {
+					expect(event).to.have.property('path', 'hello.txt');
+					expect(event.file).to.include({name: 'hello.txt', size: 5, originalname: 'hello.txt', mimetype: 'text/plain'});
+					expect(event.file).to.have.property('checksum');
+					expect(event.req).to.have.property('method', 'POST');
+				})
+		);
+
+		it('should emit read', ()=>
+			Promise.all([
+				nextEvent('read'),
+				superagent.get(`${url}/api/files/hello.txt`).buffer(),
+			])
+				.then(([event]) => {
+					expect(event).to.have.property('path', 'hello.txt');
+					expect(event.file).to.have.property('size', 5);
+				})
+		);
+
+		it('should emit listed', ()=>
+			Promise.all([
+				nextEvent('listed'),
+				superagent.get(`${url}/api/files`),
+			])
+				.then(([event]) => {
+					expect(event).to.have.property('path', '');
+					expect(event.files.map(file => file.name)).to.deep.equal(['hello.txt']);
+				})
+		);
+
+		it('should emit moved', ()=>
+			Promise.all([
+				nextEvent('moved'),
+				superagent('MOVE', `${url}/api/files/hello.txt`).set('Destination', 'greeting.txt'),
+			])
+				.then(([event]) => {
+					expect(event).to.include({path: 'hello.txt', destination: 'greeting.txt'});
+					expect(event.file).to.have.property('name', 'greeting.txt');
+				})
+		);
+
+		it('should emit rejected', ()=>
+			Promise.all([
+				nextEvent('rejected'),
+				superagent.post(`${url}/api/files`).attach('file', Buffer.from('MZ'), 'virus.exe').catch(err => err),
+			])
+				.then(([event]) => {
+					expect(event.error).to.have.property('code', 'EMU_REJECTED');
+					expect(event.files).to.deep.equal([{name: 'virus.exe', reason: 'File type application/x-msdownload is not accepted'}]);
+				})
+		);
+
+		it('should emit deleted', ()=>
+			Promise.all([
+				nextEvent('deleted'),
+				superagent.delete(`${url}/api/files/greeting.txt`),
+			])
+				.then(([event]) => expect(event).to.include({path: 'greeting.txt', type: 'file'}))
+		);
+
+	});
+
+	describe('webhooks', ()=> {
+
+		it('should send signed events', ()=>
+			waitForHooks('/hooks', 2)
+				.then(received => {
+					expect(received.map(hook => hook.headers['x-emu-event'])).to.deep.equal(['uploaded', 'deleted']);
+
+					var hook = received[0];
+					expect(hook.headers['x-emu-signature']).to.equal('sha256=' + crypto.createHmac('sha256', 'hook-secret').update(hook.body).digest('hex'));
+
+					var body = JSON.parse(hook.body);
+					expect(body).to.have.property('id', hook.headers['x-emu-delivery']);
+					expect(body).to.have.property('event', 'uploaded');
+					expect(body).to.have.property('timestamp');
+					expect(body.data).to.have.property('path', 'hello.txt');
+					expect(body.data).to.not.have.property('req');
+				})
+		);
+
+		it('should retry failed deliveries', ()=>
+			waitForHooks('/flaky', 2)
+				.then(received => {
+					expect(received[0].headers['x-emu-delivery']).to.equal(received[1].headers['x-emu-delivery']);
+					expect(received[0].headers).to.not.have.property('x-emu-signature');
+					expect(JSON.parse(received[1].body).data).to.include({path: 'hello.txt', destination: 'greeting.txt'});
+				})
+		);
+
+		it('should emit webhookFailed once all retries fail', ()=>
+			Promise.all([
+				nextEvent('webhookFailed'),
+				superagent.post(`${url}/api/files`).attach('file', Buffer.from('Bye'), 'bye.txt')
+					.then(()=> superagent.delete(`${url}/api/files/bye.txt`)),
+			])
+				.then(([event]) => {
+					expect(event).to.include({url: `${hookUrl}/down`, event: 'deleted'});
+					expect(event.error).to.be.an('error');
+					expect(hooks.filter(hook => hook.path == '/down' && hook.headers['x-emu-delivery'] == event.id)).to.have.length(2);
+				})
+		);
+
+	});
+
+});
@@ -0,0 +1,117 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var storage = emu.storage.memory();
+var delay = (ms, value) => new Promise(resolve => setTimeout(()=> resolve(value), ms));
+
+describe('express-middleware-upload (async hooks)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/tenants/:tenant/:path?', emu({
+			storage,
+			path: async req => {
+				if (req.params.tenant == 'unknown') throw emu.error('EMU_NOT_FOUND', 'Unknown tenant');
+				return delay(10, `/tenants/${req.params.tenant}`);
+			},
+			list: async req => {
+				await delay(10);
+				if (req.query.token != 'secret') throw 'Invalid token';
+			},
+			get: [
+				async (req, res) => { await delay(10); req.checked = true; },
+				(req, res, next) => req.checked ? next() : res.sendStatus(500),
+			],
+			post: async (req, res) => {
+				if (req.query.teapot) res.status(418).send('Short and stout');
+			},
+			delete: async ()=> {
+				throw new Error('Database unavailable');
+			},
+			postProcessing: async (req, res) => {
+				await delay(10);
+				res.send({stored: req.files.map(file => file.filename)});
+			},
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	it('should resolve an async path and run async post processing', ()=>
+		superagent.post(`${url}/api/tenants/acme`)
+			.attach('file', Buffer.from('Hello'), 'hello.txt')
+			.then(res => {
+				expect(res.body).to.deep.equal({stored: ['hello.txt']});
+				return new Promise((resolve, reject) => storage.stat('/tenants/acme/hello.txt', (err, stat) => err ? reject(err) : resolve(stat)));
+			})
+			.then(stat => expect(stat).to.have.property('size', 5))
+	);
+
+	it('should send errors from async paths', ()=>
+		superagent.get(`${url}/api/tenants/unknown`)
+			.then(()=> expect.fail('Request should have failed'))
+			.catch(err => {
+				expect(err.status).to.equal(404);
+				expect(err.response.body).to.deep.equal({error: 'Unknown tenant', code: 'EMU_NOT_FOUND'});
+			})
+	);
+
+	it('should continue once an async guard resolves', ()=>
+		superagent.get(`${url}/api/tenants/acme?token=secret`)
+			.then(res => expect(res.body.map(file => file.name)).to.deep.equal(['hello.txt']))
+	);
+
+	it('should refuse the request when an async guard rejects', ()=>
+		superagent.get(`${url}/api/tenants/acme`)
+			.then(()=> expect.fail('Request should have failed'))
+			.catch(err => {
+				expect(err.status).to.equal(403);
+				expect(err.response.body).to.deep.equal({error: 'Invalid token', code: 'EMU_FORBIDDEN'});
+			})
+	);
+
+	it('should mix async and callback middleware', ()=>
+		superagent.get(`${url}/api/tenants/acme/hello.txt`)
+			.buffer()
+			.then(res => expect(res.text).to.equal('Hello'))
+	);
+
+	it('should not continue if an async guard has responded', ()=>
+		superagent.post(`${url}/api/tenants/acme?teapot=1`)
+			.attach('file', Buffer.from('Tea'), 'tea.txt')
+			.then(()=> expect.fail('Request should have failed'))
+			.catch(err => {
+				expect(err.status).to.equal(418);
+				return superagent.get(`${url}/api/tenants/acme?token=secret`);
+			})
+			.then(res => expect(res.body.map(file => file.name)).to.deep.equal(['hello.txt']))
+	);
+
+	it('should send other rejections as internal errors', ()=>
+		superagent.delete(`${url}/api/tenants/acme/hello.txt`)
+			.then(()=> expect.fail('Request should have failed'))
+			.catch(err => {
+				expect(err.status).to.equal(500);
+				expect(err.response.body).to.have.property('code', 'EMU_INTERNAL');
+			})
+	);
+
+});
@@ -0,0 +1,107 @@
+var emu = require('..');
+var expect = require('chai').expect;
+var stream = require('stream');
+var temp = require('temp');
+
+describe('express-middleware-upload (programmatic API)', ()=> {
+
+	[
+		{driver: 'disk', path: temp.path({prefix: 'emu-', suffix: '.test.tmp'}), storage: emu.storage.disk()},
+		{driver: 'memory', path: '/instance', storage: emu.storage.memory()},
+	].forEach(mount => describe(mount.driver, ()=> {
+
+		var files = emu.instance({
+			path: mount.path,
+			storage: mount.storage,
+			accept: ['.txt', '.csv'],
+			uploadedBy: req => req.user && req.user.id,
+		});
+
+		it('should list an empty storage area', ()=>
+			files.list()
+				.then(list => expect(list).to.deep.equal([]))
+		);
+
+		it('should write a file from a string', ()=>
+			files.write('reports/2024.csv', 'id,total\n1,100\n', {user: {id: 'cron'}})
+				.then(file => {
+					expect(file).to.have.property('name', 'reports/2024.csv');
+					expect(file).to.have.property('size', 15);
+					expect(file).to.have.property('mimetype', 'text/csv');
+					expect(file).to.have.nested.property('meta.uploadedBy', 'cron');
+				})
+		);
+
+		it('should write a file from a stream', ()=>
+			files.write('notes.txt', stream.Readable.from([Buffer.from('Hello '), Buffer.from('World')]))
+				.then(file => expect(file).to.have.property('size', 11))
+		);
+
+		it('should list files', ()=>
+			files.list('', {depth: 2})
+				.then(list => {
+					expect(list.map(file => file.name)).to.deep.equal(['notes.txt', 'reports', 'reports/2024.csv']);
+					expect(list[0]).to.have.property('checksum');
+				})
+		);
+
+		it('should read a file as a buffer', ()=>
+			files.read('reports/2024.csv')
+				.then(contents => expect(contents.toString()).to.equal('id,total\n1,100\n'))
+		);
+
+		it('should read a file as a stream', ()=>
+			files.read('notes.txt', {stream: true})
+				.then(readStream => new Promise((resolve, reject) => {
+					var chunks = [];
+					readStream
+						.on('data', chunk => chunks.push(chunk))
+						.on('error', reject)
+						.on('end', ()=> resolve(Buffer.concat(chunks).toString()));
+				}))
+				.then(contents => expect(contents).to.equal('Hello World'))
+		);
+
+		it('should validate written files', ()=>
+			files.write('virus.exe', 'MZ')
+				.then(()=> expect.fail('Write should have been rejected'))
+				.catch(err => {
+					expect(err).to.have.property('code', 'EMU_REJECTED');
+					expect(err).to.have.property('status', 415);
+				})
+		);
+
+		it('should refuse unsafe paths', ()=>
+			files.read('../../etc/passwd')
+				.then(()=> expect.fail('Read should have been refused'))
+				.catch(err => expect(err).to.have.property('code', 'EMU_FORBIDDEN_PATH'))
+		);
+
+		it('should move a file', ()=>
+			files.move('notes.txt', 'archive/notes.txt')
+				.then(file => {
+					expect(file).to.have.property('name', 'archive/notes.txt');
+					return files.read('notes.txt');
+				})
+				.then(()=> expect.fail('Original file should no longer exist'))
+				.catch(err => expect(err).to.have.property('code', 'EMU_NOT_FOUND'))
+		);
+
+		it('should refuse to remove a non-empty directory unless recursive', ()=>
+			files.remove('archive')
+				.then(()=> expect.fail('Remove should have been refused'))
+				.catch(err => {
+					expect(err).to.have.property('code', 'EMU_NOT_EMPTY');
+					return files.remove('archive', {recursive: true});
+				})
+				.then(()=> files.list())
+				.then(list => expect(list.map(file => file.name)).to.deep.equal(['reports']))
+		);
+
+	}));
+
+	it('should require a static path', ()=>
+		expect(()=> emu.instance({path: (req, res, next) => next(null, '/tmp')})).to.throw()
+	);
+
+});
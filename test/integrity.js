@@ -0,0 +1,267 @@
+var bodyParser = require('body-parser');
+var crypto = require('crypto');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var fs = require('fs');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var poem = fs.readFileSync(__dirname + '/data/jabberwocky.txt');
+var digest = (algorithm, encoding) => crypto.createHash(algorithm).update(poem).digest(encoding);
+var dedupeStorage = emu.storage.memory();
+
+describe('express-middleware-upload (integrity + deduplication)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', emu({
+			path: temp.path({prefix: 'emu-', suffix: '.test.tmp'}),
+		}));
+
+		app.use('/api/md5/:path?', emu({
+			path: '/uploads',
+			storage: emu.storage.memory(),
+			hash: 'md5',
+		}));
+
+		app.use('/api/dedupe/:path?', emu({
+			path: '/uploads',
+			storage: dedupeStorage,
+			dedupe: true,
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	describe('checksums', ()=> {
+
+		it('should expose the checksum in listings', done => {
+			superagent.post(`${url}/api/files`)
+				.attach('file', __dirname + '/data/jabberwocky.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.files[0]).to.have.property('checksum', digest('sha256', 'hex'));
+
+					superagent.get(`${url}/api/files`)
+						.end(function(err, res) {
+							expect(err).to.not.be.ok;
+							expect(res.body[0]).to.have.property('checksum', digest('sha256', 'hex'));
+							done();
+						});
+				});
+		});
+
+		it('should use the checksum as the ETag', done => {
+			superagent.get(`${url}/api/files/jabberwocky.txt`)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.headers).to.have.property('etag', `"${digest('sha256', 'hex')}"`);
+
+					superagent.get(`${url}/api/files/jabberwocky.txt`)
+						.set('If-None-Match', `"${digest('sha256', 'hex')}"`)
+						.end(function(err, res) {
+							expect(res.status).to.equal(304);
+							done();
+						});
+				});
+		});
+
+		it('should support other hash algorithms', done => {
+			superagent.post(`${url}/api/md5`)
+				.attach('file', __dirname + '/data/jabberwocky.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.files[0]).to.have.property('checksum', digest('md5', 'hex'));
+					done();
+				});
+		});
+
+	});
+
+	describe('client supplied digests', ()=> {
+
+		it('should accept a matching Content-Digest', done => {
+			superagent.post(`${url}/api/files`)
+				.set('Content-Digest', `sha-256=:${digest('sha256', 'base64')}:`)
+				.attach('file', __dirname + '/data/jabberwocky.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.equal(200);
+					done();
+				});
+		});
+
+		it('should accept a matching Content-MD5', done => {
+			superagent.post(`${url}/api/files`)
+				.set('Content-MD5', digest('md5', 'base64'))
+				.attach('file', __dirname + '/data/jabberwocky.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.equal(200);
+					done();
+				});
+		});
+
+		it('should reject a mismatched Content-Digest', done => {
+			superagent.post(`${url}/api/files`)
+				.set('Content-Digest', `sha-512=:${crypto.createHash('sha512').update('something else').digest('base64')}:`)
+				.attach('file', __dirname + '/data/jabberwocky.txt', 'corrupt.txt')
+				.end(function(err, res) {
+					expect(err).to.be.ok;
+					expect(res.status).to.equal(400);
+					expect(res.body.files[0]).to.have.property('name', 'corrupt.txt');
+
+					superagent.get(`${url}/api/files/corrupt.txt`)
+						.end(function(err, res) {
+							expect(res.status).to.equal(404);
+							done();
+						});
+				});
+		});
+
+		it('should reject a mismatched Content-MD5', done => {
+			superagent.post(`${url}/api/files`)
+				.set('Content-MD5', crypto.createHash('md5').update('something else').digest('base64'))
+				.attach('file', __dirname + '/data/jabberwocky.txt')
+				.end(function(err, res) {
+					expect(err).to.be.ok;
+					expect(res.status).to.equal(400);
+					done();
+				});
+		});
+
+		it('should reject a malformed Content-Digest', done => {
+			superagent.post(`${url}/api/files`)
+				.set('Content-Digest', 'sha-256=nonsense')
+				.attach('file', __dirname + '/data/jabberwocky.txt')
+				.end(function(err, res) {
+					expect(err).to.be.ok;
+					expect(res.status).to.equal(400);
+					done();
+				});
+		});
+
+	});
+
+	describe('deduplication', ()=> {
+
+		var blobPath = '/uploads/.emu/blobs/sha256/' + digest('sha256', 'hex').substr(0, 2) + '/' + digest('sha256', 'hex');
+		var blobs = cb => dedupeStorage.list('/uploads/.emu/blobs/sha256/' + digest('sha256', 'hex').substr(0, 2), (err, files) => cb(err ? [] : files.filter(f => !f.name.endsWith('.json'))));
+
+		it('should store identical uploads once', done => {
+			superagent.post(`${url}/api/dedupe`)
+				.attach('file', poem, 'first.txt')
+				.attach('file', poem, 'second.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.files.map(f => f.size)).to.deep.equal([965, 965]);
+
+					blobs(files => {
+						expect(files).to.have.length(1);
+						expect(files[0]).to.have.property('size', 965);
+						done();
+					});
+				});
+		});
+
+		it('should list and read deduplicated files', done => {
+			superagent.get(`${url}/api/dedupe`)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.map(f => [f.name, f.size])).to.deep.equal([['first.txt', 965], ['second.txt', 965]]);
+
+					superagent.get(`${url}/api/dedupe/second.txt`)
+						.end(function(err, res) {
+							expect(err).to.not.be.ok;
+							expect(res.text).to.equal(poem.toString());
+							done();
+						});
+				});
+		});
+
+		it('should keep the blob until the last reference is deleted', done => {
+			superagent.delete(`${url}/api/dedupe/first.txt`)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+
+					blobs(files => {
+						expect(files).to.have.length(1);
+
+						superagent.get(`${url}/api/dedupe/second.txt`)
+							.end(function(err, res) {
+								expect(err).to.not.be.ok;
+								expect(res.text).to.have.length(965);
+
+								superagent.delete(`${url}/api/dedupe/second.txt`)
+									.end(function(err, res) {
+										expect(err).to.not.be.ok;
+
+										blobs(files => {
+											expect(files).to.have.length(0);
+											done();
+										});
+									});
+							});
+					});
+				});
+		});
+
+		it('should release the blob of an overwritten file', done => {
+			superagent.post(`${url}/api/dedupe`)
+				.attach('file', poem, 'poem.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+
+					superagent.post(`${url}/api/dedupe`)
+						.attach('file', Buffer.from('Twas brillig'), 'poem.txt')
+						.end(function(err, res) {
+							expect(err).to.not.be.ok;
+
+							blobs(files => {
+								expect(files).to.have.length(0);
+
+								superagent.get(`${url}/api/dedupe/poem.txt`)
+									.end(function(err, res) {
+										expect(err).to.not.be.ok;
+										expect(res.text).to.equal('Twas brillig');
+										done();
+									});
+							});
+						});
+				});
+		});
+
+		it('should count concurrent identical uploads', ()=> {
+			var names = [1, 2, 3, 4, 5].map(index => `copy-${index}.txt`);
+			return Promise.all(names.map(name => superagent.post(`${url}/api/dedupe`).attach('file', poem, name)))
+				.then(()=> new Promise(resolve => dedupeStorage.createReadStream(blobPath + '.json').on('data', data => resolve(JSON.parse(data)))))
+				.then(refs => expect(refs).to.have.property('count', 5))
+				.then(()=> Promise.all(names.slice(0, 4).map(name => superagent.delete(`${url}/api/dedupe/${name}`))))
+				.then(()=> superagent.get(`${url}/api/dedupe/copy-5.txt`).buffer())
+				.then(res => {
+					expect(res.text).to.equal(poem.toString());
+					return superagent.delete(`${url}/api/dedupe/copy-5.txt`);
+				})
+				.then(()=> new Promise(resolve => blobs(resolve)))
+				.then(files => expect(files).to.have.length(0));
+		});
+
+	});
+
+});
@@ -3,6 +3,8 @@ var emu = require('..');
 var expect = require('chai').expect;
 var express = require('express');
 var expressLogger = require('express-log-url');
+var fs = require('fs');
+var mkdirp = require('mkdirp');
 var mlog = require('mocha-logger');
 var superagent = require('superagent');
 var temp = require('temp');
@@ -11,6 +13,7 @@ var app = express();
 var server;
 var port = 8181;
 var url = 'http://localhost:' + port;
+var tempPath = temp.path({prefix: 'emu-', suffix: '.test.tmp'});
 
 describe('express-middleware-upload (file listings)', ()=> {
 
@@ -25,6 +28,18 @@ describe('express-middleware-upload (file listings)', ()=> {
 			delete: false,
 		}));
 
+		// Create a nested directory structure to browse
+		mkdirp.sync(`${tempPath}/photos/2018`);
+		mkdirp.sync(`${tempPath}/docs`);
+		fs.writeFileSync(`${tempPath}/readme.txt`, 'a');
+		fs.writeFileSync(`${tempPath}/photos/cat.jpg`, 'abc');
+		fs.writeFileSync(`${tempPath}/photos/2018/dog.png`, 'abcdef');
+		fs.writeFileSync(`${tempPath}/docs/report.pdf`, 'abcd');
+
+		app.use('/api/tree/:path?', emu({
+			path: tempPath,
+		}));
+
 		server = app.listen(port, null, function(err) {
 			if (err) return finish(err);
 			mlog.log('Server listening on ' + url);
@@ -92,4 +107,130 @@ describe('express-middleware-upload (file listings)', ()=> {
 			});
 	});
 
+	describe('nested directories', ()=> {
+
+		it('should distinguish files from directories', done => {
+			superagent.get(url + '/api/tree')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.headers).to.have.property('x-total-count', '3');
+					expect(res.body.map(f => [f.name, f.type])).to.deep.equal([
+						['docs', 'directory'],
+						['photos', 'directory'],
+						['readme.txt', 'file'],
+					]);
+					done();
+				});
+		});
+
+		it('should list recursively', done => {
+			superagent.get(url + '/api/tree')
+				.query({depth: 3})
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.map(f => f.name)).to.deep.equal([
+						'docs',
+						'docs/report.pdf',
+						'photos',
+						'photos/2018',
+						'photos/2018/dog.png',
+						'photos/cat.jpg',
+						'readme.txt',
+					]);
+					done();
+				});
+		});
+
+		it('should limit recursion depth', done => {
+			superagent.get(url + '/api/tree')
+				.query({depth: 2})
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.map(f => f.name)).to.not.include('photos/2018/dog.png');
+					expect(res.body.map(f => f.name)).to.include('photos/2018');
+					done();
+				});
+		});
+
+		it('should list a subdirectory', done => {
+			superagent.get(url + '/api/tree/photos')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.map(f => f.name)).to.deep.equal(['2018', 'cat.jpg']);
+					done();
+				});
+		});
+
+		it('should sort by size', done => {
+			superagent.get(url + '/api/tree')
+				.query({depth: 3, type: 'file', sort: '-size'})
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.map(f => f.size)).to.deep.equal([6, 4, 3, 1]);
+					done();
+				});
+		});
+
+		it('should filter by glob', done => {
+			superagent.get(url + '/api/tree')
+				.query({depth: 3, glob: 'photos/**/*.*'})
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.map(f => f.name)).to.deep.equal(['photos/2018/dog.png', 'photos/cat.jpg']);
+					done();
+				});
+		});
+
+		it('should filter by extension', done => {
+			superagent.get(url + '/api/tree')
+				.query({depth: 3, ext: 'pdf,txt'})
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.map(f => f.name)).to.deep.equal(['docs/report.pdf', 'readme.txt']);
+					done();
+				});
+		});
+
+		it('should paginate with offset + limit', done => {
+			superagent.get(url + '/api/tree')
+				.query({depth: 3, offset: 2, limit: 2})
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.headers).to.have.property('x-total-count', '7');
+					expect(res.body.map(f => f.name)).to.deep.equal(['photos', 'photos/2018']);
+					done();
+				});
+		});
+
+		it('should paginate with cursors', done => {
+			superagent.get(url + '/api/tree')
+				.query({depth: 3, limit: 4})
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body).to.have.length(4);
+					expect(res.headers).to.have.property('x-next-cursor');
+
+					superagent.get(url + '/api/tree')
+						.query({depth: 3, limit: 4, cursor: res.headers['x-next-cursor']})
+						.end(function(err, res) {
+							expect(err).to.not.be.ok;
+							expect(res.body.map(f => f.name)).to.deep.equal(['photos/2018/dog.png', 'photos/cat.jpg', 'readme.txt']);
+							expect(res.headers).to.not.have.property('x-next-cursor');
+							done();
+						});
+				});
+		});
+
+		it('should reject invalid listing parameters', done => {
+			superagent.get(url + '/api/tree')
+				.query({sort: 'colour'})
+				.end(function(err, res) {
+					expect(err).to.be.ok;
+					expect(res.status).to.be.equal(400);
+					done();
+				});
+		});
+
+	});
+
 });
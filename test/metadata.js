@@ -0,0 +1,151 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var mounts = {
+	disk: {path: temp.path({prefix: 'emu-', suffix: '.test.tmp'}), storage: emu.storage.disk()},
+	memory: {path: '/uploads', storage: emu.storage.memory()},
+};
+
+describe('express-middleware-upload (metadata)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use((req, res, next) => { // Fake an authenticated user
+			req.user = {id: 'user-123'};
+			next();
+		});
+
+		Object.keys(mounts).forEach(driver => {
+			app.use(`/api/${driver}/:path?`, emu(Object.assign({}, mounts[driver])));
+		});
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	['disk', 'memory'].forEach(driver => {
+
+		it(`should store metadata on upload (${driver})`, done => {
+			superagent.post(`${url}/api/${driver}`)
+				.attach('file', __dirname + '/data/jabberwocky.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body.files[0]).to.have.property('meta');
+					expect(res.body.files[0].meta).to.have.property('originalname', 'jabberwocky.txt');
+					expect(res.body.files[0].meta).to.have.property('uploadedBy', 'user-123');
+					done();
+				});
+		});
+
+		it(`should return metadata in listings (${driver})`, done => {
+			superagent.get(`${url}/api/${driver}`)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body).to.have.length(1);
+					expect(res.body[0]).to.have.property('meta');
+					expect(res.body[0].meta).to.have.property('originalname', 'jabberwocky.txt');
+					expect(res.body[0].meta).to.have.property('mimetype', 'text/plain');
+					expect(res.body[0].meta).to.have.property('uploadedBy', 'user-123');
+					expect(res.body[0].meta).to.have.property('uploaded');
+					expect(res.body[0].meta).to.have.property('custom');
+					expect(res.body[0].meta.custom).to.deep.equal({});
+					done();
+				});
+		});
+
+		it(`should update custom metadata (${driver})`, done => {
+			superagent.patch(`${url}/api/${driver}/jabberwocky.txt`)
+				.send({description: 'A nonsense poem', author: 'Lewis Carroll'})
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.body).to.have.property('name', 'jabberwocky.txt');
+					expect(res.body.meta.custom).to.deep.equal({description: 'A nonsense poem', author: 'Lewis Carroll'});
+
+					superagent.patch(`${url}/api/${driver}/jabberwocky.txt`)
+						.send({author: null})
+						.end(function(err, res) {
+							expect(err).to.not.be.ok;
+							expect(res.body.meta.custom).to.deep.equal({description: 'A nonsense poem'});
+							expect(res.body.meta).to.have.property('uploadedBy', 'user-123');
+							done();
+						});
+				});
+		});
+
+		it(`should reject invalid metadata updates (${driver})`, done => {
+			superagent.patch(`${url}/api/${driver}/jabberwocky.txt`)
+				.send([1, 2, 3])
+				.end(function(err, res) {
+					expect(err).to.be.ok;
+					expect(res.status).to.equal(400);
+
+					superagent.patch(`${url}/api/${driver}/nonexistant.txt`)
+						.send({description: 'Nothing'})
+						.end(function(err, res) {
+							expect(err).to.be.ok;
+							expect(res.status).to.equal(404);
+							done();
+						});
+				});
+		});
+
+		it(`should carry metadata over when moving (${driver})`, done => {
+			superagent('MOVE', `${url}/api/${driver}/jabberwocky.txt`)
+				.set('Destination', 'poem.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+
+					superagent.get(`${url}/api/${driver}`)
+						.end(function(err, res) {
+							expect(err).to.not.be.ok;
+							expect(res.body).to.have.length(1);
+							expect(res.body[0]).to.have.property('name', 'poem.txt');
+							expect(res.body[0].meta).to.have.property('originalname', 'jabberwocky.txt');
+							expect(res.body[0].meta.custom).to.deep.equal({description: 'A nonsense poem'});
+							done();
+						});
+				});
+		});
+
+		it(`should return the full path when updating metadata in a subdirectory (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}/poem.txt`)
+				.set('Destination', 'poems/poem.txt')
+				.then(()=> superagent.patch(`${url}/api/${driver}/poems/poem.txt`).send({author: 'Lewis Carroll'}))
+				.then(res => expect(res.body).to.have.property('name', 'poems/poem.txt'))
+				.then(()=> superagent('MOVE', `${url}/api/${driver}/poems/poem.txt`).set('Destination', 'poem.txt'))
+		);
+
+		it(`should remove metadata when deleting (${driver})`, done => {
+			superagent.delete(`${url}/api/${driver}/poem.txt`)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+
+					mounts[driver].storage.stat(`${mounts[driver].path}/.emu/meta/poem.txt.json`, function(err) {
+						expect(err).to.be.ok;
+						expect(err).to.have.property('code', 'ENOENT');
+						done();
+					});
+				});
+		});
+
+	});
+
+});
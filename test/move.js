@@ -0,0 +1,217 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var mounts = {
+	disk: {path: temp.path({prefix: 'emu-', suffix: '.test.tmp'}), storage: emu.storage.disk()},
+	memory: {path: '/uploads', storage: emu.storage.memory()},
+};
+
+describe('express-middleware-upload (move + copy)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		Object.keys(mounts).forEach(driver => {
+			app.use(`/api/${driver}/:path?`, emu(Object.assign({}, mounts[driver])));
+		});
+
+		app.use('/api/guarded/:path?', emu({
+			path: '/guarded',
+			storage: emu.storage.memory(),
+			move: false,
+			copy: (req, res) => res.sendStatus(401),
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	['disk', 'memory'].forEach(driver => {
+
+		it(`should upload test files (${driver})`, ()=>
+			superagent.post(`${url}/api/${driver}`)
+				.attach('file', Buffer.from('Apple'), 'a.txt')
+				.attach('file', Buffer.from('Banana'), 'b.txt')
+				.then(res => expect(res.body.files).to.have.length(2))
+		);
+
+		it(`should move a file into a new subdirectory (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}/a.txt`)
+				.set('Destination', 'fruit/apple.txt')
+				.then(res => {
+					expect(res.status).to.equal(200);
+					expect(res.body).to.have.property('name', 'fruit/apple.txt');
+					expect(res.body).to.have.property('size', 5);
+					return superagent.get(`${url}/api/${driver}/fruit/apple.txt`).buffer();
+				})
+				.then(res => {
+					expect(res.text).to.equal('Apple');
+					return superagent.get(`${url}/api/${driver}/a.txt`);
+				})
+				.then(()=> expect.fail('Original file should no longer exist'))
+				.catch(err => expect(err.status).to.equal(404))
+		);
+
+		it(`should copy a file (${driver})`, ()=>
+			superagent('COPY', `${url}/api/${driver}/b.txt`)
+				.set('Destination', '/fruit/banana.txt')
+				.then(res => {
+					expect(res.status).to.equal(200);
+					expect(res.body).to.have.property('name', 'fruit/banana.txt');
+					return superagent.get(`${url}/api/${driver}/fruit/banana.txt`).buffer();
+				})
+				.then(res => {
+					expect(res.text).to.equal('Banana');
+					return superagent.get(`${url}/api/${driver}/b.txt`).buffer();
+				})
+				.then(res => expect(res.text).to.equal('Banana'))
+		);
+
+		it(`should carry over metadata when copying (${driver})`, ()=>
+			superagent.get(`${url}/api/${driver}/fruit`)
+				.then(res => {
+					var banana = res.body.find(file => file.name == 'banana.txt');
+					expect(banana).to.have.nested.property('meta.originalname', 'b.txt');
+				})
+		);
+
+		it(`should refuse to overwrite with Overwrite: F (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}/b.txt`)
+				.set('Destination', 'fruit/apple.txt')
+				.set('Overwrite', 'F')
+				.then(()=> expect.fail('Move should have been rejected'))
+				.catch(err => expect(err.status).to.equal(412))
+		);
+
+		it(`should overwrite with Overwrite: T (${driver})`, ()=>
+			superagent('COPY', `${url}/api/${driver}/b.txt`)
+				.set('Destination', 'fruit/apple.txt')
+				.set('Overwrite', 'T')
+				.then(res => {
+					expect(res.body).to.have.property('size', 6);
+					return superagent.get(`${url}/api/${driver}/fruit/apple.txt`).buffer();
+				})
+				.then(res => expect(res.text).to.equal('Banana'))
+		);
+
+		it(`should move a directory along with its contents (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}/fruit`)
+				.set('Destination', 'food/fruit')
+				.then(res => {
+					expect(res.body).to.have.property('name', 'food/fruit');
+					expect(res.body).to.have.property('type', 'directory');
+					return superagent.get(`${url}/api/${driver}/food/fruit`);
+				})
+				.then(res => expect(res.body.map(file => file.name).sort()).to.deep.equal(['apple.txt', 'banana.txt']))
+		);
+
+		it(`should refuse to move a directory inside itself (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}/food`)
+				.set('Destination', 'food/fruit/food')
+				.then(()=> expect.fail('Move should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it(`should refuse to move the root directory (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}`)
+				.set('Destination', 'elsewhere')
+				.then(()=> expect.fail('Move should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it(`should refuse destinations outside of the storage directory (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}/b.txt`)
+				.set('Destination', '../../b.txt')
+				.then(()=> expect.fail('Move should have been rejected'))
+				.catch(err => {
+					expect(err.status).to.equal(403);
+					return superagent('COPY', `${url}/api/${driver}/b.txt`).set('Destination', '.emu/b.txt');
+				})
+				.then(()=> expect.fail('Copy should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it(`should refuse URL and mount point destinations (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}/b.txt`)
+				.set('Destination', `/api/${driver}/new.txt`)
+				.then(()=> expect.fail('Move should have been rejected'))
+				.catch(err => {
+					expect(err.status).to.equal(400);
+					expect(err.response.body).to.have.property('code', 'EMU_INVALID_HEADER');
+					return superagent('COPY', `${url}/api/${driver}/b.txt`).set('Destination', `${url}/api/${driver}/new.txt`);
+				})
+				.then(()=> expect.fail('Copy should have been rejected'))
+				.catch(err => {
+					expect(err.status).to.equal(400);
+					expect(err.response.body).to.have.property('code', 'EMU_INVALID_HEADER');
+					return superagent.get(`${url}/api/${driver}`);
+				})
+				.then(res => expect(res.body.map(file => file.name)).to.not.include('api'))
+		);
+
+		it(`should 404 when moving a missing file (${driver})`, ()=>
+			superagent('MOVE', `${url}/api/${driver}/nonexistant.txt`)
+				.set('Destination', 'other.txt')
+				.then(()=> expect.fail('Move should have failed'))
+				.catch(err => expect(err.status).to.equal(404))
+		);
+
+	});
+
+	describe('conflicts', ()=> {
+
+		before('setup server', ()=> {
+			app.use('/api/reject/:path?', emu({
+				path: '/reject',
+				storage: emu.storage.memory(),
+				onConflict: 'reject',
+			}));
+		});
+
+		it('should refuse to replace an existing file when onConflict is reject', ()=>
+			superagent.post(`${url}/api/reject`)
+				.attach('file', Buffer.from('Apple'), 'a.txt')
+				.attach('file', Buffer.from('Banana'), 'b.txt')
+				.then(()=> superagent('MOVE', `${url}/api/reject/a.txt`).set('Destination', 'b.txt'))
+				.then(()=> expect.fail('Move should have been rejected'))
+				.catch(err => expect(err.status).to.equal(409))
+		);
+
+	});
+
+	describe('guards', ()=> {
+
+		it('should use the move middleware', ()=>
+			superagent('MOVE', `${url}/api/guarded/a.txt`)
+				.set('Destination', 'b.txt')
+				.then(()=> expect.fail('Move should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should use the copy middleware', ()=>
+			superagent('COPY', `${url}/api/guarded/a.txt`)
+				.set('Destination', 'b.txt')
+				.then(()=> expect.fail('Copy should have been rejected'))
+				.catch(err => expect(err.status).to.equal(401))
+		);
+
+	});
+
+});
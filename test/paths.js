@@ -0,0 +1,150 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var fs = require('fs');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var storagePath = temp.path({prefix: 'emu-', suffix: '.test.tmp'});
+var outsidePath = temp.path({prefix: 'emu-outside-', suffix: '.test.tmp'});
+
+describe('express-middleware-upload (hostile paths)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', emu({
+			path: storagePath,
+		}));
+
+		app.use('/api/param/:path?', emu({
+			path: storagePath,
+			postPath: 'param',
+		}));
+
+		app.use('/api/dotfiles/:path?', emu({
+			path: '/dotfiles',
+			storage: emu.storage.memory(),
+			dotfiles: true,
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	before('create a symlink out of the storage directory', ()=> {
+		fs.mkdirSync(storagePath, {recursive: true});
+		fs.mkdirSync(outsidePath, {recursive: true});
+		fs.writeFileSync(`${outsidePath}/secret.txt`, 'Top secret');
+		fs.symlinkSync(outsidePath, `${storagePath}/escape`);
+		fs.writeFileSync(`${storagePath}/.hidden`, 'Hidden');
+	});
+
+	after(()=> server.close());
+
+	describe('reading', ()=> {
+
+		[
+			{title: 'encoded traversal', path: '..%2f..%2fetc%2fpasswd', status: 403},
+			{title: 'dot-encoded traversal', path: '%2e%2e/%2e%2e/etc/passwd', status: 403},
+			{title: 'backslash traversal', path: '..%5c..%5cetc%5cpasswd', status: 403},
+			{title: 'null bytes', path: 'jabberwocky.txt%00.png', status: 400},
+			{title: 'control characters', path: 'foo%0abar.txt', status: 400},
+			{title: 'the internal directory', path: '.emu/meta', status: 403},
+			{title: 'hidden files', path: '.hidden', status: 403},
+			{title: 'symlinks out of the storage directory', path: 'escape/secret.txt', status: 403},
+			{title: 'reserved names', path: 'NUL.txt', status: 400},
+			{title: 'overly long paths', path: 'a'.repeat(300), status: 414},
+		].forEach(test =>
+			it(`should refuse ${test.title}`, ()=>
+				superagent.get(`${url}/api/files/${test.path}`)
+					.then(()=> expect.fail('Request should have been refused'))
+					.catch(err => expect(err.status).to.equal(test.status))
+			)
+		);
+
+		it('should not list hidden files', ()=>
+			superagent.get(`${url}/api/files`)
+				.then(res => expect(res.body.map(file => file.name)).to.not.include('.hidden'))
+		);
+
+		it('should refuse to delete via traversal', ()=>
+			superagent.delete(`${url}/api/files/..%2f..%2ftmp`)
+				.then(()=> expect.fail('Request should have been refused'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+	});
+
+	describe('uploading', ()=> {
+
+		it('should accept the hideous fixture', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', `${__dirname}/data/hideous#file name😒.txt`)
+				.then(res => expect(res.body.files[0]).to.have.property('originalname', 'hideous#file name😒.txt'))
+		);
+
+		[
+			{title: 'reserved names', name: 'CON.txt', status: 400},
+			{title: 'names ending in a dot', name: 'invoice.pdf.', status: 400},
+			{title: 'names ending in a space', name: 'invoice.pdf ', status: 400},
+			{title: 'hidden files', name: '.htaccess', status: 403},
+			{title: 'overly long names', name: 'a'.repeat(256) + '.txt', status: 414},
+		].forEach(test =>
+			it(`should reject ${test.title}`, ()=>
+				superagent.post(`${url}/api/files`)
+					.attach('file', Buffer.from('Evil'), test.name)
+					.then(()=> expect.fail('Upload should have been rejected'))
+					.catch(err => {
+						expect(err.status).to.equal(test.status);
+						expect(err.response.body.files[0]).to.have.property('name', test.name);
+					})
+			)
+		);
+
+		it('should refuse traversal via the path parameter', ()=>
+			superagent.post(`${url}/api/param/..%2f..%2fevil.txt`)
+				.attach('file', Buffer.from('Evil'), 'evil.txt')
+				.then(()=> expect.fail('Upload should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should refuse uploads through a symlink out of the storage directory', ()=>
+			superagent.post(`${url}/api/param/escape%2fevil.txt`)
+				.attach('file', Buffer.from('Evil'), 'evil.txt')
+				.then(()=> expect.fail('Upload should have been rejected'))
+				.catch(err => {
+					expect(err.status).to.equal(403);
+					expect(fs.existsSync(`${outsidePath}/evil.txt`)).to.be.false;
+				})
+		);
+
+		it('should normalise Unicode filenames', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('Coffee'), 'cafe\u0301.txt') // Decomposed (NFD) form
+				.then(()=> superagent.get(`${url}/api/files/${encodeURIComponent('caf\u00e9.txt')}`).buffer()) // Composed (NFC) form
+				.then(res => expect(res.text).to.equal('Coffee'))
+		);
+
+		it('should allow hidden files when enabled', ()=>
+			superagent.post(`${url}/api/dotfiles`)
+				.attach('file', Buffer.from('Options -Indexes'), '.htaccess')
+				.then(()=> superagent.get(`${url}/api/dotfiles`))
+				.then(res => expect(res.body.map(file => file.name)).to.include('.htaccess'))
+		);
+
+	});
+
+});
@@ -0,0 +1,162 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+
+describe('express-middleware-upload (quotas)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', emu({
+			path: '/files',
+			storage: emu.storage.memory(),
+			quota: {bytes: 20, files: 3},
+			delete: true,
+		}));
+
+		app.use('/api/tenants/:tenant/:path?', emu({
+			path: async req => `/tenants/${req.params.tenant}`,
+			storage: emu.storage.memory(),
+			quota: req => req.params.tenant == 'premium' ? 100 : 10,
+		}));
+
+		app.use('/api/callback/:path?', emu({
+			path: '/callback',
+			storage: emu.storage.memory(),
+			quota: (req, callback) => setImmediate(()=> callback(null, {bytes: 5})),
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	describe('static quotas', ()=> {
+
+		it('should report the usage of an empty storage area', ()=>
+			superagent.get(`${url}/api/files?usage`)
+				.then(res => expect(res.body).to.deep.equal({
+					used: {bytes: 0, files: 0},
+					limit: {bytes: 20, files: 3},
+					remaining: {bytes: 20, files: 3},
+				}))
+		);
+
+		it('should accept uploads within the quota', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('0123456789'), 'ten.txt')
+				.then(()=> superagent.get(`${url}/api/files?usage`))
+				.then(res => expect(res.body).to.have.deep.property('remaining', {bytes: 10, files: 2}))
+		);
+
+		it('should not count overwritten files twice', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('01234'), 'ten.txt')
+				.then(()=> superagent.get(`${url}/api/files?usage`))
+				.then(res => expect(res.body).to.have.deep.property('used', {bytes: 5, files: 1}))
+		);
+
+		it('should refuse uploads which exceed the remaining quota with 507', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('0123456789ABCDEF'), 'sixteen.txt')
+				.then(()=> expect.fail('Upload should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(507);
+					expect(err.response.body).to.have.property('code', 'EMU_QUOTA_EXCEEDED');
+					expect(err.response.body).to.have.nested.property('quota.remaining.bytes', 15);
+				})
+		);
+
+		it('should refuse uploads larger than the whole quota with 413', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.alloc(1024 * 64), 'large.bin')
+				.then(()=> expect.fail('Upload should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(413);
+					expect(err.response.body).to.have.property('code', 'EMU_QUOTA_EXCEEDED');
+				})
+		);
+
+		it('should limit the number of files', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('a'), 'a.txt')
+				.attach('file', Buffer.from('b'), 'b.txt')
+				.attach('file', Buffer.from('c'), 'c.txt')
+				.then(()=> expect.fail('Upload should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(507);
+					expect(err.response.body).to.have.nested.property('quota.remaining.files', 2);
+					return superagent.get(`${url}/api/files`);
+				})
+				.then(res => expect(res.body.map(file => file.name)).to.deep.equal(['ten.txt']))
+		);
+
+		it('should free quota when files are deleted', ()=>
+			superagent.delete(`${url}/api/files/ten.txt`)
+				.then(()=> superagent.get(`${url}/api/files?usage`))
+				.then(res => expect(res.body).to.have.deep.property('used', {bytes: 0, files: 0}))
+		);
+
+		it('should count copied files', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('0123456789'), 'ten.txt')
+				.then(()=> superagent('COPY', `${url}/api/files/ten.txt`).set('Destination', 'copy.txt'))
+				.then(()=> superagent.get(`${url}/api/files?usage`))
+				.then(res => expect(res.body).to.have.deep.property('used', {bytes: 20, files: 2}))
+				.then(()=> superagent('COPY', `${url}/api/files/ten.txt`).set('Destination', 'another.txt'))
+				.then(()=> expect.fail('Copy should have been refused'))
+				.catch(err => expect(err.status).to.equal(507))
+		);
+
+	});
+
+	describe('dynamic quotas', ()=> {
+
+		it('should apply the quota for each request', ()=>
+			superagent.post(`${url}/api/tenants/premium`)
+				.attach('file', Buffer.from('Hello World'), 'hello.txt')
+				.then(()=> superagent.post(`${url}/api/tenants/free`).attach('file', Buffer.from('Hello World'), 'hello.txt'))
+				.then(()=> expect.fail('Upload should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(413);
+					expect(err.response.body).to.have.deep.nested.property('quota.limit', {bytes: 10, files: null});
+				})
+		);
+
+		it('should report usage for each storage area', ()=>
+			superagent.get(`${url}/api/tenants/premium?usage`)
+				.then(res => expect(res.body).to.deep.equal({
+					used: {bytes: 11, files: 1},
+					limit: {bytes: 100, files: null},
+					remaining: {bytes: 89, files: null},
+				}))
+		);
+
+		it('should accept quota functions which use a callback', ()=>
+			superagent.post(`${url}/api/callback`)
+				.attach('file', Buffer.from('Hello World'), 'hello.txt')
+				.then(()=> expect.fail('Upload should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(413);
+					expect(err.response.body).to.have.deep.nested.property('quota.limit', {bytes: 5, files: null});
+				})
+		);
+
+	});
+
+});
@@ -0,0 +1,193 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var fs = require('fs');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var tempPath = temp.path({prefix: 'emu-', suffix: '.test.tmp'});
+var data = fs.readFileSync(__dirname + '/data/jabberwocky.txt');
+
+/**
+* Superagent parser which simply buffers the raw response body
+*/
+var rawParser = function(res, cb) {
+	var chunks = [];
+	res.on('data', chunk => chunks.push(chunk));
+	res.on('end', ()=> cb(null, Buffer.concat(chunks)));
+};
+
+describe('express-middleware-upload (file reads)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/disk/:path?', emu({
+			path: tempPath,
+			cacheControl: 'private, max-age=3600',
+		}));
+
+		app.use('/api/memory/:path?', emu({
+			path: '/files',
+			storage: emu.storage.memory(),
+			cacheControl: (req, file) => 'private, max-age=3600',
+			disposition: (req, file) => 'inline',
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	['disk', 'memory'].forEach(driver => {
+
+		describe(`${driver} storage`, ()=> {
+
+			var etag;
+			var lastModified;
+
+			before('upload a file', done => {
+				superagent.post(`${url}/api/${driver}`)
+					.attach('file', __dirname + '/data/jabberwocky.txt')
+					.end(done);
+			});
+
+			it('should send caching headers', done => {
+				superagent.get(`${url}/api/${driver}/jabberwocky.txt`)
+					.end(function(err, res) {
+						expect(err).to.not.be.ok;
+						expect(res.status).to.be.equal(200);
+						expect(res.text).to.equal(data.toString());
+						expect(res.headers).to.have.property('etag');
+						expect(res.headers).to.have.property('last-modified');
+						expect(res.headers).to.have.property('accept-ranges', 'bytes');
+						expect(res.headers).to.have.property('cache-control', 'private, max-age=3600');
+						expect(res.headers).to.have.property('content-disposition', 'inline; filename="jabberwocky.txt"');
+						etag = res.headers.etag;
+						lastModified = res.headers['last-modified'];
+						done();
+					});
+			});
+
+			it('should respond with 304 when the ETag matches', done => {
+				superagent.get(`${url}/api/${driver}/jabberwocky.txt`)
+					.set('If-None-Match', etag)
+					.end(function(err, res) {
+						expect(res.status).to.be.equal(304);
+						done();
+					});
+			});
+
+			it('should respond with 304 when not modified since', done => {
+				superagent.get(`${url}/api/${driver}/jabberwocky.txt`)
+					.set('If-Modified-Since', lastModified)
+					.end(function(err, res) {
+						expect(res.status).to.be.equal(304);
+						done();
+					});
+			});
+
+			it('should respond with 412 when If-Match fails', done => {
+				superagent.get(`${url}/api/${driver}/jabberwocky.txt`)
+					.set('If-Match', '"something-else"')
+					.end(function(err, res) {
+						expect(err).to.be.ok;
+						expect(res.status).to.be.equal(412);
+						done();
+					});
+			});
+
+			it('should force a download', done => {
+				superagent.get(`${url}/api/${driver}/jabberwocky.txt?download`)
+					.end(function(err, res) {
+						expect(err).to.not.be.ok;
+						expect(res.headers).to.have.property('content-disposition', 'attachment; filename="jabberwocky.txt"');
+						done();
+					});
+			});
+
+			it('should send a single byte range', done => {
+				superagent.get(`${url}/api/${driver}/jabberwocky.txt`)
+					.set('Range', 'bytes=10-19')
+					.buffer(true)
+					.parse(rawParser)
+					.end(function(err, res) {
+						expect(err).to.not.be.ok;
+						expect(res.status).to.be.equal(206);
+						expect(res.headers).to.have.property('content-range', `bytes 10-19/${data.length}`);
+						expect(res.headers).to.have.property('content-length', '10');
+						expect(res.body.toString()).to.equal(data.slice(10, 20).toString());
+						done();
+					});
+			});
+
+			it('should send multiple byte ranges', done => {
+				superagent.get(`${url}/api/${driver}/jabberwocky.txt`)
+					.set('Range', 'bytes=0-4,100-109')
+					.buffer(true)
+					.parse(rawParser)
+					.end(function(err, res) {
+						expect(err).to.not.be.ok;
+						expect(res.status).to.be.equal(206);
+						expect(res.headers['content-type']).to.match(/^multipart\/byteranges; boundary=/);
+						expect(res.headers['content-length']).to.equal(String(res.body.length));
+
+						var body = res.body.toString();
+						expect(body).to.contain(`Content-Range: bytes 0-4/${data.length}\r\n\r\n${data.slice(0, 5)}\r\n`);
+						expect(body).to.contain(`Content-Range: bytes 100-109/${data.length}\r\n\r\n${data.slice(100, 110)}\r\n`);
+						done();
+					});
+			});
+
+			it('should reject unsatisfiable ranges', done => {
+				superagent.get(`${url}/api/${driver}/jabberwocky.txt`)
+					.set('Range', 'bytes=5000-6000')
+					.end(function(err, res) {
+						expect(err).to.be.ok;
+						expect(res.status).to.be.equal(416);
+						expect(res.headers).to.have.property('content-range', `bytes */${data.length}`);
+						done();
+					});
+			});
+
+			it('should ignore ranges when If-Range does not match', done => {
+				superagent.get(`${url}/api/${driver}/jabberwocky.txt`)
+					.set('Range', 'bytes=10-19')
+					.set('If-Range', '"something-else"')
+					.end(function(err, res) {
+						expect(err).to.not.be.ok;
+						expect(res.status).to.be.equal(200);
+						expect(res.text).to.have.length(data.length);
+						done();
+					});
+			});
+
+			it('should respond to HEAD requests', done => {
+				superagent.head(`${url}/api/${driver}/jabberwocky.txt`)
+					.end(function(err, res) {
+						expect(err).to.not.be.ok;
+						expect(res.status).to.be.equal(200);
+						expect(res.headers).to.have.property('content-length', String(data.length));
+						expect(res.headers).to.have.property('etag', etag);
+						done();
+					});
+			});
+
+		});
+
+	});
+
+});
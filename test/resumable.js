@@ -0,0 +1,232 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var fs = require('fs');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var tempPath = temp.path({prefix: 'emu-', suffix: '.test.tmp'});
+var data = fs.readFileSync(__dirname + '/data/jabberwocky.txt');
+
+describe('express-middleware-upload (resumable uploads)', ()=> {
+
+	var ppHits = []; // Tracker for when postProcessing has been called
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', emu({
+			path: tempPath,
+			resumable: true,
+			postProcessing: function(req, res, next) {
+				ppHits.push(req.files);
+				next();
+			},
+		}));
+
+		app.use('/api/expiring/:path?', emu({
+			path: `${tempPath}-expiring`,
+			resumable: true,
+			resumableExpiry: 100,
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	var location;
+
+	it('should create an upload session', done => {
+		superagent.post(url + '/api/files')
+			.set('Upload-Length', data.length)
+			.set('Upload-Metadata', 'filename ' + Buffer.from('jabberwocky.txt').toString('base64'))
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(201);
+				expect(res.headers).to.have.property('location');
+				expect(res.headers.location).to.match(/^\/api\/files\?upload=[0-9a-f]{32}$/);
+				expect(res.headers).to.have.property('upload-offset', '0');
+				location = res.headers.location;
+				done();
+			});
+	});
+
+	it('should report the initial offset', done => {
+		superagent.head(url + location)
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(200);
+				expect(res.headers).to.have.property('upload-offset', '0');
+				expect(res.headers).to.have.property('upload-length', String(data.length));
+				done();
+			});
+	});
+
+	it('should accept the first chunk', done => {
+		superagent.patch(url + location)
+			.set('Content-Type', 'application/offset+octet-stream')
+			.set('Upload-Offset', 0)
+			.send(data.slice(0, 500))
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(204);
+				expect(res.headers).to.have.property('upload-offset', '500');
+				expect(ppHits).to.have.length(0);
+				done();
+			});
+	});
+
+	it('should reject a chunk at the wrong offset', done => {
+		superagent.patch(url + location)
+			.set('Content-Type', 'application/offset+octet-stream')
+			.set('Upload-Offset', 0)
+			.send(data.slice(0, 500))
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.status).to.be.equal(409);
+				done();
+			});
+	});
+
+	it('should report the current offset', done => {
+		superagent.head(url + location)
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(200);
+				expect(res.headers).to.have.property('upload-offset', '500');
+				done();
+			});
+	});
+
+	it('should accept the final chunk and post-process the file', done => {
+		superagent.patch(url + location)
+			.set('Content-Type', 'application/offset+octet-stream')
+			.set('Upload-Offset', 500)
+			.send(data.slice(500))
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(204);
+				expect(res.headers).to.have.property('upload-offset', String(data.length));
+
+				expect(ppHits).to.have.length(1);
+				expect(ppHits[0]).to.have.length(1);
+				expect(ppHits[0][0]).to.have.property('originalname', 'jabberwocky.txt');
+				expect(ppHits[0][0]).to.have.property('storagePath');
+				expect(ppHits[0][0].storagePath).to.match(/\/jabberwocky\.txt$/);
+				done();
+			});
+	});
+
+	it('should be able to read the completed file', done => {
+		superagent.get(url + '/api/files/jabberwocky.txt')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(200);
+				expect(res.text).to.equal(data.toString());
+				done();
+			});
+	});
+
+	it('should no longer accept chunks for the completed session', done => {
+		superagent.head(url + location)
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.status).to.be.equal(404);
+				done();
+			});
+	});
+
+	describe('concurrency', ()=> {
+
+		var concurrentLocation;
+
+		it('should create an upload session', done => {
+			superagent.post(url + '/api/files')
+				.set('Upload-Length', data.length)
+				.set('Upload-Metadata', 'filename ' + Buffer.from('concurrent.txt').toString('base64'))
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.be.equal(201);
+					concurrentLocation = res.headers.location;
+					done();
+				});
+		});
+
+		it('should only accept one of several chunks sent for the same offset', ()=>
+			Promise.all([1, 2, 3].map(()=>
+				superagent.patch(url + concurrentLocation)
+					.set('Content-Type', 'application/offset+octet-stream')
+					.set('Upload-Offset', 0)
+					.send(data.slice(0, 500))
+					.then(res => res.status, err => err.status)
+			))
+				.then(statuses => {
+					expect(statuses.sort()).to.deep.equal([204, 409, 409]);
+					return superagent.head(url + concurrentLocation);
+				})
+				.then(res => expect(res.headers).to.have.property('upload-offset', '500'))
+		);
+
+	});
+
+	describe('expiry', ()=> {
+
+		var expiredLocation;
+
+		it('should create an upload session', done => {
+			superagent.post(url + '/api/expiring')
+				.set('Upload-Length', data.length)
+				.set('Upload-Metadata', 'filename ' + Buffer.from('jabberwocky.txt').toString('base64'))
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.be.equal(201);
+					expiredLocation = res.headers.location;
+					setTimeout(done, 200);
+				});
+		});
+
+		it('should garbage collect expired sessions', done => {
+			superagent.post(url + '/api/expiring')
+				.set('Upload-Length', data.length)
+				.set('Upload-Metadata', 'filename ' + Buffer.from('jabberwocky.txt').toString('base64'))
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.be.equal(201);
+
+					var expiredId = expiredLocation.replace(/^.*=/, '');
+					expect(fs.readdirSync(`${tempPath}-expiring/.emu/uploads`).filter(f => f.startsWith(expiredId))).to.have.length(0);
+					done();
+				});
+		});
+
+		it('should refuse expired sessions', done => {
+			setTimeout(()=> {
+				superagent.patch(url + expiredLocation)
+					.set('Content-Type', 'application/offset+octet-stream')
+					.set('Upload-Offset', 0)
+					.send(data)
+					.end(function(err, res) {
+						expect(err).to.be.ok;
+						expect(res.status).to.be.oneOf([404, 410]);
+						done();
+					});
+			}, 200);
+		});
+
+	});
+
+});
@@ -0,0 +1,203 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var net = require('net');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var storage = emu.storage.memory();
+var eicar = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Local stand-in for clamd which understands the INSTREAM command and detects the EICAR test file
+var clamd;
+var clamdPort = 8183;
+var scanned = 0; // Number of files scanned so far
+
+var rawParser = (res, cb) => {
+	var chunks = [];
+	res.on('data', chunk => chunks.push(chunk));
+	res.on('end', ()=> cb(null, Buffer.concat(chunks)));
+};
+
+var storageList = path => new Promise((resolve, reject) => storage.list(path, (err, files) => err ? reject(err) : resolve(files.map(file => file.name))));
+
+describe('express-middleware-upload (malware scanning)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', emu({
+			path: '/scanned',
+			storage,
+			scan: emu.scanners.clamd({port: clamdPort}),
+		}));
+
+		app.use('/api/offline/:path?', emu({
+			path: '/offline',
+			storage: emu.storage.memory(),
+			scan: emu.scanners.clamd({port: clamdPort + 1}), // Nothing listening
+		}));
+
+		app.use('/api/custom/:path?', emu({
+			path: '/custom',
+			storage: emu.storage.memory(),
+			scan: async file => ({infected: /evil/.test(file.originalname), virus: 'Custom.Evil'}),
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	before('setup fake clamd', done => {
+		clamd = net.createServer(socket => {
+			var buffer = Buffer.alloc(0);
+			socket.on('data', chunk => {
+				buffer = Buffer.concat([buffer, chunk]);
+				if (buffer.slice(0, 10).toString() != 'zINSTREAM\0') return socket.end('UNKNOWN COMMAND\0');
+
+				var contents = [];
+				var offset = 10;
+				while (offset + 4 <= buffer.length) {
+					var length = buffer.readUInt32BE(offset);
+					if (!length) { // End of stream
+						scanned++;
+						return socket.end(Buffer.concat(contents).toString().includes('EICAR-STANDARD-ANTIVIRUS-TEST-FILE')
+							? 'stream: Eicar-Signature FOUND\0'
+							: 'stream: OK\0'
+						);
+					}
+					if (offset + 4 + length > buffer.length) return; // Wait for the rest of the chunk
+					contents.push(buffer.slice(offset + 4, offset + 4 + length));
+					offset += 4 + length;
+				}
+			});
+		}).listen(clamdPort, done);
+	});
+
+	after(()=> server.close());
+	after(()=> clamd.close());
+
+	describe('clamd', ()=> {
+
+		it('should store clean files and record the scan', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('Hello World'), 'clean.txt')
+				.then(res => {
+					expect(scanned).to.equal(1);
+					expect(res.body.files[0]).to.have.nested.property('meta.scan.status', 'clean');
+					return superagent.get(`${url}/api/files/clean.txt`).buffer();
+				})
+				.then(res => expect(res.text).to.equal('Hello World'))
+		);
+
+		it('should reject infected files', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from(eicar), 'eicar.txt')
+				.then(()=> expect.fail('Upload should have been rejected'))
+				.catch(err => {
+					expect(err.status).to.equal(422);
+					expect(err.response.body).to.deep.equal({
+						error: 'File is infected',
+						code: 'EMU_INFECTED',
+						files: [{name: 'eicar.txt', reason: 'File is infected with Eicar-Signature'}],
+					});
+				})
+		);
+
+		it('should quarantine infected files', ()=>
+			storageList('/scanned/.emu/quarantine')
+				.then(files => {
+					expect(files).to.have.length(2);
+					expect(files.filter(file => file.endsWith('.json'))).to.have.length(1);
+					return storageList('/scanned');
+				})
+				.then(files => expect(files).to.not.include('eicar.txt'))
+		);
+
+		it('should store nothing if any file is infected', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('Fine'), 'fine.txt')
+				.attach('file', Buffer.from(eicar), 'eicar.txt')
+				.then(()=> expect.fail('Upload should have been rejected'))
+				.catch(err => {
+					expect(err.status).to.equal(422);
+					expect(err.response.body).to.have.property('code', 'EMU_INFECTED');
+					return storageList('/scanned');
+				})
+				.then(files => expect(files).to.not.include('fine.txt'))
+		);
+
+		it('should refuse uploads if the scanner is unavailable', ()=>
+			superagent.post(`${url}/api/offline`)
+				.attach('file', Buffer.from('Hello World'), 'hello.txt')
+				.then(()=> expect.fail('Upload should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(503);
+					expect(err.response.body).to.have.property('code', 'EMU_SCAN_FAILED');
+				})
+		);
+
+	});
+
+	describe('unscanned files', ()=> {
+
+		before('add a file directly to storage', done => {
+			storage.createWriteStream('/scanned/legacy.txt')
+				.on('finish', ()=> done())
+				.end('Stored before scanning was enabled');
+		});
+
+		it('should refuse to serve unscanned files', ()=>
+			superagent.get(`${url}/api/files/legacy.txt`)
+				.then(()=> expect.fail('Request should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(403);
+					expect(err.response.body).to.have.property('code', 'EMU_NOT_SCANNED');
+				})
+		);
+
+		it('should leave unscanned files out of archives', ()=>
+			superagent.get(`${url}/api/files?archive=zip`)
+				.buffer()
+				.parse(rawParser)
+				.then(res => {
+					expect(res.body.toString('latin1')).to.include('clean.txt');
+					expect(res.body.toString('latin1')).to.not.include('legacy.txt');
+				})
+		);
+
+	});
+
+	describe('custom scanners', ()=> {
+
+		it('should accept files passed by the scanner', ()=>
+			superagent.post(`${url}/api/custom`)
+				.attach('file', Buffer.from('Hello'), 'hello.txt')
+				.then(res => expect(res.body.files[0]).to.have.nested.property('meta.scan.status', 'clean'))
+		);
+
+		it('should reject files failed by the scanner', ()=>
+			superagent.post(`${url}/api/custom`)
+				.attach('file', Buffer.from('Hello'), 'evil.txt')
+				.then(()=> expect.fail('Upload should have been rejected'))
+				.catch(err => expect(err.response.body.files).to.deep.equal([{name: 'evil.txt', reason: 'File is infected with Custom.Evil'}]))
+		);
+
+		it('should require a metadata store', ()=>
+			expect(()=> emu({path: '/nometa', storage: emu.storage.memory(), metadata: false, scan: ()=> {}})).to.throw()
+		);
+
+	});
+
+});
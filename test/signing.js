@@ -0,0 +1,173 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var requireLogin = (req, res, next) => req.headers['x-user'] ? next() : next('Not logged in');
+var files = emu({
+	path: '/signed',
+	storage: emu.storage.memory(),
+	signingKeys: ['current-key', 'old-key'],
+	list: requireLogin,
+	get: requireLogin,
+	post: requireLogin,
+});
+
+describe('express-middleware-upload (signed URLs)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', files);
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	before('upload test files', ()=>
+		superagent.post(`${url}/api/files`)
+			.set('X-User', 'admin')
+			.attach('file', Buffer.from('Quarterly figures'), 'report.txt')
+			.attach('file', Buffer.from('Minutes'), 'meeting notes.txt')
+	);
+
+	after(()=> server.close());
+
+	describe('reading', ()=> {
+
+		it('should refuse unsigned requests', ()=>
+			superagent.get(`${url}/api/files/report.txt`)
+				.then(()=> expect.fail('Request should have been refused'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should read a file with a signed URL', ()=>
+			superagent.get(url + files.sign('/api/files/report.txt'))
+				.buffer()
+				.then(res => expect(res.text).to.equal('Quarterly figures'))
+		);
+
+		it('should allow HEAD requests with a signed URL', ()=>
+			superagent.head(url + files.sign('/api/files/report.txt'))
+				.then(res => expect(res.headers).to.have.property('content-length', '17'))
+		);
+
+		it('should sign paths needing encoding', ()=>
+			superagent.get(url + files.sign('/api/files/meeting%20notes.txt'))
+				.buffer()
+				.then(res => expect(res.text).to.equal('Minutes'))
+		);
+
+		it('should list a directory with a signed URL', ()=>
+			superagent.get(url + files.sign('/api/files'))
+				.then(res => expect(res.body.map(file => file.name)).to.deep.equal(['meeting%20notes.txt', 'report.txt']))
+		);
+
+		it('should refuse signatures for other paths', ()=>
+			superagent.get(url + files.sign('/api/files/report.txt').replace('report.txt', 'meeting%20notes.txt'))
+				.then(()=> expect.fail('Request should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(403);
+					expect(err.response.body).to.deep.equal({error: 'Invalid signature', code: 'EMU_FORBIDDEN'});
+				})
+		);
+
+		it('should refuse altered expiry times', ()=>
+			superagent.get(url + files.sign('/api/files/report.txt').replace(/expires=\d+/, 'expires=99999999999999'))
+				.then(()=> expect.fail('Request should have been refused'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should refuse expired URLs', ()=>
+			superagent.get(url + files.sign('/api/files/report.txt', {expires: new Date(Date.now() - 1000)}))
+				.then(()=> expect.fail('Request should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(410);
+					expect(err.response.body).to.have.property('code', 'EMU_EXPIRED');
+				})
+		);
+
+		it('should refuse URLs signed for another method', ()=>
+			superagent.post(url + files.sign('/api/files'))
+				.attach('file', Buffer.from('Evil'), 'evil.txt')
+				.then(()=> expect.fail('Request should have been refused'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+	});
+
+	describe('key rotation', ()=> {
+
+		it('should accept URLs signed with older keys', ()=>
+			superagent.get(url + emu.sign('/api/files/report.txt', {key: 'old-key'}))
+				.buffer()
+				.then(res => expect(res.text).to.equal('Quarterly figures'))
+		);
+
+		it('should refuse URLs signed with removed keys', ()=>
+			superagent.get(url + emu.sign('/api/files/report.txt', {key: 'retired-key'}))
+				.then(()=> expect.fail('Request should have been refused'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should require a key to sign URLs', ()=>
+			expect(()=> emu.sign('/api/files/report.txt')).to.throw()
+		);
+
+	});
+
+	describe('uploading', ()=> {
+
+		it('should accept uploads with a signed URL', ()=>
+			superagent.post(url + files.sign('/api/files', {method: 'POST'}))
+				.attach('file', Buffer.from('Hello'), 'hello.txt')
+				.then(res => expect(res.body.files[0]).to.have.property('size', 5))
+		);
+
+		it('should restrict the size of signed uploads', ()=>
+			superagent.post(url + files.sign('/api/files', {method: 'POST', maxSize: 10}))
+				.attach('file', Buffer.from('This file is too large'), 'large.txt')
+				.then(()=> expect.fail('Upload should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(413);
+					expect(err.response.body).to.have.property('code', 'EMU_REQUEST_TOO_LARGE');
+				})
+		);
+
+		it('should accept signed uploads just under the size limit', ()=>
+			superagent.post(url + files.sign('/api/files', {method: 'POST', maxSize: 100}))
+				.attach('file', Buffer.alloc(99, 'x'), 'small.txt')
+				.then(res => expect(res.body.files[0]).to.have.property('size', 99))
+		);
+
+		it('should restrict the type of signed uploads', ()=>
+			superagent.post(url + files.sign('/api/files', {method: 'POST', accept: ['.csv', 'image/*']}))
+				.attach('file', Buffer.from('Hello'), 'hello.txt')
+				.then(()=> expect.fail('Upload should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(415);
+					expect(err.response.body.files[0]).to.have.property('name', 'hello.txt');
+				})
+		);
+
+		it('should accept signed uploads of the allowed types', ()=>
+			superagent.post(url + files.sign('/api/files', {method: 'POST', accept: ['.csv', 'image/*']}))
+				.attach('file', Buffer.from('id,total\n'), 'totals.csv')
+				.then(res => expect(res.body.files[0]).to.have.property('name', 'totals.csv'))
+		);
+
+	});
+
+});
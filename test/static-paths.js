@@ -39,6 +39,19 @@ describe('express-middleware-upload (static options.path)', ()=> {
 			.end(function(err, res) {
 				expect(err).to.not.be.ok;
 				expect(res.status).to.be.equal(200);
+
+				expect(res.body).to.have.property('files');
+				expect(res.body.files).to.have.length(1);
+				expect(res.body.files[0]).to.have.property('name', 'jabberwocky.txt');
+				expect(res.body.files[0]).to.have.property('type', 'file');
+				expect(res.body.files[0]).to.have.property('ext', 'txt');
+				expect(res.body.files[0]).to.have.property('size', 965);
+				expect(res.body.files[0]).to.have.property('created');
+				expect(res.body.files[0]).to.have.property('modified');
+				expect(res.body.files[0]).to.have.property('url', '/api/files/jabberwocky.txt');
+				expect(res.body.files[0]).to.have.property('originalname', 'jabberwocky.txt');
+				expect(res.body.files[0]).to.have.property('mimetype', 'text/plain');
+				expect(res.body.files[0]).to.have.property('checksum', 'cf5c11fb720705dd7e8286f74c51dc6b1ad346673f4dafd649916951afc52d57');
 				done();
 			});
 	});
@@ -0,0 +1,185 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var S3rver = require('s3rver');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var s3server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+
+// S3 config - set EMU_S3_ENDPOINT (+ EMU_S3_BUCKET, EMU_S3_KEY, EMU_S3_SECRET) to test against a real S3-compatible server such as MinIO, otherwise a local S3rver instance is used
+var s3Config = {
+	endpoint: process.env.EMU_S3_ENDPOINT || 'http://localhost:8182',
+	bucket: process.env.EMU_S3_BUCKET || 'emu-test',
+	accessKeyId: process.env.EMU_S3_KEY || 'S3RVER',
+	secretAccessKey: process.env.EMU_S3_SECRET || 'S3RVER',
+};
+
+describe('express-middleware-upload (storage drivers)', ()=> {
+
+	before('setup S3 stand-in', function(done) {
+		if (process.env.EMU_S3_ENDPOINT) return done(); // Using an external server
+		s3server = new S3rver({
+			port: 8182,
+			silent: true,
+			directory: temp.path({prefix: 'emu-s3-', suffix: '.test.tmp'}),
+			configureBuckets: [{name: s3Config.bucket}],
+		}).run(done);
+	});
+
+	after(done => s3server ? s3server.close(done) : done());
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/memory/:path?', emu({
+			path: '/uploads',
+			storage: emu.storage.memory(),
+		}));
+
+		app.use('/api/s3/:path?', emu({
+			path: '/uploads-' + Date.now(),
+			storage: emu.storage.s3(s3Config),
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	['memory', 's3'].forEach(driver => {
+
+		it(`should accept a file upload (${driver})`, done => {
+			superagent.post(`${url}/api/${driver}`)
+				.attach('file', __dirname + '/data/jabberwocky.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.be.equal(200);
+					done();
+				});
+		});
+
+		it(`should list the uploaded files (${driver})`, done => {
+			superagent.get(`${url}/api/${driver}`)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.be.equal(200);
+					expect(res.body).to.be.an.instanceOf(Array);
+					expect(res.body).to.have.length(1);
+
+					expect(res.body[0]).to.have.property('name', 'jabberwocky.txt');
+					expect(res.body[0]).to.have.property('ext', 'txt');
+					expect(res.body[0]).to.have.property('size', 965);
+					expect(res.body[0]).to.have.property('created');
+
+					done();
+				});
+		});
+
+		it(`should be able to read an uploaded file (${driver})`, done => {
+			superagent.get(`${url}/api/${driver}/jabberwocky.txt`)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.be.equal(200);
+					expect(res.headers).to.have.property('content-type');
+					expect(res.headers['content-type']).to.match(/^text\/plain/);
+					expect(res.text).to.have.length(965);
+					expect(res.text).to.contain('slithy toves');
+
+					done();
+				});
+		});
+
+		it(`should 404 when reading a missing file (${driver})`, done => {
+			superagent.get(`${url}/api/${driver}/nonexistant.txt`)
+				.end(function(err, res) {
+					expect(err).to.be.ok;
+					expect(res.status).to.be.equal(404);
+
+					done();
+				});
+		});
+
+		it(`should be able to rename an uploaded file (${driver})`, done => {
+			superagent('MOVE', `${url}/api/${driver}/jabberwocky.txt`)
+				.set('Destination', 'poem.txt')
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.be.equal(200);
+
+					superagent.get(`${url}/api/${driver}`)
+						.end(function(err, res) {
+							expect(err).to.not.be.ok;
+							expect(res.body).to.have.length(1);
+							expect(res.body[0]).to.have.property('name', 'poem.txt');
+							done();
+						});
+				});
+		});
+
+		it(`should be able to delete an uploaded file (${driver})`, done => {
+			superagent.delete(`${url}/api/${driver}/poem.txt`)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.be.equal(200);
+
+					done();
+				});
+		});
+
+		it(`should have deleted the uploaded files (${driver})`, done => {
+			superagent.get(`${url}/api/${driver}`)
+				.end(function(err, res) {
+					expect(err).to.not.be.ok;
+					expect(res.status).to.be.equal(200);
+					expect(res.text).to.equal('[]');
+
+					done();
+				});
+		});
+
+	});
+
+	describe('S3 multipart uploads', ()=> {
+
+		it('should stream large files as multiple parts', done => {
+			var storage = emu.storage.s3(Object.assign({}, s3Config, {partSize: 5 * 1024 * 1024}));
+			var path = '/multipart-' + Date.now() + '/big.bin';
+			var data = Buffer.alloc(11 * 1024 * 1024, 'x');
+
+			storage.createWriteStream(path)
+				.on('error', done)
+				.on('finish', ()=> {
+					storage.stat(path, function(err, stat) {
+						expect(err).to.not.be.ok;
+						expect(stat).to.have.property('type', 'file');
+						expect(stat).to.have.property('size', data.length);
+
+						var size = 0;
+						storage.createReadStream(path, {start: 10, end: 19})
+							.on('data', chunk => size += chunk.length)
+							.on('end', ()=> {
+								expect(size).to.equal(10);
+								storage.delete(path, done);
+							});
+					});
+				})
+				.end(data);
+		});
+
+	});
+
+});
@@ -0,0 +1,234 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var storage = emu.storage.memory();
+
+var files = emu({
+	path: '/trashed',
+	storage,
+	trash: true,
+	delete: true,
+	uploadedBy: req => req.headers['x-user'],
+});
+
+var nextEvent = name => new Promise(resolve => files.once(name, resolve));
+var storageList = path => new Promise((resolve, reject) => storage.list(path, (err, files) => err ? reject(err) : resolve(files.map(file => file.name))));
+
+describe('express-middleware-upload (trash)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', files);
+
+		app.use('/api/expiring/:path?', emu({
+			path: '/expiring',
+			storage,
+			trash: true,
+			trashRetention: 1,
+			delete: true,
+		}));
+
+		app.use('/api/quota/:path?', emu({
+			path: '/quota',
+			storage: emu.storage.memory(),
+			trash: true,
+			quota: 100,
+			delete: true,
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	var trashed; // The trash record of hello.txt
+
+	describe('files', ()=> {
+
+		before('upload a file', ()=>
+			superagent.post(`${url}/api/files`)
+				.attach('file', Buffer.from('Hello World'), 'hello.txt')
+		);
+
+		it('should move deleted files into the trash', ()=>
+			Promise.all([
+				nextEvent('deleted'),
+				superagent.delete(`${url}/api/files/hello.txt`).set('X-User', 'alice'),
+			])
+				.then(([event, res]) => {
+					trashed = res.body;
+					expect(trashed).to.include({path: 'hello.txt', type: 'file', size: 11, files: 1, deletedBy: 'alice'});
+					expect(trashed.id).to.match(/^[0-9a-f]{32}$/);
+					expect(trashed).to.have.property('deleted');
+					expect(new Date(trashed.expires) - new Date(trashed.deleted)).to.equal(1000 * 60 * 60 * 24 * 30);
+					expect(event.trash).to.deep.include({id: trashed.id});
+					return superagent.get(`${url}/api/files`);
+				})
+				.then(res => expect(res.body).to.deep.equal([]))
+		);
+
+		it('should list the trash', ()=>
+			superagent.get(`${url}/api/files?trash`)
+				.then(res => expect(res.body).to.deep.equal([trashed]))
+		);
+
+		it('should restore files along with their metadata', ()=>
+			Promise.all([
+				nextEvent('restored'),
+				superagent.post(`${url}/api/files?restore=${trashed.id}`),
+			])
+				.then(([event, res]) => {
+					expect(res.body).to.include({name: 'hello.txt', size: 11});
+					expect(event).to.include({path: 'hello.txt', destination: 'hello.txt'});
+					return superagent.get(`${url}/api/files`);
+				})
+				.then(res => {
+					expect(res.body.map(file => file.name)).to.deep.equal(['hello.txt']);
+					expect(res.body[0]).to.have.nested.property('meta.originalname', 'hello.txt');
+					return superagent.get(`${url}/api/files/hello.txt`).buffer();
+				})
+				.then(res => {
+					expect(res.text).to.equal('Hello World');
+					return superagent.get(`${url}/api/files?trash`);
+				})
+				.then(res => expect(res.body).to.deep.equal([]))
+		);
+
+		it('should refuse to restore over an existing file', ()=>
+			superagent.delete(`${url}/api/files/hello.txt`)
+				.then(res => trashed = res.body)
+				.then(()=> superagent.post(`${url}/api/files`).attach('file', Buffer.from('Replacement'), 'hello.txt'))
+				.then(()=> superagent.post(`${url}/api/files?restore=${trashed.id}`))
+				.then(()=> expect.fail('Restore should have been refused'))
+				.catch(err => {
+					expect(err.status).to.equal(409);
+					expect(err.response.body).to.have.property('code', 'EMU_EXISTS');
+				})
+		);
+
+		it('should restore to the Destination header', ()=>
+			superagent.post(`${url}/api/files?restore=${trashed.id}`)
+				.set('Destination', 'recovered/hello.txt')
+				.then(res => expect(res.body).to.include({name: 'recovered/hello.txt', size: 11}))
+				.then(()=> superagent.get(`${url}/api/files/recovered/hello.txt`).buffer())
+				.then(res => expect(res.text).to.equal('Hello World'))
+		);
+
+		it('should permanently remove items from the trash', ()=>
+			superagent.delete(`${url}/api/files/hello.txt`)
+				.then(res => trashed = res.body)
+				.then(()=> Promise.all([
+					nextEvent('purged'),
+					superagent.delete(`${url}/api/files?trash=${trashed.id}`),
+				]))
+				.then(([event]) => {
+					expect(event).to.include({path: 'hello.txt', type: 'file'});
+					return storageList('/trashed/.emu/trash');
+				})
+				.then(contents => expect(contents).to.deep.equal([]))
+				.then(()=> superagent.post(`${url}/api/files?restore=${trashed.id}`))
+				.then(()=> expect.fail('Restore should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(404);
+					expect(err.response.body).to.have.property('code', 'EMU_NOT_FOUND');
+				})
+		);
+
+	});
+
+	describe('directories', ()=> {
+
+		before('create a directory', ()=> {
+			var instance = emu.instance({path: '/trashed', storage});
+			return instance.write('photos/cat.txt', 'Meow')
+				.then(()=> instance.write('photos/dog.txt', 'Woof'));
+		});
+
+		it('should move deleted directories into the trash', ()=>
+			superagent.delete(`${url}/api/files/photos?recursive`)
+				.then(res => {
+					trashed = res.body;
+					expect(trashed).to.include({path: 'photos', type: 'directory', size: 8, files: 2});
+				})
+		);
+
+		it('should filter the trash by path', ()=>
+			Promise.all([
+				superagent.get(`${url}/api/files/photos?trash`),
+				superagent.get(`${url}/api/files/recovered?trash`),
+			])
+				.then(([photos, recovered]) => {
+					expect(photos.body.map(item => item.id)).to.deep.equal([trashed.id]);
+					expect(recovered.body).to.deep.equal([]);
+				})
+		);
+
+		it('should restore directories with all their contents', ()=>
+			superagent.post(`${url}/api/files?restore=${trashed.id}`)
+				.then(res => expect(res.body).to.include({name: 'photos', type: 'directory'}))
+				.then(()=> superagent.get(`${url}/api/files/photos`))
+				.then(res => expect(res.body.map(file => file.name)).to.deep.equal(['cat.txt', 'dog.txt']))
+		);
+
+	});
+
+	describe('retention', ()=> {
+
+		it('should purge expired items', ()=>
+			superagent.post(`${url}/api/expiring`)
+				.attach('file', Buffer.from('Short lived'), 'brief.txt')
+				.then(()=> superagent.delete(`${url}/api/expiring/brief.txt`))
+				.then(res => trashed = res.body)
+				.then(()=> new Promise(resolve => setTimeout(resolve, 10)))
+				.then(()=> superagent.get(`${url}/api/expiring?trash`))
+				.then(res => {
+					expect(res.body).to.deep.equal([]);
+					return storageList('/expiring/.emu/trash');
+				})
+				.then(contents => expect(contents).to.deep.equal([]))
+		);
+
+		it('should count trashed items towards the quota until purged', ()=>
+			superagent.post(`${url}/api/quota`)
+				.attach('file', Buffer.from('0123456789'), 'ten.txt')
+				.then(()=> superagent.delete(`${url}/api/quota/ten.txt`))
+				.then(res => trashed = res.body)
+				.then(()=> superagent.get(`${url}/api/quota?usage`))
+				.then(res => expect(res.body).to.have.deep.property('used', {bytes: 10, files: 1}))
+				.then(()=> superagent.delete(`${url}/api/quota?trash=${trashed.id}`))
+				.then(()=> superagent.get(`${url}/api/quota?usage`))
+				.then(res => expect(res.body).to.have.deep.property('used', {bytes: 0, files: 0}))
+		);
+
+	});
+
+	describe('programmatic API', ()=> {
+
+		it('should move removed files into the trash', ()=> {
+			var instance = emu.instance({path: '/instance', storage: emu.storage.memory(), trash: true});
+			return instance.write('notes.txt', 'Some notes')
+				.then(()=> instance.remove('notes.txt', {user: {id: 'bob'}}))
+				.then(record => expect(record).to.include({path: 'notes.txt', type: 'file', deletedBy: 'bob'}))
+				.then(()=> instance.list())
+				.then(list => expect(list).to.deep.equal([]));
+		});
+
+	});
+
+});
@@ -0,0 +1,144 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var fs = require('fs');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+var temp = require('temp');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var tempPath = temp.path({prefix: 'emu-', suffix: '.test.tmp'});
+
+var png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(100)]);
+var exe = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(100)]);
+
+describe('express-middleware-upload (validation)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', emu({
+			path: tempPath,
+			accept: ['image/*', '.txt'],
+			validate: function(file, req) {
+				if (file.originalname.startsWith('secret')) return 'Secret files are not allowed';
+				return new Promise((resolve, reject) => {
+					var contents = '';
+					file.createReadStream()
+						.on('data', chunk => contents += chunk)
+						.on('end', ()=> resolve(!contents.includes('forbidden')));
+				});
+			},
+		}));
+
+		app.use('/api/callback/:path?', emu({
+			path: '/callback',
+			storage: emu.storage.memory(),
+			validate: (file, req, callback) => setImmediate(()=> callback(null, file.size < 10 || 'File too big')),
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	it('should accept files matching the accepted types', done => {
+		superagent.post(url + '/api/files')
+			.attach('file', png, 'image.png')
+			.attach('file', __dirname + '/data/jabberwocky.txt')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(200);
+				done();
+			});
+	});
+
+	it('should reject files not matching the accepted types', done => {
+		superagent.post(url + '/api/files')
+			.attach('file', Buffer.from('%PDF-1.4'), 'document.pdf')
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.status).to.be.equal(415);
+				expect(res.body).to.have.property('files');
+				expect(res.body.files).to.have.length(1);
+				expect(res.body.files[0]).to.have.property('name', 'document.pdf');
+				expect(res.body.files[0]).to.have.property('reason');
+				done();
+			});
+	});
+
+	it('should reject files whose contents do not match their extension', done => {
+		superagent.post(url + '/api/files')
+			.attach('file', exe, 'totally-an-image.png')
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.status).to.be.equal(415);
+				expect(res.body.files[0]).to.have.property('name', 'totally-an-image.png');
+				expect(res.body.files[0].reason).to.match(/do not match/);
+				done();
+			});
+	});
+
+	it('should reject files failing custom validation', done => {
+		superagent.post(url + '/api/files')
+			.attach('file', Buffer.from('hello'), 'secret.txt')
+			.attach('file', Buffer.from('this is forbidden'), 'other.txt')
+			.attach('file', Buffer.from('this is fine'), 'fine.txt')
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.status).to.be.equal(422);
+				expect(res.body.files).to.deep.equal([
+					{name: 'secret.txt', reason: 'Secret files are not allowed'},
+					{name: 'other.txt', reason: 'File failed validation'},
+				]);
+				done();
+			});
+	});
+
+	it('should support validation functions which use a callback', done => {
+		superagent.post(url + '/api/callback')
+			.attach('file', Buffer.from('small'), 'small.txt')
+			.attach('file', Buffer.from('much too large'), 'large.txt')
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.status).to.be.equal(422);
+				expect(res.body.files).to.deep.equal([{name: 'large.txt', reason: 'File too big'}]);
+				done();
+			});
+	});
+
+	it('should not have stored any rejected files', done => {
+		superagent.get(url + '/api/files')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.body.map(f => f.name)).to.deep.equal(['image.png', 'jabberwocky.txt']);
+				expect(fs.readdirSync(`${tempPath}/.emu/tmp`)).to.have.length(0);
+				done();
+			});
+	});
+
+	it('should accept files whose extension cannot be sniffed regardless of their contents', done => {
+		superagent.post(url + '/api/files')
+			.attach('file', Buffer.from('MZ is the signature of DOS executables'), 'notes.txt')
+			.attach('file', Buffer.from('BM is the signature of bitmaps'), 'bitmaps.txt')
+			.attach('file', Buffer.from('ID3 tags hold MP3 metadata'), 'tags.txt')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.status).to.be.equal(200);
+				expect(res.body.files).to.have.length(3);
+				done();
+			});
+	});
+
+});
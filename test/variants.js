@@ -0,0 +1,215 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var sharp = require('sharp');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var image; // PNG buffer generated before the tests run
+var storage = {
+	upload: emu.storage.memory(),
+	lazy: emu.storage.memory(),
+};
+var variants = {
+	thumb: {width: 50, height: 50, fit: 'cover', format: 'webp'},
+	small: {width: 100},
+};
+
+// Binary response parser for superagent
+var rawParser = (res, cb) => {
+	var chunks = [];
+	res.on('data', chunk => chunks.push(chunk));
+	res.on('end', ()=> cb(null, Buffer.concat(chunks)));
+};
+
+describe('express-middleware-upload (image variants)', ()=> {
+
+	before('create test image', ()=>
+		sharp({create: {width: 400, height: 200, channels: 3, background: '#336699'}})
+			.png()
+			.toBuffer()
+			.then(buffer => image = buffer)
+	);
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		['upload', 'lazy'].forEach(mode => {
+			app.use(`/api/${mode}/:path?`, emu({
+				path: '/uploads',
+				storage: storage[mode],
+				variants: variants,
+				variantMode: mode,
+			}));
+		});
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	it('should generate variants on upload', done => {
+		superagent.post(`${url}/api/upload`)
+			.attach('file', image, 'picture.png')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.body.files[0]).to.have.property('variants');
+				expect(res.body.files[0].variants).to.deep.equal({
+					thumb: '/api/upload/picture.png?variant=thumb',
+					small: '/api/upload/picture.png?variant=small',
+				});
+
+				storage.upload.stat('/uploads/.emu/variants/picture.png@thumb.webp', function(err, stat) {
+					expect(err).to.not.be.ok;
+					expect(stat).to.have.property('type', 'file');
+					done();
+				});
+			});
+	});
+
+	it('should read a variant', done => {
+		superagent.get(`${url}/api/upload/picture.png?variant=thumb`)
+			.buffer()
+			.parse(rawParser)
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.headers['content-type']).to.equal('image/webp');
+
+				sharp(res.body).metadata()
+					.then(meta => {
+						expect(meta).to.have.property('format', 'webp');
+						expect(meta).to.have.property('width', 50);
+						expect(meta).to.have.property('height', 50);
+						done();
+					})
+					.catch(done);
+			});
+	});
+
+	it('should keep the original format if none is specified', done => {
+		superagent.get(`${url}/api/upload/picture.png?variant=small`)
+			.buffer()
+			.parse(rawParser)
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.headers['content-type']).to.equal('image/png');
+
+				sharp(res.body).metadata()
+					.then(meta => {
+						expect(meta).to.have.property('width', 100);
+						expect(meta).to.have.property('height', 50);
+						done();
+					})
+					.catch(done);
+			});
+	});
+
+	it('should generate variants lazily', done => {
+		superagent.post(`${url}/api/lazy`)
+			.attach('file', image, 'picture.png')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+
+				storage.lazy.stat('/uploads/.emu/variants/picture.png@thumb.webp', function(err) {
+					expect(err).to.have.property('code', 'ENOENT');
+
+					superagent.get(`${url}/api/lazy/picture.png?variant=thumb`)
+						.buffer()
+						.parse(rawParser)
+						.end(function(err, res) {
+							expect(err).to.not.be.ok;
+							expect(res.headers['content-type']).to.equal('image/webp');
+
+							storage.lazy.stat('/uploads/.emu/variants/picture.png@thumb.webp', function(err) {
+								expect(err).to.not.be.ok;
+								done();
+							});
+						});
+				});
+			});
+	});
+
+	it('should reject unknown variants', done => {
+		superagent.get(`${url}/api/upload/picture.png?variant=huge`)
+			.end(function(err, res) {
+				expect(err).to.be.ok;
+				expect(res.status).to.equal(400);
+				done();
+			});
+	});
+
+	it('should not offer variants of non-images', done => {
+		superagent.post(`${url}/api/upload`)
+			.attach('file', __dirname + '/data/jabberwocky.txt')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.body.files[0]).to.not.have.property('variants');
+
+				superagent.get(`${url}/api/upload/jabberwocky.txt?variant=thumb`)
+					.end(function(err, res) {
+						expect(err).to.be.ok;
+						expect(res.status).to.equal(400);
+						done();
+					});
+			});
+	});
+
+	it('should list variants', done => {
+		superagent.get(`${url}/api/upload`)
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+				expect(res.body).to.have.length(2);
+				expect(res.body[0]).to.have.property('name', 'jabberwocky.txt');
+				expect(res.body[0]).to.not.have.property('variants');
+				expect(res.body[1]).to.have.property('name', 'picture.png');
+				expect(res.body[1].variants).to.have.property('thumb', '/api/upload/picture.png?variant=thumb');
+				done();
+			});
+	});
+
+	it('should move variants with the original', done => {
+		superagent('MOVE', `${url}/api/upload/picture.png`)
+			.set('Destination', 'photo.png')
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+
+				storage.upload.stat('/uploads/.emu/variants/picture.png@thumb.webp', function(err) {
+					expect(err).to.have.property('code', 'ENOENT');
+
+					storage.upload.stat('/uploads/.emu/variants/photo.png@thumb.webp', function(err) {
+						expect(err).to.not.be.ok;
+						done();
+					});
+				});
+			});
+	});
+
+	it('should delete variants with the original', done => {
+		superagent.delete(`${url}/api/upload/photo.png`)
+			.end(function(err, res) {
+				expect(err).to.not.be.ok;
+
+				storage.upload.stat('/uploads/.emu/variants/photo.png@thumb.webp', function(err) {
+					expect(err).to.have.property('code', 'ENOENT');
+
+					storage.upload.stat('/uploads/.emu/variants/photo.png@small.png', function(err) {
+						expect(err).to.have.property('code', 'ENOENT');
+						done();
+					});
+				});
+			});
+	});
+
+});
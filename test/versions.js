@@ -0,0 +1,258 @@
+var bodyParser = require('body-parser');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+var storage = emu.storage.memory();
+
+var files = emu({
+	path: '/versioned',
+	storage,
+	postPath: 'param',
+	versions: true,
+	versionsMaxCount: 3,
+	delete: true,
+});
+
+var nextEvent = name => new Promise(resolve => files.once(name, resolve));
+var storageList = path => new Promise((resolve, reject) => storage.list(path, (err, files) => err ? reject(err) : resolve(files.map(file => file.name))));
+var upload = (endpoint, path, contents) => superagent.post(`${url}/api/${endpoint}/${path}`).attach('file', Buffer.from(contents), path);
+var read = (endpoint, path) => superagent.get(`${url}/api/${endpoint}/${path}`).buffer().then(res => res.text);
+
+describe('express-middleware-upload (versions)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/api/files/:path?', files);
+
+		app.use('/api/expiring/:path?', emu({
+			path: '/expiring',
+			storage: emu.storage.memory(),
+			postPath: 'param',
+			versions: true,
+			versionsMaxAge: 1,
+		}));
+
+		app.use('/api/quota/:path?', emu({
+			path: '/quota',
+			storage: emu.storage.memory(),
+			postPath: 'param',
+			versions: true,
+			quota: 100,
+		}));
+
+		app.use('/api/deduped/:path?', emu({
+			path: '/deduped',
+			storage: emu.storage.memory(),
+			postPath: 'param',
+			versions: true,
+			dedupe: true,
+		}));
+
+		app.use('/api/busy/:path?', emu({
+			path: '/busy',
+			storage: emu.storage.memory(),
+			postPath: 'param',
+			versions: true,
+		}));
+
+		app.use('/api/renaming/:path?', emu({
+			path: '/renaming',
+			storage: emu.storage.memory(),
+			postPath: 'param',
+			versions: true,
+			onConflict: (file, req) => req.query.rename ? 'rename' : 'overwrite',
+		}));
+
+		app.use('/api/plain/:path?', emu({
+			path: '/plain',
+			storage: emu.storage.memory(),
+			postPath: 'param',
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	describe('versioning', ()=> {
+
+		it('should number each upload of a file', ()=>
+			upload('files', 'report.txt', 'One')
+				.then(res => expect(res.body.files[0]).to.have.nested.property('meta.version', 1))
+				.then(()=> upload('files', 'report.txt', 'Two'))
+				.then(()=> upload('files', 'report.txt', 'Three'))
+				.then(res => expect(res.body.files[0]).to.have.nested.property('meta.version', 3))
+				.then(()=> read('files', 'report.txt'))
+				.then(contents => expect(contents).to.equal('Three'))
+		);
+
+		it('should list the versions of a file', ()=>
+			superagent.get(`${url}/api/files/report.txt?versions`)
+				.then(res => {
+					expect(res.body.map(version => version.version)).to.deep.equal([3, 2, 1]);
+					expect(res.body.map(version => version.size)).to.deep.equal([5, 3, 3]);
+					expect(res.body[0]).to.have.property('current', true);
+					expect(res.body[1]).to.have.property('archived');
+					expect(res.body[1]).to.have.property('checksum');
+					expect(res.body[1]).to.not.have.property('current');
+				})
+		);
+
+		it('should read previous versions', ()=>
+			Promise.all([
+				nextEvent('read'),
+				read('files', 'report.txt?version=1'),
+			])
+				.then(([event, contents]) => {
+					expect(contents).to.equal('One');
+					expect(event).to.include({path: 'report.txt', version: 1});
+					return read('files', 'report.txt?version=2');
+				})
+				.then(contents => expect(contents).to.equal('Two'))
+				.then(()=> read('files', 'report.txt?version=3'))
+				.then(contents => expect(contents).to.equal('Three'))
+		);
+
+		it('should refuse unknown versions', ()=>
+			superagent.get(`${url}/api/files/report.txt?version=9`)
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => {
+					expect(err.status).to.equal(404);
+					expect(err.response.body).to.deep.equal({error: 'Version not found', code: 'EMU_NOT_FOUND'});
+					return superagent.get(`${url}/api/files/report.txt?version=latest`);
+				})
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => expect(err.status).to.equal(400))
+		);
+
+		it('should restore a previous version as a new version', ()=>
+			Promise.all([
+				nextEvent('restored'),
+				superagent.post(`${url}/api/files/report.txt?version=1`),
+			])
+				.then(([event, res]) => {
+					expect(res.body).to.include({name: 'report.txt', size: 3});
+					expect(res.body).to.have.nested.property('meta.version', 4);
+					expect(event).to.include({path: 'report.txt', version: 1});
+					return read('files', 'report.txt');
+				})
+				.then(contents => {
+					expect(contents).to.equal('One');
+					return superagent.get(`${url}/api/files/report.txt?versions`);
+				})
+				.then(res => expect(res.body.map(version => version.version)).to.deep.equal([4, 3, 2, 1]))
+		);
+
+		it('should keep no more than versionsMaxCount previous versions', ()=>
+			upload('files', 'report.txt', 'Five')
+				.then(()=> superagent.get(`${url}/api/files/report.txt?versions`))
+				.then(res => expect(res.body.map(version => version.version)).to.deep.equal([5, 4, 3, 2]))
+				.then(()=> superagent.get(`${url}/api/files/report.txt?version=1`))
+				.then(()=> expect.fail('Request should have failed'))
+				.catch(err => expect(err.status).to.equal(404))
+		);
+
+		it('should move versions along with their file', ()=>
+			superagent('MOVE', `${url}/api/files/report.txt`)
+				.set('Destination', 'archive/report.txt')
+				.then(()=> read('files', 'archive/report.txt?version=2'))
+				.then(contents => expect(contents).to.equal('Two'))
+		);
+
+		it('should remove versions along with their file', ()=>
+			superagent.delete(`${url}/api/files/archive/report.txt`)
+				.then(()=> storageList('/versioned/.emu/versions/archive'))
+				.then(contents => expect(contents).to.deep.equal([]))
+		);
+
+	});
+
+	describe('retention', ()=> {
+
+		it('should remove versions older than versionsMaxAge', ()=>
+			upload('expiring', 'notes.txt', 'Draft')
+				.then(()=> upload('expiring', 'notes.txt', 'Final'))
+				.then(()=> new Promise(resolve => setTimeout(resolve, 10)))
+				.then(()=> superagent.get(`${url}/api/expiring/notes.txt?versions`))
+				.then(res => expect(res.body.map(version => version.version)).to.deep.equal([2]))
+		);
+
+		it('should count previous versions towards the quota', ()=>
+			upload('quota', 'data.txt', '0123456789')
+				.then(()=> upload('quota', 'data.txt', '01234'))
+				.then(()=> superagent.get(`${url}/api/quota?usage`))
+				.then(res => expect(res.body).to.have.deep.property('used', {bytes: 15, files: 2}))
+		);
+
+	});
+
+	describe('concurrency', ()=> {
+
+		it('should keep every version of parallel overwrites', ()=> {
+			var contents = ['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo'];
+			return Promise.all(contents.map(content => upload('busy', 'shared.txt', content)))
+				.then(()=> superagent.get(`${url}/api/busy/shared.txt?versions`))
+				.then(res => {
+					expect(res.body.map(version => version.version)).to.deep.equal([5, 4, 3, 2, 1]);
+					return Promise.all([1, 2, 3, 4, 5].map(version => read('busy', `shared.txt?version=${version}`)));
+				})
+				.then(versions => expect(versions.sort()).to.deep.equal(contents));
+		});
+
+		it('should not lose versions when overwrites race with renamed uploads', ()=>
+			upload('renaming', 'draft.txt', 'First')
+				.then(()=> Promise.all([
+					upload('renaming', 'draft.txt', 'Second'),
+					upload('renaming', 'draft.txt?rename=1', 'Renamed'),
+					upload('renaming', 'draft.txt', 'Third'),
+				]))
+				.then(()=> superagent.get(`${url}/api/renaming/draft.txt?versions`))
+				.then(res => {
+					expect(res.body.map(version => version.version)).to.deep.equal([3, 2, 1]);
+					return Promise.all([1, 2, 3].map(version => read('renaming', `draft.txt?version=${version}`)));
+				})
+				.then(versions => {
+					expect(versions[0]).to.equal('First');
+					expect(versions.slice(1).sort()).to.deep.equal(['Second', 'Third']);
+					return read('renaming', 'draft-1.txt');
+				})
+				.then(contents => expect(contents).to.equal('Renamed'))
+		);
+
+	});
+
+	describe('compatibility', ()=> {
+
+		it('should keep deduplicated versions', ()=>
+			upload('deduped', 'logo.txt', 'Original')
+				.then(()=> upload('deduped', 'copy.txt', 'Original'))
+				.then(()=> upload('deduped', 'logo.txt', 'Updated'))
+				.then(()=> upload('deduped', 'copy.txt', 'Changed'))
+				.then(()=> read('deduped', 'logo.txt?version=1'))
+				.then(contents => expect(contents).to.equal('Original'))
+		);
+
+		it('should ignore the version query parameter when versioning is disabled', ()=>
+			upload('plain', 'style.css', 'body {}')
+				.then(()=> read('plain', 'style.css?version=1.2.3'))
+				.then(contents => expect(contents).to.equal('body {}'))
+		);
+
+	});
+
+});
@@ -0,0 +1,366 @@
+var bodyParser = require('body-parser');
+var crypto = require('crypto');
+var emu = require('..');
+var expect = require('chai').expect;
+var express = require('express');
+var expressLogger = require('express-log-url');
+var mlog = require('mocha-logger');
+var superagent = require('superagent');
+
+var app = express();
+var server;
+var port = 8181;
+var url = 'http://localhost:' + port;
+
+describe('express-middleware-upload (WebDAV)', ()=> {
+
+	before('setup server', done => {
+		app.use(expressLogger);
+		app.use(bodyParser.json());
+		app.set('log.indent', '      ');
+
+		app.use('/dav', emu({
+			path: '/dav',
+			storage: emu.storage.memory(),
+			webdav: true,
+		}));
+
+		app.use('/readonly', emu({
+			path: '/readonly',
+			storage: emu.storage.memory(),
+			webdav: true,
+			post: (req, res) => res.sendStatus(403),
+		}));
+
+		server = app.listen(port, null, function(err) {
+			if (err) return finish(err);
+			mlog.log('Server listening on ' + url);
+			done();
+		});
+	});
+
+	after(()=> server.close());
+
+	it('should advertise WebDAV support', ()=>
+		superagent('OPTIONS', `${url}/dav`)
+			.then(res => {
+				expect(res.headers).to.have.property('dav', '1, 2');
+				expect(res.headers.allow).to.contain('PROPFIND');
+			})
+	);
+
+	describe('files and collections', ()=> {
+
+		it('should create a file with PUT', ()=>
+			superagent.put(`${url}/dav/hello.txt`)
+				.type('text/plain')
+				.send('Hello World')
+				.then(res => {
+					expect(res.status).to.equal(201);
+					return superagent.get(`${url}/dav/hello.txt`).buffer();
+				})
+				.then(res => expect(res.text).to.equal('Hello World'))
+		);
+
+		it('should overwrite a file with PUT', ()=>
+			superagent.put(`${url}/dav/hello.txt`)
+				.type('text/plain')
+				.send('Hello again')
+				.then(res => {
+					expect(res.status).to.equal(204);
+					return superagent.get(`${url}/dav/hello.txt`).buffer();
+				})
+				.then(res => expect(res.text).to.equal('Hello again'))
+		);
+
+		it('should reject a PUT with a mismatched digest', ()=>
+			superagent.put(`${url}/dav/hello.txt`)
+				.type('text/plain')
+				.set('Content-MD5', crypto.createHash('md5').update('Something else').digest('base64'))
+				.send('Hello World')
+				.then(()=> expect.fail('PUT should have been rejected'))
+				.catch(err => expect(err.status).to.equal(400))
+		);
+
+		it('should refuse to PUT into a missing collection', ()=>
+			superagent.put(`${url}/dav/missing/hello.txt`)
+				.type('text/plain')
+				.send('Hello World')
+				.then(()=> expect.fail('PUT should have been rejected'))
+				.catch(err => expect(err.status).to.equal(409))
+		);
+
+		it('should create a collection with MKCOL', ()=>
+			superagent('MKCOL', `${url}/dav/docs`)
+				.then(res => expect(res.status).to.equal(201))
+		);
+
+		it('should refuse to MKCOL an existing collection', ()=>
+			superagent('MKCOL', `${url}/dav/docs`)
+				.then(()=> expect.fail('MKCOL should have been rejected'))
+				.catch(err => expect(err.status).to.equal(405))
+		);
+
+		it('should PUT and GET files within nested collections', ()=>
+			superagent('MKCOL', `${url}/dav/docs/deep`)
+				.then(()=> superagent.put(`${url}/dav/docs/deep/note%20one.txt`).type('text/plain').send('Nested'))
+				.then(res => {
+					expect(res.status).to.equal(201);
+					return superagent.get(`${url}/dav/docs/deep/note%20one.txt`).buffer();
+				})
+				.then(res => expect(res.text).to.equal('Nested'))
+		);
+
+	});
+
+	describe('PROPFIND', ()=> {
+
+		it('should list a collection with Depth: 1', ()=>
+			superagent('PROPFIND', `${url}/dav`)
+				.set('Depth', '1')
+				.buffer()
+				.then(res => {
+					expect(res.status).to.equal(207);
+					expect(res.text).to.contain('<D:multistatus xmlns:D="DAV:">');
+					expect(res.text).to.contain('<D:href>/dav/</D:href>');
+					expect(res.text).to.contain('<D:href>/dav/hello.txt</D:href>');
+					expect(res.text).to.contain('<D:href>/dav/docs/</D:href>');
+					expect(res.text).to.contain('<D:collection/>');
+					expect(res.text).to.not.contain('.emu');
+				})
+		);
+
+		it('should show the properties of a file with Depth: 0', ()=>
+			superagent('PROPFIND', `${url}/dav/docs/deep/note%20one.txt`)
+				.set('Depth', '0')
+				.buffer()
+				.then(res => {
+					expect(res.status).to.equal(207);
+					expect(res.text).to.contain('<D:href>/dav/docs/deep/note%20one.txt</D:href>');
+					expect(res.text).to.contain('<D:getcontentlength>6</D:getcontentlength>');
+					expect(res.text).to.contain('<D:getcontenttype>text/plain</D:getcontenttype>');
+					expect(res.text).to.match(/<D:getetag>&quot;[0-9a-f]{64}&quot;<\/D:getetag>/);
+				})
+		);
+
+		it('should refuse infinite depth', ()=>
+			superagent('PROPFIND', `${url}/dav`)
+				.then(()=> expect.fail('PROPFIND should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should 404 on missing resources', ()=>
+			superagent('PROPFIND', `${url}/dav/nonexistant.txt`)
+				.set('Depth', '0')
+				.then(()=> expect.fail('PROPFIND should have failed'))
+				.catch(err => expect(err.status).to.equal(404))
+		);
+
+	});
+
+	describe('COPY and MOVE', ()=> {
+
+		it('should COPY a file into a collection', ()=>
+			superagent('COPY', `${url}/dav/hello.txt`)
+				.set('Destination', `${url}/dav/docs/hello-copy.txt`)
+				.then(res => {
+					expect(res.status).to.equal(201);
+					return superagent.get(`${url}/dav/docs/hello-copy.txt`).buffer();
+				})
+				.then(res => expect(res.text).to.equal('Hello again'))
+		);
+
+		it('should refuse to overwrite with Overwrite: F', ()=>
+			superagent('COPY', `${url}/dav/hello.txt`)
+				.set('Destination', '/dav/docs/hello-copy.txt')
+				.set('Overwrite', 'F')
+				.then(()=> expect.fail('COPY should have been rejected'))
+				.catch(err => expect(err.status).to.equal(412))
+		);
+
+		it('should overwrite by default', ()=>
+			superagent('COPY', `${url}/dav/hello.txt`)
+				.set('Destination', '/dav/docs/hello-copy.txt')
+				.then(res => expect(res.status).to.equal(204))
+		);
+
+		it('should MOVE a collection along with its contents', ()=>
+			superagent('MOVE', `${url}/dav/docs`)
+				.set('Destination', '/dav/archive')
+				.then(res => {
+					expect(res.status).to.equal(201);
+					return superagent.get(`${url}/dav/archive/deep/note%20one.txt`).buffer();
+				})
+				.then(res => {
+					expect(res.text).to.equal('Nested');
+					return superagent('PROPFIND', `${url}/dav/docs`).set('Depth', '0');
+				})
+				.then(()=> expect.fail('Original collection should no longer exist'))
+				.catch(err => expect(err.status).to.equal(404))
+		);
+
+		it('should refuse destinations outside of the mount point', ()=>
+			superagent('MOVE', `${url}/dav/hello.txt`)
+				.set('Destination', '/readonly/hello.txt')
+				.then(()=> expect.fail('MOVE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should refuse to move a collection inside itself', ()=>
+			superagent('MOVE', `${url}/dav/archive`)
+				.set('Destination', '/dav/archive/deep/archive')
+				.then(()=> expect.fail('MOVE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+	});
+
+	describe('locking', ()=> {
+
+		var token;
+
+		it('should LOCK a file', ()=>
+			superagent('LOCK', `${url}/dav/hello.txt`)
+				.type('application/xml')
+				.set('Timeout', 'Second-60')
+				.send('<?xml version="1.0" encoding="utf-8"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype><D:owner><D:href>alice</D:href></D:owner></D:lockinfo>')
+				.buffer()
+				.then(res => {
+					expect(res.status).to.equal(200);
+					expect(res.headers['lock-token']).to.match(/^<opaquelocktoken:[0-9a-f-]{36}>$/);
+					expect(res.text).to.contain('<D:owner>alice</D:owner>');
+					expect(res.text).to.contain('<D:timeout>Second-60</D:timeout>');
+					token = res.headers['lock-token'];
+				})
+		);
+
+		it('should refuse a second exclusive lock', ()=>
+			superagent('LOCK', `${url}/dav/hello.txt`)
+				.type('application/xml')
+				.send('<?xml version="1.0" encoding="utf-8"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockinfo>')
+				.then(()=> expect.fail('LOCK should have been rejected'))
+				.catch(err => expect(err.status).to.equal(423))
+		);
+
+		it('should refuse changes without the lock token', ()=>
+			superagent.put(`${url}/dav/hello.txt`)
+				.type('text/plain')
+				.send('Intruder')
+				.then(()=> expect.fail('PUT should have been rejected'))
+				.catch(err => {
+					expect(err.status).to.equal(423);
+					return superagent.delete(`${url}/dav/hello.txt`);
+				})
+				.then(()=> expect.fail('DELETE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(423))
+		);
+
+		it('should accept changes with the lock token', ()=>
+			superagent.put(`${url}/dav/hello.txt`)
+				.type('text/plain')
+				.set('If', `(${token})`)
+				.send('Locked in')
+				.then(res => expect(res.status).to.equal(204))
+		);
+
+		it('should show the lock in PROPFIND', ()=>
+			superagent('PROPFIND', `${url}/dav/hello.txt`)
+				.set('Depth', '0')
+				.buffer()
+				.then(res => expect(res.text).to.contain(`<D:locktoken><D:href>${token.replace(/[<>]/g, '')}</D:href></D:locktoken>`))
+		);
+
+		it('should UNLOCK a file', ()=>
+			superagent('UNLOCK', `${url}/dav/hello.txt`)
+				.set('Lock-Token', token)
+				.then(res => {
+					expect(res.status).to.equal(204);
+					return superagent.put(`${url}/dav/hello.txt`).type('text/plain').send('Unlocked');
+				})
+				.then(res => expect(res.status).to.equal(204))
+		);
+
+		it('should create an empty file when locking a missing resource', ()=>
+			superagent('LOCK', `${url}/dav/new.txt`)
+				.type('application/xml')
+				.send('<?xml version="1.0" encoding="utf-8"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockinfo>')
+				.then(res => {
+					expect(res.status).to.equal(201);
+					return superagent('UNLOCK', `${url}/dav/new.txt`).set('Lock-Token', res.headers['lock-token']);
+				})
+				.then(res => expect(res.status).to.equal(204))
+		);
+
+		it('should hold several shared locks on the same file', ()=> {
+			var shared = '<?xml version="1.0" encoding="utf-8"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:shared/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockinfo>';
+			var tokens;
+
+			return Promise.all([1, 2].map(()=> superagent('LOCK', `${url}/dav/hello.txt`).type('application/xml').send(shared)))
+				.then(responses => {
+					tokens = responses.map(res => res.headers['lock-token']);
+					return superagent('PROPFIND', `${url}/dav/hello.txt`).set('Depth', '0').buffer();
+				})
+				.then(res => {
+					tokens.forEach(token => expect(res.text).to.contain(`<D:locktoken><D:href>${token.replace(/[<>]/g, '')}</D:href></D:locktoken>`));
+					return superagent('LOCK', `${url}/dav/hello.txt`)
+						.type('application/xml')
+						.send('<?xml version="1.0" encoding="utf-8"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockinfo>')
+						.then(()=> expect.fail('Exclusive LOCK should have been rejected'), err => expect(err.status).to.equal(423));
+				})
+				.then(()=> superagent.put(`${url}/dav/hello.txt`).type('text/plain').set('If', `(${tokens[0]})`).send('First'))
+				.then(res => expect(res.status).to.equal(204))
+				.then(()=> superagent('UNLOCK', `${url}/dav/hello.txt`).set('Lock-Token', tokens[0]))
+				.then(res => {
+					expect(res.status).to.equal(204);
+					return superagent.put(`${url}/dav/hello.txt`).type('text/plain').send('Intruder')
+						.then(()=> expect.fail('PUT should have been rejected'), err => expect(err.status).to.equal(423));
+				})
+				.then(()=> superagent.put(`${url}/dav/hello.txt`).type('text/plain').set('If', `(${tokens[1]})`).send('Second'))
+				.then(res => expect(res.status).to.equal(204))
+				.then(()=> superagent('UNLOCK', `${url}/dav/hello.txt`).set('Lock-Token', tokens[1]))
+				.then(res => expect(res.status).to.equal(204));
+		});
+
+	});
+
+	describe('DELETE', ()=> {
+
+		it('should delete a collection along with its contents', ()=>
+			superagent.delete(`${url}/dav/archive`)
+				.then(res => {
+					expect(res.status).to.equal(204);
+					return superagent('PROPFIND', `${url}/dav`).set('Depth', '1').buffer();
+				})
+				.then(res => {
+					expect(res.text).to.not.contain('archive');
+					expect(res.text).to.contain('hello.txt');
+				})
+		);
+
+		it('should refuse to delete the root collection', ()=>
+			superagent.delete(`${url}/dav`)
+				.then(()=> expect.fail('DELETE should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+	});
+
+	describe('method guards', ()=> {
+
+		it('should honour the post middleware for PUT', ()=>
+			superagent.put(`${url}/readonly/hello.txt`)
+				.type('text/plain')
+				.send('Hello World')
+				.then(()=> expect.fail('PUT should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+		it('should honour the post middleware for MKCOL', ()=>
+			superagent('MKCOL', `${url}/readonly/docs`)
+				.then(()=> expect.fail('MKCOL should have been rejected'))
+				.catch(err => expect(err.status).to.equal(403))
+		);
+
+	});
+
+});